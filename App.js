@@ -1,19 +1,33 @@
 import * as React from 'react';
-import { Text, View } from 'react-native';
-import { NavigationContainer, useNavigation } from '@react-navigation/native';
+import { ActivityIndicator, Text, View } from 'react-native';
+import { NavigationContainer, createNavigationContainerRef, useNavigation } from '@react-navigation/native';
 import { Button } from '@react-navigation/elements';
 import ChatScreen from './src/screens/ChatScreen';
 import HistoryScreen from './src/screens/HistoryScreen';
+import RemindersScreen from './src/screens/RemindersScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
+import LoginScreen from './src/screens/LoginScreen';
+import StorageRecoveryScreen from './src/screens/StorageRecoveryScreen';
+import LockScreen from './src/screens/LockScreen';
+import AuthService from './src/services/auth';
+import AppLockService from './src/services/appLock';
+import RetentionService from './src/services/retention';
+import firebaseNotificationService from './src/services/firebaseNotification';
+import reminderService from './src/services/reminderService';
+import { getDatabase, StorageLockedError } from './src/services/database';
+import { MigrationError } from './src/services/migrations';
+import { colors } from './src/theme';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 
 
 const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
 
 function MyTabs() {
   return (
     <Tab.Navigator>
       <Tab.Screen name="Home" component={ChatScreen} />
+      <Tab.Screen name="Reminders" component={RemindersScreen} />
       <Tab.Screen name="Profile" component={HistoryScreen} />
       <Tab.Screen name="Settings" component={SettingsScreen} />
     </Tab.Navigator>
@@ -45,9 +59,106 @@ function ProfileScreen() {
 }
 
 export default function App() {
+  // 'loading' until the saved session has been read from secure storage
+  const [authState, setAuthState] = React.useState('loading');
+  // 'loading', 'ready' or 'failed' when the store can't be opened
+  const [storageState, setStorageState] = React.useState('loading');
+  const [storageError, setStorageError] = React.useState(null);
+  // null until the app lock settings are loaded
+  const [appLocked, setAppLocked] = React.useState(null);
+  // Notification tap waiting for the app to be unlocked
+  const pendingNotificationRef = React.useRef(null);
+
+  const openStorage = React.useCallback(async () => {
+    try {
+      await getDatabase();
+      setStorageError(null);
+      setStorageState('ready');
+      RetentionService.runIfDue();
+      RetentionService.registerBackgroundCleanup();
+    } catch (error) {
+      // Other failures are handled where the data is used
+      if (error instanceof StorageLockedError || error instanceof MigrationError) {
+        setStorageError(error);
+        setStorageState('failed');
+      } else {
+        setStorageState('ready');
+      }
+    }
+  }, []);
+
+  React.useEffect(() => {
+    openStorage();
+  }, [openStorage]);
+
+  const openPendingNotification = React.useCallback(() => {
+    const remoteMessage = pendingNotificationRef.current;
+    if (!remoteMessage || AppLockService.isLocked() || !navigationRef.isReady()) return;
+
+    pendingNotificationRef.current = null;
+    navigationRef.navigate('Reminders');
+    reminderService.showReminderActions(remoteMessage);
+  }, []);
+
+  React.useEffect(() => {
+    const unsubscribe = AppLockService.subscribe((locked) => {
+      setAppLocked(locked);
+      if (!locked) openPendingNotification();
+    });
+    AppLockService.initialize().then(setAppLocked);
+    return unsubscribe;
+  }, [openPendingNotification]);
+
+  // A notification tap always goes through the lock screen, even inside the
+  // auto-lock timeout
+  React.useEffect(() => {
+    return firebaseNotificationService.onNotificationOpened((remoteMessage) => {
+      pendingNotificationRef.current = remoteMessage;
+      AppLockService.lock();
+      openPendingNotification();
+    });
+  }, [openPendingNotification]);
+
+  React.useEffect(() => {
+    const unsubscribe = AuthService.subscribe((session) => {
+      setAuthState(session ? 'signedIn' : 'signedOut');
+    });
+
+    AuthService.loadSession().then((session) => {
+      setAuthState(session ? 'signedIn' : 'signedOut');
+    });
+
+    return unsubscribe;
+  }, []);
+
+  if (storageState === 'failed') {
+    return <StorageRecoveryScreen error={storageError} onRetry={openStorage} onReset={openStorage} />;
+  }
+
+  if (authState === 'loading' || storageState === 'loading' || appLocked === null) {
+    return (
+      <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center', backgroundColor: colors.background }}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  const locked = appLocked && authState === 'signedIn';
+
+  // The tabs stay mounted under the lock screen so nothing in progress is
+  // lost, but are hidden from screen readers
   return (
-    <NavigationContainer>
-      <MyTabs />
-    </NavigationContainer>
+    <View style={{ flex: 1 }}>
+      <View
+        style={{ flex: 1 }}
+        importantForAccessibility={locked ? 'no-hide-descendants' : 'auto'}
+        accessibilityElementsHidden={locked}
+      >
+        <NavigationContainer ref={navigationRef} onReady={openPendingNotification}>
+          {authState === 'signedIn' ? <MyTabs /> : <LoginScreen />}
+        </NavigationContainer>
+      </View>
+      {locked && <LockScreen />}
+    </View>
   );
 }
@@ -0,0 +1,25 @@
+/**
+ * Firebase Messaging for tests: permission is granted and the device gets
+ * the token 'test-fcm-token'. Listeners are recorded but never called.
+ */
+const instance = {
+  requestPermission: jest.fn(async () => messaging.AuthorizationStatus.AUTHORIZED),
+  getToken: jest.fn(async () => 'test-fcm-token'),
+  deleteToken: jest.fn(async () => {}),
+  setBackgroundMessageHandler: jest.fn(),
+  onMessage: jest.fn(() => () => {}),
+  getInitialNotification: jest.fn(async () => null),
+  onNotificationOpenedApp: jest.fn(() => () => {}),
+  onTokenRefresh: jest.fn(() => () => {}),
+};
+
+const messaging = () => instance;
+
+messaging.AuthorizationStatus = {
+  NOT_DETERMINED: -1,
+  DENIED: 0,
+  AUTHORIZED: 1,
+  PROVISIONAL: 2,
+};
+
+export default messaging;
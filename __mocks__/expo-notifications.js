@@ -0,0 +1,40 @@
+/**
+ * expo-notifications for tests: permission is granted and scheduled
+ * notifications are kept in memory.
+ */
+let scheduled = [];
+let nextId = 0;
+
+export const SchedulableTriggerInputTypes = {
+  DATE: 'date',
+  TIME_INTERVAL: 'timeInterval',
+};
+export const DEFAULT_ACTION_IDENTIFIER = 'expo.modules.notifications.actions.DEFAULT';
+
+export const getPermissionsAsync = jest.fn(async () => ({ status: 'granted', granted: true }));
+export const requestPermissionsAsync = jest.fn(async () => ({ status: 'granted', granted: true }));
+
+export const scheduleNotificationAsync = jest.fn(async ({ content, trigger }) => {
+  const identifier = `notification_${++nextId}`;
+  scheduled.push({ identifier, content, trigger });
+  return identifier;
+});
+export const cancelScheduledNotificationAsync = jest.fn(async (identifier) => {
+  scheduled = scheduled.filter((notification) => notification.identifier !== identifier);
+});
+export const getAllScheduledNotificationsAsync = jest.fn(async () => scheduled);
+export const dismissNotificationAsync = jest.fn(async () => {});
+
+export const setNotificationCategoryAsync = jest.fn(async () => null);
+export const setNotificationHandler = jest.fn();
+export const registerTaskAsync = jest.fn(async () => null);
+export const addNotificationResponseReceivedListener = jest.fn(() => ({ remove: jest.fn() }));
+export const addNotificationReceivedListener = jest.fn(() => ({ remove: jest.fn() }));
+export const getLastNotificationResponseAsync = jest.fn(async () => null);
+export const clearLastNotificationResponseAsync = jest.fn(async () => {});
+
+// Test helper: forget every scheduled notification
+export const __reset = () => {
+  scheduled = [];
+  nextId = 0;
+};
@@ -0,0 +1,12 @@
+/**
+ * expo-secure-store for tests, kept in memory.
+ */
+const items = new Map();
+
+export const getItemAsync = jest.fn(async (key) => (items.has(key) ? items.get(key) : null));
+export const setItemAsync = jest.fn(async (key, value) => {
+  items.set(key, value);
+});
+export const deleteItemAsync = jest.fn(async (key) => {
+  items.delete(key);
+});
@@ -0,0 +1,13 @@
+/**
+ * expo-task-manager for tests: defined tasks are kept so a test can run
+ * one with `__runTask(name, body)`.
+ */
+const tasks = new Map();
+
+export const defineTask = jest.fn((name, task) => {
+  tasks.set(name, task);
+});
+export const isTaskRegisteredAsync = jest.fn(async () => false);
+export const unregisterTaskAsync = jest.fn(async () => {});
+
+export const __runTask = (name, body) => tasks.get(name)(body);
@@ -0,0 +1,14 @@
+/**
+ * Dynamic Expo config layered on top of app.json.
+ *
+ * `extra.apiProfile` selects the default backend environment profile (see
+ * src/config/api.js). Each EAS build profile sets API_PROFILE in eas.json;
+ * custom profiles can be added under `extra.apiProfiles` in app.json.
+ */
+module.exports = ({ config }) => ({
+  ...config,
+  extra: {
+    ...config.extra,
+    apiProfile: process.env.API_PROFILE || config.extra?.apiProfile,
+  },
+});
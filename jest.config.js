@@ -0,0 +1,30 @@
+// `npm test` runs every project. Contract tests start the mock backend
+// (scripts/mock-server.js); `npm run test:contract` runs only those.
+
+// A zone with daylight saving, so date maths is tested across clock changes
+// whatever the machine's zone
+process.env.TZ = 'America/New_York';
+
+const base = {
+  preset: 'jest-expo',
+  // uuid and @noble ship ES modules only
+  transformIgnorePatterns: [
+    '/node_modules/(?!(.pnpm|react-native|@react-native|@react-native-community|expo|@expo|@expo-google-fonts|react-navigation|@react-navigation|@sentry/react-native|native-base|uuid|@noble))',
+    '/node_modules/react-native-reanimated/plugin/',
+  ],
+};
+
+module.exports = {
+  projects: [
+    {
+      ...base,
+      displayName: 'unit',
+      testMatch: ['<rootDir>/src/**/__tests__/**/*.test.js'],
+    },
+    {
+      ...base,
+      displayName: 'contract',
+      testMatch: ['<rootDir>/src/**/__tests__/**/*.contract.js'],
+    },
+  ],
+};
@@ -0,0 +1,98 @@
+/**
+ * Deterministic fixtures for the mock backend (scripts/mock-server.js).
+ * The same input always produces the same response.
+ */
+
+// Canned chat replies, matched by keyword (first match wins)
+const CHAT_REPLIES = [
+  {
+    match: /\b(hi|hello|hey)\b/i,
+    response: "Hello! I'm the **mock JARVIS** backend. How can I help?",
+    web_search_used: false,
+  },
+  {
+    match: /\bweather\b/i,
+    response: '## Weather\n\nIt is **21°C** and sunny in Mock City.\n\n- Humidity: 40%\n- Wind: 5 km/h',
+    web_search_used: true,
+  },
+  {
+    match: /\bnews\b/i,
+    response: '## Top stories\n\n1. Mock server passes all checks\n2. Local development gets faster\n3. Fixtures remain deterministic',
+    web_search_used: true,
+  },
+  {
+    match: /\bcode\b/i,
+    response: 'Here is an example:\n\n```js\nconsole.log("Hello from the mock backend");\n```',
+    web_search_used: false,
+  },
+  {
+    match: /\blong\b/i,
+    response: Array.from(
+      { length: 12 },
+      (_, i) => `Paragraph ${i + 1}: this is a deliberately long mock reply used to exercise streaming and scrolling.`
+    ).join('\n\n'),
+    web_search_used: false,
+  },
+];
+
+const chatReply = (text, useWebSearch) => {
+  const fixture = CHAT_REPLIES.find((reply) => reply.match.test(text || ''));
+  const response = fixture
+    ? fixture.response
+    : `Mock reply to: "${text}"`;
+
+  return {
+    response,
+    // Stable token count derived from the text lengths
+    tokens_used: Math.ceil(((text || '').length + response.length) / 4),
+    web_search_used: Boolean(useWebSearch && fixture?.web_search_used),
+  };
+};
+
+const audioReply = () => ({
+  response: 'I heard your voice message. (mock transcription)',
+  transcription: 'mock transcription',
+  tokens_used: 12,
+  web_search_used: false,
+  audio_response: null,
+});
+
+// Pull a relative time like "in 10 minutes" or a clock time like "at 5:30 PM"
+const REMINDER_PATTERN = /\b(remind me|set (an )?alarm|wake me up)\b/i;
+const RELATIVE_TIME = /\b(\d+)\s*(seconds?|minutes?|hours?)\b/i;
+const CLOCK_TIME = /\b(\d{1,2}:\d{2}\s*(AM|PM)?)\b/i;
+
+const classifyIntent = (text) => {
+  if (!REMINDER_PATTERN.test(text || '')) {
+    return {
+      success: true,
+      intent: 'CHAT',
+      confidence: 0.9,
+      time: null,
+    };
+  }
+
+  const relative = text.match(RELATIVE_TIME);
+  const clock = text.match(CLOCK_TIME);
+  const time = relative ? `${relative[1]} ${relative[2]}` : clock ? clock[1] : null;
+
+  return {
+    success: true,
+    intent: 'REMINDER',
+    confidence: time ? 0.95 : 0.6,
+    time,
+  };
+};
+
+const USERS = {
+  // username: password
+  demo: 'password',
+  test: 'password',
+};
+
+module.exports = {
+  chatReply,
+  audioReply,
+  classifyIntent,
+  USERS,
+};
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock backend for offline development and automated tests.
+ *
+ * Implements the routes the app calls (see src/config/api.js) with
+ * deterministic fixtures from scripts/mock-fixtures.js, and can inject
+ * errors and latency.
+ *
+ * Usage:
+ *   npm run mock-server -- [--port 8001] [--latency 0] [--fail-rate 0]
+ *                          [--fail /api/chat/=503:2] [--require-auth]
+ *
+ *   --port           Port to listen on (default 8001, matches the "Local" profile;
+ *                    0 picks a free one)
+ *   --latency        Delay in ms added to every response
+ *   --fail-rate      Probability (0-1) that any request fails with a 503
+ *   --fail           ROUTE=STATUS[:COUNT] - fail the next COUNT requests
+ *                    (default: all) to ROUTE with STATUS. Repeatable.
+ *   --require-auth   Reject requests without a valid bearer token
+ *
+ * The same settings can be changed at runtime:
+ *   POST /__mock/config   { latency, failRate, requireAuth, failures: { ROUTE: { status, count } } }
+ *   POST /__mock/reset    clear settings, state and the request log
+ *   GET  /__mock/requests every request received, oldest first
+ */
+
+const http = require('http');
+const { chatReply, audioReply, classifyIntent, USERS } = require('./mock-fixtures');
+
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const STREAM_CHUNK_DELAY = 30; // ms between streamed tokens
+
+const parseArgs = (argv) => {
+  const options = {
+    port: 8001,
+    latency: 0,
+    failRate: 0,
+    requireAuth: false,
+    failures: {},
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === '--port') options.port = Number(next());
+    else if (arg === '--latency') options.latency = Number(next());
+    else if (arg === '--fail-rate') options.failRate = Number(next());
+    else if (arg === '--require-auth') options.requireAuth = true;
+    else if (arg === '--fail') {
+      const [route, spec] = next().split('=');
+      const [status, count] = spec.split(':');
+      options.failures[route] = {
+        status: Number(status),
+        count: count === undefined ? Infinity : Number(count),
+      };
+    } else {
+      console.error(`Unknown option: ${arg}`);
+      process.exit(1);
+    }
+  }
+
+  return options;
+};
+
+const initialOptions = parseArgs(process.argv.slice(2));
+
+const createState = () => ({
+  options: {
+    ...initialOptions,
+    failures: { ...initialOptions.failures },
+  },
+  requests: [],
+  tokens: new Map(), // access token -> { username, expiresAt }
+  refreshTokens: new Map(), // refresh token -> username
+  devices: new Map(), // fcmToken -> device info
+  reminders: new Map(), // remoteId -> reminder
+  idempotency: new Map(), // Idempotency-Key -> { status, body }
+  histories: new Map(), // userId -> synced conversations, messages and deletions
+  counter: 0,
+});
+
+let state = createState();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const nextId = (prefix) => `${prefix}_${++state.counter}`;
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      resolve({ __invalid: raw });
+    }
+  });
+});
+
+// Synced history of one user. Every entry remembers when the server last
+// changed it so pulls can return only what is newer than `since`.
+const getHistory = (userId) => {
+  if (!state.histories.has(userId)) {
+    state.histories.set(userId, {
+      conversations: new Map(),
+      messages: new Map(),
+      deletedConversations: new Map(), // id -> changedAt
+      deletedMessages: new Map(),
+    });
+  }
+  return state.histories.get(userId);
+};
+
+const deleteConversation = (history, id, changedAt) => {
+  history.conversations.delete(id);
+  history.deletedConversations.set(id, changedAt);
+  history.messages.forEach((message, messageId) => {
+    if (message.conversation_id === id) history.messages.delete(messageId);
+  });
+};
+
+// Route table: [method, pattern, handler, { auth }]
+const routes = [];
+const route = (method, path, handler, { auth = true } = {}) => {
+  const keys = [];
+  const pattern = new RegExp(
+    '^' + path.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$'
+  );
+  routes.push({ method, path, pattern, keys, handler, auth });
+};
+
+const issueSession = (username) => {
+  const accessToken = nextId('mock-access');
+  const refreshToken = nextId('mock-refresh');
+  state.tokens.set(accessToken, { username, expiresAt: Date.now() + ACCESS_TOKEN_TTL });
+  state.refreshTokens.set(refreshToken, username);
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_TTL / 1000,
+    user: { id: `user_${username}`, username },
+  };
+};
+
+// --- Health ---
+
+route('GET', '/health', () => ({
+  status: 200,
+  body: { status: 'healthy', mock: true, timestamp: new Date().toISOString() },
+}), { auth: false });
+
+// --- Auth ---
+
+route('POST', '/auth/login', ({ body }) => {
+  if (!body.username || USERS[body.username] !== body.password) {
+    return { status: 401, body: { detail: 'Invalid username or password' } };
+  }
+  return { status: 200, body: issueSession(body.username) };
+}, { auth: false });
+
+route('POST', '/auth/refresh', ({ body }) => {
+  const username = state.refreshTokens.get(body.refresh_token);
+  if (!username) {
+    return { status: 401, body: { detail: 'Invalid refresh token' } };
+  }
+  state.refreshTokens.delete(body.refresh_token);
+  return { status: 200, body: issueSession(username) };
+}, { auth: false });
+
+route('POST', '/auth/logout', ({ body }) => {
+  state.refreshTokens.delete(body.refresh_token);
+  return { status: 200, body: { success: true } };
+});
+
+// --- Chat ---
+
+route('POST', '/api/chat/', ({ body }) => {
+  if (body.audio) {
+    return { status: 200, body: audioReply() };
+  }
+  if (!body.text) {
+    return { status: 422, body: { detail: 'text or audio is required' } };
+  }
+  return { status: 200, body: chatReply(body.text, body.use_web_search) };
+});
+
+route('POST', '/api/chat/stream', ({ body }) => {
+  if (!body.text) {
+    return { status: 422, body: { detail: 'text is required' } };
+  }
+  return { stream: chatReply(body.text, body.use_web_search) };
+});
+
+route('POST', '/api/intent/classify', ({ body }) => ({
+  status: 200,
+  body: classifyIntent(body.text),
+}));
+
+route('DELETE', '/api/chat/history/:userId', ({ params, query }) => {
+  const history = getHistory(params.userId);
+  const conversationId = query.get('conversation_id');
+  const changedAt = new Date().toISOString();
+
+  history.messages.forEach((message, id) => {
+    if (!conversationId || message.conversation_id === conversationId) {
+      history.messages.delete(id);
+      history.deletedMessages.set(id, changedAt);
+    }
+  });
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      user_id: params.userId,
+      conversation_id: conversationId,
+      message: 'History cleared',
+    },
+  };
+});
+
+route('GET', '/api/chat/history/:userId/sync', ({ params, query }) => {
+  const history = getHistory(params.userId);
+  const since = query.get('since') || '';
+  const newer = (entries) => [...entries].filter(([, value]) => (value.changedAt || value) > since);
+  const strip = ({ changedAt, ...value }) => value;
+
+  return {
+    status: 200,
+    body: {
+      conversations: newer(history.conversations).map(([, c]) => strip(c)),
+      messages: newer(history.messages).map(([, m]) => strip(m)),
+      deleted: {
+        conversations: newer(history.deletedConversations).map(([id]) => id),
+        messages: newer(history.deletedMessages).map(([id]) => id),
+      },
+      server_time: new Date().toISOString(),
+    },
+  };
+});
+
+route('POST', '/api/chat/history/:userId/sync', ({ params, body }) => {
+  const history = getHistory(params.userId);
+  const changedAt = new Date().toISOString();
+
+  (body.deleted?.conversations || []).forEach((id) => deleteConversation(history, id, changedAt));
+  (body.deleted?.messages || []).forEach((id) => {
+    history.messages.delete(id);
+    history.deletedMessages.set(id, changedAt);
+  });
+
+  // Newer edit wins, same as on the device
+  (body.conversations || []).forEach((conversation) => {
+    const existing = history.conversations.get(conversation.id);
+    if (!existing || (conversation.updated_at || '') >= (existing.updated_at || '')) {
+      history.conversations.set(conversation.id, { ...conversation, changedAt });
+      history.deletedConversations.delete(conversation.id);
+    }
+  });
+  (body.messages || []).forEach((message) => {
+    if (history.deletedConversations.has(message.conversation_id)) return;
+    history.messages.set(message.id, { ...message, changedAt });
+    history.deletedMessages.delete(message.id);
+  });
+
+  return { status: 200, body: { success: true, server_time: changedAt } };
+});
+
+// --- Firebase ---
+
+route('POST', '/firebase/register-device', ({ body }) => {
+  if (!body.fcmToken) {
+    return { status: 422, body: { success: false, error: 'fcmToken is required' } };
+  }
+  state.devices.set(body.fcmToken, body);
+  return { status: 200, body: { success: true, message: 'Device registered' } };
+});
+
+route('POST', '/firebase/unregister-device', ({ body }) => {
+  state.devices.delete(body.fcmToken);
+  return { status: 200, body: { success: true } };
+});
+
+route('POST', '/firebase/schedule-reminder', ({ body }) => {
+  if (!body.time || Number.isNaN(Date.parse(body.time))) {
+    return { status: 422, body: { success: false, error: 'A valid time is required' } };
+  }
+  const remoteId = nextId('reminder');
+  state.reminders.set(remoteId, { ...body, remoteId, status: 'scheduled' });
+  return {
+    status: 200,
+    body: { success: true, remoteId, scheduledFor: body.time },
+  };
+});
+
+route('POST', '/firebase/cancel-reminder', ({ body }) => {
+  const reminder = state.reminders.get(body.remoteId);
+  if (!reminder) {
+    return { status: 404, body: { success: false, error: 'Reminder not found' } };
+  }
+  reminder.status = 'cancelled';
+  return { status: 200, body: { success: true } };
+});
+
+route('GET', '/firebase/reminder-status/:reminderId', ({ params }) => {
+  const reminder = state.reminders.get(params.reminderId);
+  if (!reminder) {
+    return { status: 404, body: { success: false, error: 'Reminder not found' } };
+  }
+  // Reminders count as delivered once their time has passed
+  if (reminder.status === 'scheduled' && Date.parse(reminder.time) <= Date.now()) {
+    reminder.status = 'sent';
+  }
+  return {
+    status: 200,
+    body: {
+      success: true,
+      remoteId: reminder.remoteId,
+      status: reminder.status,
+      scheduledFor: reminder.time,
+    },
+  };
+});
+
+// --- Mock control ---
+
+const handleControl = async (req, res, path) => {
+  if (req.method === 'GET' && path === '/__mock/requests') {
+    send(res, 200, state.requests);
+  } else if (req.method === 'POST' && path === '/__mock/reset') {
+    state = createState();
+    send(res, 200, { success: true });
+  } else if (req.method === 'POST' && path === '/__mock/config') {
+    const body = await readBody(req);
+    const { failures, ...rest } = body;
+    Object.assign(state.options, rest);
+    Object.entries(failures || {}).forEach(([failRoute, { status, count }]) => {
+      state.options.failures[failRoute] = { status, count: count ?? Infinity };
+    });
+    send(res, 200, { ...state.options, failures: state.options.failures });
+  } else {
+    send(res, 404, { detail: 'Unknown mock control route' });
+  }
+};
+
+// --- Request handling ---
+
+// Returns a forced failure for this request, if one is configured
+const injectedFailure = (path) => {
+  const failure = state.options.failures[path];
+  if (failure && failure.count > 0) {
+    failure.count -= 1;
+    return failure.status;
+  }
+  if (state.options.failRate > 0 && Math.random() < state.options.failRate) {
+    return 503;
+  }
+  return null;
+};
+
+const isAuthorized = (req) => {
+  const header = req.headers.authorization || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+  const session = state.tokens.get(token);
+  return Boolean(session && session.expiresAt > Date.now());
+};
+
+const streamReply = async (res, reply) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  // Split into word-sized tokens, keeping the whitespace
+  const tokens = reply.response.match(/\S+\s*|\s+/g) || [];
+  for (const token of tokens) {
+    res.write(`data: ${JSON.stringify({ token })}\n\n`);
+    await sleep(STREAM_CHUNK_DELAY);
+  }
+
+  res.write(`event: done\ndata: ${JSON.stringify({
+    done: true,
+    tokens_used: reply.tokens_used,
+    web_search_used: reply.web_search_used,
+  })}\n\n`);
+  res.end();
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.pathname;
+
+  if (path.startsWith('/__mock/')) {
+    await handleControl(req, res, path);
+    return;
+  }
+
+  const match = routes
+    .map((r) => ({ r, m: r.method === req.method && path.match(r.pattern) }))
+    .find(({ m }) => m);
+
+  const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+  const idempotencyKey = req.headers['idempotency-key'];
+
+  state.requests.push({
+    method: req.method,
+    path,
+    route: match?.r.path || null,
+    headers: {
+      authorization: req.headers.authorization,
+      'idempotency-key': idempotencyKey,
+    },
+    body,
+    receivedAt: new Date().toISOString(),
+  });
+
+  if (state.options.latency > 0) {
+    await sleep(state.options.latency);
+  }
+
+  if (!match) {
+    send(res, 404, { detail: `No mock route for ${req.method} ${path}` });
+    return;
+  }
+
+  const failure = injectedFailure(match.r.path);
+  if (failure) {
+    const headers = [429, 503].includes(failure) ? { 'Retry-After': '1' } : {};
+    send(res, failure, { detail: `Injected failure (${failure})` }, headers);
+    return;
+  }
+
+  if (body.__invalid !== undefined) {
+    send(res, 400, { detail: 'Invalid JSON body' });
+    return;
+  }
+
+  if (match.r.auth && state.options.requireAuth && !isAuthorized(req)) {
+    send(res, 401, { detail: 'Not authenticated' });
+    return;
+  }
+
+  // Replay the stored response for a repeated idempotent request
+  const replayKey = idempotencyKey && `${req.method} ${path} ${idempotencyKey}`;
+  if (replayKey && state.idempotency.has(replayKey)) {
+    const stored = state.idempotency.get(replayKey);
+    send(res, stored.status, stored.body, { 'Idempotent-Replayed': 'true' });
+    return;
+  }
+
+  const params = {};
+  match.r.keys.forEach((key, index) => {
+    params[key] = decodeURIComponent(match.m[index + 1]);
+  });
+
+  const result = match.r.handler({ req, body, params, query: url.searchParams });
+
+  if (result.stream) {
+    await streamReply(res, result.stream);
+    return;
+  }
+
+  if (replayKey && result.status < 500) {
+    state.idempotency.set(replayKey, result);
+  }
+  send(res, result.status, result.body);
+});
+
+server.listen(initialOptions.port, () => {
+  console.log(`Mock JARVIS backend listening on http://localhost:${server.address().port}`);
+  console.log('Routes:');
+  routes.forEach((r) => console.log(`  ${r.method.padEnd(6)} ${r.path}`));
+  console.log(`Users: ${Object.keys(USERS).join(', ')} (password: "password")`);
+});
@@ -0,0 +1,225 @@
+/**
+ * Conversation Picker - Switch, create, rename, archive and delete threads
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  TextInput,
+  IconButton,
+  Button,
+  Switch,
+} from 'react-native-paper';
+import { colors, spacing, typography } from '../theme';
+
+export default function ConversationPicker({
+  visible,
+  conversations,
+  activeId,
+  onSelect,
+  onCreate,
+  onRename,
+  onArchive,
+  onDelete,
+  onDismiss,
+}) {
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const visibleConversations = conversations.filter(
+    (c) => showArchived || !c.archived
+  );
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id);
+    setEditTitle(conversation.title);
+  };
+
+  const saveRename = async () => {
+    await onRename(editingId, editTitle);
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    Alert.alert(
+      'Delete Conversation',
+      `Delete "${conversation.title}" and all of its messages?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => onDelete(conversation.id),
+        },
+      ]
+    );
+  };
+
+  const renderConversation = ({ item }) => {
+    if (item.id === editingId) {
+      return (
+        <View style={styles.row}>
+          <TextInput
+            value={editTitle}
+            onChangeText={setEditTitle}
+            mode="outlined"
+            dense
+            autoFocus
+            style={styles.renameInput}
+            onSubmitEditing={saveRename}
+          />
+          <IconButton icon="check" size={20} iconColor={colors.success} onPress={saveRename} />
+          <IconButton icon="close" size={20} onPress={() => setEditingId(null)} />
+        </View>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        style={[styles.row, item.id === activeId && styles.activeRow]}
+        onPress={() => onSelect(item.id)}
+      >
+        <View style={styles.rowText}>
+          <Text style={styles.title} numberOfLines={1}>
+            {item.archived ? '🗄 ' : ''}{item.title}
+          </Text>
+          <Text style={styles.preview} numberOfLines={1}>
+            {item.lastMessage || 'No messages yet'}
+          </Text>
+        </View>
+        <IconButton icon="pencil-outline" size={18} onPress={() => startRename(item)} />
+        <IconButton
+          icon={item.archived ? 'archive-arrow-up-outline' : 'archive-outline'}
+          size={18}
+          onPress={() => onArchive(item.id, !item.archived)}
+        />
+        <IconButton
+          icon="delete-outline"
+          size={18}
+          iconColor={colors.error}
+          onPress={() => confirmDelete(item)}
+        />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onDismiss}
+    >
+      <View style={styles.backdrop}>
+        <Surface style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>Conversations</Text>
+            <IconButton icon="close" size={20} onPress={onDismiss} />
+          </View>
+
+          <View style={styles.archivedToggle}>
+            <Text style={styles.preview}>Show archived</Text>
+            <Switch
+              value={showArchived}
+              onValueChange={setShowArchived}
+              color={colors.primary}
+            />
+          </View>
+
+          <FlatList
+            data={visibleConversations}
+            renderItem={renderConversation}
+            keyExtractor={(item) => item.id}
+            style={styles.list}
+            ListEmptyComponent={
+              <Text style={styles.empty}>No conversations</Text>
+            }
+          />
+
+          <Button
+            mode="contained"
+            icon="plus"
+            onPress={onCreate}
+            style={styles.newButton}
+          >
+            New Conversation
+          </Button>
+        </Surface>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.md,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  sheet: {
+    maxHeight: '80%',
+    padding: spacing.md,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    elevation: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    ...typography.subtitle,
+    color: colors.primary,
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: spacing.sm,
+    borderRadius: 8,
+  },
+  activeRow: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  rowText: {
+    flex: 1,
+  },
+  title: {
+    ...typography.medium,
+  },
+  preview: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+  },
+  renameInput: {
+    flex: 1,
+    backgroundColor: colors.surfaceVariant,
+  },
+  empty: {
+    ...typography.caption,
+    textAlign: 'center',
+    padding: spacing.md,
+  },
+  newButton: {
+    marginTop: spacing.md,
+  },
+});
@@ -0,0 +1,167 @@
+/**
+ * Export Dialog - Choose a format and what to export
+ */
+import React, { useState } from 'react';
+import { View, StyleSheet, Modal } from 'react-native';
+import {
+  Text,
+  Surface,
+  IconButton,
+  Button,
+  Chip,
+} from 'react-native-paper';
+import { colors, spacing, typography } from '../theme';
+
+const RANGES = [
+  { label: 'Today', days: 1 },
+  { label: 'Last 7 days', days: 7 },
+  { label: 'Last 30 days', days: 30 },
+  { label: 'Last year', days: 365 },
+];
+
+export default function ExportDialog({
+  visible,
+  formats,
+  conversation,
+  exporting,
+  onExport,
+  onDismiss,
+}) {
+  const [formatId, setFormatId] = useState(formats[0]?.id);
+  const [scopeType, setScopeType] = useState('all');
+  const [rangeIndex, setRangeIndex] = useState(1);
+
+  // Fall back to everything if the thread was closed since the last export
+  const effectiveScope = scopeType === 'conversation' && !conversation ? 'all' : scopeType;
+
+  const handleExport = () => {
+    if (effectiveScope === 'conversation') {
+      onExport(formatId, { type: 'conversation', conversationId: conversation.id });
+    } else if (effectiveScope === 'range') {
+      const from = new Date();
+      from.setDate(from.getDate() - RANGES[rangeIndex].days);
+      onExport(formatId, { type: 'range', from: from.toISOString() });
+    } else {
+      onExport(formatId, { type: 'all' });
+    }
+  };
+
+  const renderChip = (label, selected, onPress) => (
+    <Chip
+      key={label}
+      compact
+      selected={selected}
+      onPress={onPress}
+      style={[styles.chip, selected && styles.selectedChip]}
+    >
+      {label}
+    </Chip>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onDismiss}
+    >
+      <View style={styles.backdrop}>
+        <Surface style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>Export History</Text>
+            <IconButton icon="close" size={20} onPress={onDismiss} />
+          </View>
+
+          <Text style={styles.label}>Format</Text>
+          <View style={styles.chipRow}>
+            {formats.map((format) =>
+              renderChip(format.label, format.id === formatId, () => setFormatId(format.id))
+            )}
+          </View>
+
+          <Text style={styles.label}>Include</Text>
+          <View style={styles.chipRow}>
+            {renderChip('All history', effectiveScope === 'all', () => setScopeType('all'))}
+            {conversation &&
+              renderChip(conversation.title, effectiveScope === 'conversation', () => setScopeType('conversation'))}
+            {renderChip('Date range', effectiveScope === 'range', () => setScopeType('range'))}
+          </View>
+
+          {effectiveScope === 'range' && (
+            <View style={styles.chipRow}>
+              {RANGES.map((range, index) =>
+                renderChip(range.label, index === rangeIndex, () => setRangeIndex(index))
+              )}
+            </View>
+          )}
+
+          <Text style={styles.hint}>
+            JSON exports keep every message detail and can be imported again.
+          </Text>
+
+          <Button
+            mode="contained"
+            icon="export"
+            onPress={handleExport}
+            loading={exporting}
+            disabled={exporting || !formatId}
+            style={styles.exportButton}
+          >
+            Export
+          </Button>
+        </Surface>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.md,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  sheet: {
+    padding: spacing.md,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    elevation: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    ...typography.subtitle,
+    color: colors.primary,
+  },
+  label: {
+    ...typography.caption,
+    color: colors.onSurfaceVariant,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  chip: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  selectedChip: {
+    borderColor: colors.primary,
+    borderWidth: 1,
+  },
+  hint: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+    marginTop: spacing.sm,
+  },
+  exportButton: {
+    marginTop: spacing.md,
+  },
+});
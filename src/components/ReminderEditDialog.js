@@ -0,0 +1,203 @@
+/**
+ * Reminder Edit Dialog - Change a reminder's text and time
+ */
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Modal } from 'react-native';
+import {
+  Text,
+  Surface,
+  IconButton,
+  Button,
+  Chip,
+  TextInput,
+  HelperText,
+} from 'react-native-paper';
+import StorageService from '../services/storage';
+import { parseReminderTime } from '../utils/reminderUtils';
+import { describeRecurrence } from '../utils/recurrence';
+import { colors, spacing, typography } from '../theme';
+
+const MINUTE = 60 * 1000;
+
+// Nudges applied to the current time
+const ADJUSTMENTS = [
+  { label: '-15 min', ms: -15 * MINUTE },
+  { label: '+15 min', ms: 15 * MINUTE },
+  { label: '+1 hour', ms: 60 * MINUTE },
+  { label: '+1 day', ms: 24 * 60 * MINUTE },
+];
+
+export default function ReminderEditDialog({ reminder, saving, onSave, onDismiss }) {
+  const [text, setText] = useState('');
+  const [time, setTime] = useState(new Date());
+  const [timeInput, setTimeInput] = useState('');
+  const [error, setError] = useState('');
+  const [timeOfDay, setTimeOfDay] = useState(undefined);
+
+  // Start from the reminder each time the dialog opens; a missed reminder
+  // starts an hour from now
+  useEffect(() => {
+    if (!reminder) return;
+    const current = new Date(reminder.time);
+    setText(reminder.text || '');
+    setTime(current > new Date() ? current : new Date(Date.now() + 60 * MINUTE));
+    setTimeInput('');
+    setError('');
+    StorageService.getTimeOfDayDefaults().then(setTimeOfDay);
+  }, [reminder]);
+
+  const applyTimeInput = () => {
+    if (!timeInput.trim()) return;
+    const parsed = parseReminderTime(timeInput.trim(), { timeOfDay });
+    if (!parsed) {
+      setError('Try a time like "6:45 PM", "in 2 hours" or "tomorrow morning"');
+      return;
+    }
+    setTime(parsed);
+    setTimeInput('');
+    setError('');
+  };
+
+  const handleSave = () => {
+    if (!text.trim()) {
+      setError('Reminder text can\'t be empty');
+      return;
+    }
+    if (time <= new Date()) {
+      setError('Pick a time in the future');
+      return;
+    }
+    onSave({ text, time: time.toISOString() });
+  };
+
+  return (
+    <Modal
+      visible={!!reminder}
+      transparent
+      animationType="fade"
+      onRequestClose={onDismiss}
+    >
+      <View style={styles.backdrop}>
+        <Surface style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>Edit Reminder</Text>
+            <IconButton icon="close" size={20} onPress={onDismiss} />
+          </View>
+
+          <TextInput
+            label="Remind me to"
+            value={text}
+            onChangeText={(value) => {
+              setText(value);
+              setError('');
+            }}
+            mode="outlined"
+            multiline
+            style={styles.input}
+          />
+
+          <Text style={styles.label}>
+            {reminder?.recurrence ? 'Next occurrence' : 'When'}
+          </Text>
+          <Text style={styles.time}>{time.toLocaleString()}</Text>
+          {reminder?.recurrence && (
+            <Text style={styles.hint}>{describeRecurrence(reminder.recurrence)}</Text>
+          )}
+
+          <View style={styles.chipRow}>
+            {ADJUSTMENTS.map((adjustment) => (
+              <Chip
+                key={adjustment.label}
+                compact
+                onPress={() => {
+                  setTime(new Date(time.getTime() + adjustment.ms));
+                  setError('');
+                }}
+                style={styles.chip}
+              >
+                {adjustment.label}
+              </Chip>
+            ))}
+          </View>
+
+          <TextInput
+            label="Or type a time"
+            value={timeInput}
+            onChangeText={setTimeInput}
+            onSubmitEditing={applyTimeInput}
+            onBlur={applyTimeInput}
+            mode="outlined"
+            placeholder="tomorrow at 5pm"
+            autoCapitalize="none"
+            autoCorrect={false}
+            style={styles.input}
+          />
+
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          <Button
+            mode="contained"
+            icon="content-save"
+            onPress={handleSave}
+            loading={saving}
+            disabled={saving}
+          >
+            Save
+          </Button>
+        </Surface>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: spacing.md,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  sheet: {
+    padding: spacing.md,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    elevation: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    ...typography.subtitle,
+    color: colors.primary,
+  },
+  input: {
+    marginTop: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  label: {
+    ...typography.caption,
+    color: colors.onSurfaceVariant,
+    marginTop: spacing.md,
+  },
+  time: {
+    ...typography.bold,
+    marginTop: spacing.xs,
+  },
+  hint: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  chip: {
+    backgroundColor: colors.surfaceVariant,
+  },
+});
@@ -0,0 +1,13 @@
+import { localApiUrl } from '../api';
+
+describe('localApiUrl', () => {
+  it.each([
+    ['the dev machine Metro was loaded from', '192.168.1.20:8081', 'ios', 'http://192.168.1.20:8001'],
+    ['the dev machine on Android too', '192.168.1.20:8081', 'android', 'http://192.168.1.20:8001'],
+    ['the emulator\'s alias for the dev machine', undefined, 'android', 'http://10.0.2.2:8001'],
+    ['localhost on the iOS simulator', undefined, 'ios', 'http://localhost:8001'],
+    ['localhost on the web', '', 'web', 'http://localhost:8001'],
+  ])('points at %s', (_, hostUri, os, url) => {
+    expect(localApiUrl(hostUri, os)).toBe(url);
+  });
+});
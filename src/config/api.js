@@ -1,27 +1,125 @@
 /**
  * API Configuration
  */
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
 
 // Production API URL
 export const PRODUCTION_API_URL = 'http://159.65.159.82:8001';
 
+// Port the backend listens on when it runs on the dev machine
+export const LOCAL_API_PORT = 8001;
+
+// URL of a backend on the dev machine. In development the app is loaded
+// from Metro, so `hostUri` ("192.168.1.20:8081") names a host the device
+// can reach. Without it, the Android emulator reaches the dev machine at
+// 10.0.2.2 and everything else (iOS simulator, web) at localhost.
+export const localApiUrl = (hostUri = Constants.expoConfig?.hostUri, os = Platform.OS) => {
+  const host = hostUri?.split(':')[0] || (os === 'android' ? '10.0.2.2' : 'localhost');
+  return `http://${host}:${LOCAL_API_PORT}`;
+};
+
 // Local development API URL
-export const LOCAL_API_URL = 'http://159.65.159.82:8001';
+export const LOCAL_API_URL = localApiUrl();
 
 // Default to production API
 export const DEFAULT_API_URL = PRODUCTION_API_URL;
 
+// `extra` from app.json / app.config.js. `apiProfile` picks the default
+// environment and `apiProfiles` adds more, so each EAS build profile can
+// ship with its own backend (see API_PROFILE in eas.json).
+const extra = Constants.expoConfig?.extra || {};
+
+/**
+ * Backend environment profiles. A profile is
+ * { id, name, baseURL, headers, endpoints, builtIn }, where `headers` are
+ * sent with every request and `endpoints` overrides paths from
+ * API_ENDPOINTS by key (e.g. { CHAT: '/v2/chat/' }).
+ */
+export const DEFAULT_API_PROFILES = [
+  {
+    id: 'production',
+    name: 'Production',
+    baseURL: PRODUCTION_API_URL,
+    headers: {},
+    endpoints: {},
+    builtIn: true,
+  },
+  {
+    id: 'local',
+    name: 'Local',
+    baseURL: LOCAL_API_URL,
+    headers: {},
+    endpoints: {},
+    builtIn: true,
+  },
+  ...(extra.apiProfiles || []).map((profile) => ({
+    headers: {},
+    endpoints: {},
+    ...profile,
+    builtIn: true,
+  })),
+];
+
+export const DEFAULT_API_PROFILE_ID = extra.apiProfile || 'production';
+
 export const API_ENDPOINTS = {
   CHAT: '/api/chat/',
+  // Server-Sent Events variant of the chat endpoint
+  CHAT_STREAM: '/api/chat/stream',
   // Intent classification endpoint
   INTENT_CLASSIFY: '/api/intent/classify',
-  CLEAR_HISTORY: (userId) => `/api/chat/history/${userId}`,
+  CLEAR_HISTORY: '/api/chat/history/:userId',
+  // Two-way history sync (GET pulls changes, POST pushes them)
+  HISTORY_SYNC: '/api/chat/history/:userId/sync',
   HEALTH: '/health',
+  // Authentication
+  AUTH_LOGIN: '/auth/login',
+  AUTH_REFRESH: '/auth/refresh',
+  AUTH_LOGOUT: '/auth/logout',
+  // Firebase push notifications
+  REGISTER_DEVICE: '/firebase/register-device',
+  UNREGISTER_DEVICE: '/firebase/unregister-device',
+  SCHEDULE_REMINDER: '/firebase/schedule-reminder',
+  CANCEL_REMINDER: '/firebase/cancel-reminder',
+  // Snooze / Done pressed on a delivered reminder
+  ACK_REMINDER: '/firebase/reminder-ack',
+  REMINDER_STATUS: '/firebase/reminder-status/:reminderId',
 };
 
+// Fill `:name` placeholders in an endpoint path
+export const buildPath = (template, params = {}) =>
+  template.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key] ?? ''));
+
 export const API_CONFIG = {
   timeout: 30000, // 30 seconds
+  // Streaming replies can run longer than `timeout`; abort only when the
+  // backend goes quiet for this long.
+  streamIdleTimeout: 30000,
   headers: {
     'Content-Type': 'application/json',
   },
 };
+
+// Status codes that are worth retrying (timeouts, rate limiting, 5xx)
+export const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Per-endpoint retry settings. Attempt n waits a random delay between 0 and
+// min(maxDelay, baseDelay * 2^n); a Retry-After header from the server wins
+// (up to maxRetryAfter). Network errors and RETRYABLE_STATUS_CODES retry.
+export const RETRY_POLICIES = {
+  default: { retries: 2, baseDelay: 500, maxDelay: 8000, maxRetryAfter: 30000 },
+  chat: { retries: 2, baseDelay: 1000 },
+  audio: { retries: 1, baseDelay: 1000 },
+  intent: { retries: 1, baseDelay: 300, maxDelay: 2000 },
+  health: { retries: 0 },
+  clearHistory: { retries: 2 },
+  historySync: { retries: 2, baseDelay: 1000 },
+  registerDevice: { retries: 3, baseDelay: 1000 },
+  scheduleReminder: { retries: 4, baseDelay: 1000 },
+  cancelReminder: { retries: 4, baseDelay: 1000 },
+  acknowledgeReminder: { retries: 4, baseDelay: 1000 },
+  reminderStatus: { retries: 2 },
+  auth: { retries: 1 },
+  unregisterDevice: { retries: 2 },
+};
@@ -1,7 +1,7 @@
 /**
  * Chat Screen - Main conversation interface
  */
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   StyleSheet,
@@ -22,16 +22,26 @@ import {
   Chip,
 } from 'react-native-paper';
 import Markdown from 'react-native-markdown-display';
+import { useFocusEffect } from '@react-navigation/native';
 import Animated, { FadeIn, FadeOut, useSharedValue, useAnimatedStyle, withSpring, withRepeat, withSequence } from 'react-native-reanimated';
 import * as Device from 'expo-device';
 import * as IntentLauncher from 'expo-intent-launcher';
 import APIService from '../services/api';
 import StorageService from '../services/storage';
 import VoiceService from '../services/voice';
-import reminderService from '../services/reminderService';
+import reminderService, { isReminderIntent, reminderReply } from '../services/reminderService';
+import OutboxService, { MESSAGE_STATUS } from '../services/outbox';
+import SyncService from '../services/sync';
+import ConversationPicker from '../components/ConversationPicker';
+import { describeTime } from '../utils/timeParser';
 import { colors, spacing, typography } from '../theme';
 
-export default function ChatScreen() {
+// Messages loaded at a time; older ones are fetched on demand
+const MESSAGE_PAGE_SIZE = 50;
+// Messages shown before a message opened from a search result
+const JUMP_CONTEXT_SIZE = 10;
+
+export default function ChatScreen({ route, navigation }) {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [loading, setLoading] = useState(false);
@@ -40,8 +50,20 @@ export default function ChatScreen() {
   const [isRecording, setIsRecording] = useState(false);
   const [recordingDuration, setRecordingDuration] = useState(0);
   const [autoPlayAudio, setAutoPlayAudio] = useState(false);
+  const [streamResponses, setStreamResponses] = useState(true);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
+  const [conversation, setConversation] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [hasEarlierMessages, setHasEarlierMessages] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   const flatListRef = useRef(null);
+  const loadingEarlierRef = useRef(false);
+  const scrollTargetRef = useRef(null);
+  const pendingJumpRef = useRef(false);
+  const conversationIdRef = useRef(null);
   const recordingInterval = useRef(null);
+  const abortControllerRef = useRef(null);
   const micScale = useSharedValue(1);
 
   useEffect(() => {
@@ -49,6 +71,70 @@ export default function ChatScreen() {
     setupFirebaseNotifications();
   }, []);
 
+  useEffect(() => {
+    OutboxService.start();
+
+    // Reflect outbox progress in the transcript of the open conversation
+    const unsubscribe = OutboxService.subscribe((event) => {
+      if (event.type === 'status') {
+        setMessages((prev) => prev.map((m) => (
+          m.id === event.messageId ? { ...m, status: event.status } : m
+        )));
+      } else if (event.type === 'delivered') {
+        const { userMessage, assistantMessage } = event;
+        if (userMessage.conversationId !== conversationIdRef.current) return;
+        setMessages((prev) => {
+          const next = prev.filter((m) => m.id !== userMessage.id);
+          const index = prev.findIndex((m) => m.id === userMessage.id);
+          next.splice(index === -1 ? next.length : index, 0, userMessage, assistantMessage);
+          return next;
+        });
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      OutboxService.stop();
+    };
+  }, []);
+
+  // Show messages pulled from other devices, unless a reply is in flight
+  useEffect(() => {
+    return SyncService.subscribe((status) => {
+      if (status.changes > 0 && conversationIdRef.current && !abortControllerRef.current) {
+        openConversation(conversationIdRef.current);
+      }
+    });
+  }, []);
+
+  // Opened from a History search result: show that message in context
+  const { conversationId: jumpConversationId, messageId: jumpMessageId } = route?.params || {};
+  useEffect(() => {
+    if (!jumpMessageId) return;
+    pendingJumpRef.current = true;
+    navigation.setParams({ conversationId: undefined, messageId: undefined });
+    openConversation(jumpConversationId, { aroundMessageId: jumpMessageId });
+  }, [jumpConversationId, jumpMessageId, navigation]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Load the active conversation, which another screen may have switched
+  useFocusEffect(
+    useCallback(() => {
+      const syncActiveConversation = async () => {
+        const activeId = await StorageService.getActiveConversationId();
+        if (!pendingJumpRef.current && activeId !== conversationIdRef.current) {
+          await openConversation(activeId);
+        }
+      };
+      syncActiveConversation();
+    }, [])
+  );
+
   const setupFirebaseNotifications = async () => {
     try {
       console.log('🔥 Setting up Firebase notifications...');
@@ -65,17 +151,20 @@ export default function ChatScreen() {
   };
 
   const initializeChat = async () => {
+    // Set from the signed-in account by AuthService
     const id = await StorageService.getUserId();
-    setUserId("user_123"); // Temporary hardcoded ID for testing
+    setUserId(id);
     
     const webSearch = await StorageService.getWebSearchEnabled();
     setWebSearchEnabled(webSearch);
     
     const autoPlay = await StorageService.getAutoPlayAudio();
     setAutoPlayAudio(autoPlay);
-    
-    const history = await StorageService.getConversationHistory();
-    setMessages(history);
+
+    const stream = await StorageService.getStreamResponses();
+    setStreamResponses(stream);
+
+    SyncService.autoSync();
     
     // Test API connection
     console.log("Testing API connection on startup...");
@@ -87,65 +176,189 @@ export default function ChatScreen() {
     }
   };
 
+  // Show a thread's saved messages plus anything still queued for it
+  // With `aroundMessageId`, loads from a little before that message and
+  // scrolls to it
+  const openConversation = async (conversationId, { aroundMessageId } = {}) => {
+    conversationIdRef.current = conversationId;
+    await StorageService.setActiveConversationId(conversationId);
+
+    const all = await StorageService.getConversations();
+    setConversations(all);
+    setConversation(all.find((c) => c.id === conversationId) || null);
+
+    const target = aroundMessageId && (await StorageService.getMessage(aroundMessageId));
+    let history;
+    if (target) {
+      const earlier = await StorageService.getConversationHistory(conversationId, {
+        limit: JUMP_CONTEXT_SIZE,
+        before: target.timestamp,
+      });
+      const rest = await StorageService.getConversationHistory(conversationId, {
+        since: target.timestamp,
+      });
+      history = [...earlier, ...rest];
+      setHasEarlierMessages(earlier.length === JUMP_CONTEXT_SIZE);
+      scrollTargetRef.current = target.id;
+      setHighlightedMessageId(target.id);
+    } else {
+      history = await StorageService.getConversationHistory(conversationId, {
+        limit: MESSAGE_PAGE_SIZE,
+      });
+      setHasEarlierMessages(history.length === MESSAGE_PAGE_SIZE);
+    }
+
+    const queued = await OutboxService.getQueuedMessages(conversationId);
+    setMessages([...history, ...queued]);
+    pendingJumpRef.current = false;
+  };
+
+  // Prepend the page of messages before the oldest one shown
+  const loadEarlierMessages = async () => {
+    const oldest = messages[0];
+    if (!oldest) return;
+
+    const earlier = await StorageService.getConversationHistory(conversationIdRef.current, {
+      limit: MESSAGE_PAGE_SIZE,
+      before: oldest.timestamp,
+    });
+    setHasEarlierMessages(earlier.length === MESSAGE_PAGE_SIZE);
+
+    // Keep the scroll position instead of jumping to the newest message
+    loadingEarlierRef.current = true;
+    setMessages((prev) => [
+      ...earlier.filter((m) => !prev.some((p) => p.id === m.id)),
+      ...prev,
+    ]);
+  };
+
+  const refreshConversations = async () => {
+    const all = await StorageService.getConversations();
+    setConversations(all);
+    setConversation(all.find((c) => c.id === conversationIdRef.current) || null);
+  };
+
+  const selectConversation = async (conversationId) => {
+    setPickerVisible(false);
+    if (conversationId !== conversationIdRef.current) {
+      await openConversation(conversationId);
+    }
+  };
+
+  const createConversation = async () => {
+    const created = await StorageService.createConversation();
+    setPickerVisible(false);
+    await openConversation(created.id);
+  };
+
+  const renameConversation = async (conversationId, title) => {
+    await StorageService.renameConversation(conversationId, title);
+    await refreshConversations();
+  };
+
+  const archiveConversation = async (conversationId, archived) => {
+    await StorageService.archiveConversation(conversationId, archived);
+    if (archived && conversationId === conversationIdRef.current) {
+      await openConversation(await StorageService.getActiveConversationId());
+    } else {
+      await refreshConversations();
+    }
+  };
+
+  const deleteConversation = async (conversationId) => {
+    try {
+      await APIService.clearHistory(userId, { conversationId });
+    } catch (error) {
+      console.error('Error clearing conversation on backend:', error);
+    }
+    await StorageService.deleteConversation(conversationId);
+    if (conversationId === conversationIdRef.current) {
+      await openConversation(await StorageService.getActiveConversationId());
+    } else {
+      await refreshConversations();
+    }
+  };
+
+  // Ask before scheduling a reminder whose time was a guess. Resolves to
+  // the time picked, or null if the user backed out.
+  const confirmReminderTime = (interpretation) => new Promise((resolve) => {
+    const [alternative] = interpretation.alternatives;
+    const label = (date) => {
+      const text = describeTime(date);
+      return text[0].toUpperCase() + text.slice(1);
+    };
+
+    Alert.alert(
+      'Confirm Reminder Time',
+      `Did you mean ${describeTime(interpretation.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel', onPress: () => resolve(null) },
+        ...(alternative ? [{ text: label(alternative), onPress: () => resolve(alternative) }] : []),
+        { text: 'Yes', onPress: () => resolve(interpretation.date) },
+      ],
+      { cancelable: true, onDismiss: () => resolve(null) }
+    );
+  });
+
   // Enhanced method to handle alarm/reminder setting with Firebase
-  const handleAlarmReminder = async (userMessage, intentResult) => {
+  const handleAlarmReminder = async (userMessage, intentResult, signal) => {
     try {
       console.log(`🔔 Processing Firebase reminder with time: ${intentResult.time}`);
-      
+
+      let time = null;
+      const interpretation = await reminderService.resolveReminderTime(userMessage, intentResult);
+      if (interpretation) {
+        time = interpretation.ambiguous
+          ? await confirmReminderTime(interpretation)
+          : interpretation.date;
+        if (!time) {
+          const assistantMessage = {
+            id: (Date.now() + 1).toString(),
+            text: 'OK, I didn\'t set that reminder. Tell me again with the time you want, e.g. "tomorrow at 5:30 PM".',
+            conversationId: userMessage.conversationId,
+            isUser: false,
+            timestamp: new Date().toISOString(),
+          };
+          setMessages((prev) => [...prev, assistantMessage]);
+          await StorageService.addMessageToHistory(markSent(userMessage));
+          await StorageService.addMessageToHistory(assistantMessage);
+          return;
+        }
+      }
+
       // Use the new reminder service
-      const result = await reminderService.scheduleReminder(userMessage, intentResult);
-      
+      const result = await reminderService.scheduleReminder(userMessage, intentResult, {
+        signal,
+        time: time?.toISOString(),
+        anchor: interpretation?.anchor,
+      });
+      const sentMessage = markSent(userMessage);
+      const assistantMessage = reminderReply(userMessage, result);
+
       if (result.success) {
-        // Show success alert
         Alert.alert(
-          '🔥 Firebase Reminder Set',
+          result.method === 'firebase_push' ? '🔥 Firebase Reminder Set' : '⏰ Reminder Set',
           result.message,
           [{ text: 'Awesome!' }]
         );
-
-        // Create assistant response message
-        const assistantMessage = {
-          id: (Date.now() + 1).toString(),
-          text: `🔥 **Firebase Reminder Scheduled!**\n\n${result.message}\n\n✨ **Method**: ${result.method}\n\n🚀 *You'll receive a reliable push notification even if the app is closed!*`,
-          isUser: false,
-          timestamp: new Date().toISOString(),
-          isFirebaseReminder: true,
-          reminderMethod: result.method,
-          reminderScheduled: true,
-        };
-
-        setMessages((prev) => [...prev, assistantMessage]);
-        
-        // Save to storage
-        await StorageService.addMessageToHistory(userMessage);
-        await StorageService.addMessageToHistory(assistantMessage);
-
       } else {
-        // Handle fallback case
         Alert.alert(
-          '⚠️ Reminder Saved Locally',
+          '⚠️ Reminder Saved',
           result.message,
           [{ text: 'OK' }]
         );
+      }
 
-        const assistantMessage = {
-          id: (Date.now() + 1).toString(),
-          text: `💾 **Reminder Saved Locally**\n\n${result.message}\n\n� *To get push notifications, make sure Firebase is properly configured in your backend.*`,
-          isUser: false,
-          timestamp: new Date().toISOString(),
-          isLocalReminder: true,
-          reminderMethod: result.method,
-          reminderScheduled: false,
-        };
+      setMessages((prev) => [...prev, assistantMessage]);
 
-        setMessages((prev) => [...prev, assistantMessage]);
-        
-        // Save to storage
-        await StorageService.addMessageToHistory(userMessage);
-        await StorageService.addMessageToHistory(assistantMessage);
-      }
+      // Save to storage
+      await StorageService.addMessageToHistory(sentMessage);
+      await StorageService.addMessageToHistory(assistantMessage);
 
     } catch (reminderError) {
+      if (reminderError.cancelled) {
+        throw reminderError;
+      }
       console.error('❌ Firebase reminder failed:', reminderError);
       
       // Show error alert
@@ -164,83 +377,217 @@ export default function ChatScreen() {
 
     const userMessage = {
       id: Date.now().toString(),
+      conversationId: conversation?.id,
       text: inputText.trim(),
       isUser: true,
       timestamp: new Date().toISOString(),
+      status: MESSAGE_STATUS.PENDING,
     };
 
     setMessages((prev) => [...prev, userMessage]);
     setInputText('');
     setLoading(true);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const { signal } = controller;
+
     try {
       // Step 1: Call intent classification first
-      const intentResult = await APIService.classifyIntent(userId, userMessage.text);
+      const intentResult = await APIService.classifyIntent(userId, userMessage.text, { signal });
       
-      if (intentResult.success && intentResult.intent === 'REMINDER' && intentResult.time && intentResult.confidence >= 0.8) {
+      if (isReminderIntent(intentResult)) {
         // Handle REMINDER intent using dedicated method
         try {
-          await handleAlarmReminder(userMessage, intentResult);
+          await handleAlarmReminder(userMessage, intentResult, signal);
         } catch (reminderError) {
+          if (reminderError.cancelled) {
+            await markStopped(userMessage);
+            return;
+          }
           console.error('Failed to handle reminder, falling back to normal chat:', reminderError);
           // Fallback to normal chat if reminder fails
-          await handleNormalChat(userMessage);
+          await handleNormalChat(userMessage, signal);
         }
       } else {
         // Step 2: For non-REMINDER or low confidence, use normal chat
-        await handleNormalChat(userMessage);
+        await handleNormalChat(userMessage, signal);
       }
 
     } catch (error) {
+      if (error.cancelled) {
+        await markStopped(userMessage);
+        return;
+      }
       console.error('Intent classification failed, falling back to chat:', error);
       // Fallback to normal chat if intent API fails
-      await handleNormalChat(userMessage);
+      await handleNormalChat(userMessage, signal);
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
     }
   };
 
+  // Abort whatever request is currently in flight
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Leave a "stopped" marker in the transcript. Any partially streamed reply
+  // stays visible but is never saved to history.
+  const markStopped = async (userMessage, assistantId = (Date.now() + 1).toString()) => {
+    setMessages((prev) => {
+      const partial = prev.find((m) => m.id === assistantId);
+      const stoppedMessage = {
+        id: assistantId,
+        text: partial?.text || '*No response*',
+        isUser: false,
+        isStopped: true,
+        timestamp: partial?.timestamp || new Date().toISOString(),
+      };
+      return [...prev.filter((m) => m.id !== assistantId), stoppedMessage];
+    });
+
+    if (userMessage) {
+      await StorageService.addMessageToHistory(markSent(userMessage));
+    }
+  };
+
+  // Update fields of a message that is already in the transcript
+  const updateMessage = (id, updates) => {
+    setMessages((prev) => prev.map((m) => (m.id === id ? { ...m, ...updates } : m)));
+  };
+
+  // Mark a user message as delivered and return the copy to persist
+  const markSent = (userMessage) => {
+    updateMessage(userMessage.id, { status: MESSAGE_STATUS.SENT });
+    return { ...userMessage, status: MESSAGE_STATUS.SENT };
+  };
+
+  const retryMessage = async (messageId) => {
+    await OutboxService.retry(messageId);
+  };
+
+  // Add a message, or merge into it if a message with the same id is already shown
+  const upsertMessage = (message) => {
+    setMessages((prev) => {
+      const index = prev.findIndex((m) => m.id === message.id);
+      if (index === -1) {
+        return [...prev, message];
+      }
+      const next = [...prev];
+      next[index] = { ...next[index], ...message };
+      return next;
+    });
+  };
+
   // Helper function for normal chat flow
-  const handleNormalChat = async (userMessage) => {
+  const handleNormalChat = async (userMessage, signal) => {
+    const assistantId = (Date.now() + 1).toString();
+    const timestamp = new Date().toISOString();
+
     try {
-      const response = await APIService.sendMessage(
-        userId,
-        userMessage.text,
-        webSearchEnabled
-      );
+      let response;
+      if (streamResponses) {
+        // Show the assistant bubble right away and fill it in as chunks arrive
+        setStreamingMessageId(assistantId);
+        upsertMessage({
+          id: assistantId,
+          text: '',
+          isUser: false,
+          timestamp,
+          isStreaming: true,
+        });
+        response = await APIService.streamMessage(
+          userId,
+          userMessage.text,
+          webSearchEnabled,
+          {
+            onChunk: (text) => upsertMessage({
+              id: assistantId,
+              text,
+              isUser: false,
+              timestamp,
+              isStreaming: true,
+            }),
+            signal,
+            idempotencyKey: userMessage.id,
+            conversationId: userMessage.conversationId,
+          }
+        );
+      } else {
+        response = await APIService.sendMessage(
+          userId,
+          userMessage.text,
+          webSearchEnabled,
+          {
+            signal,
+            idempotencyKey: userMessage.id,
+            conversationId: userMessage.conversationId,
+          }
+        );
+      }
 
       const assistantMessage = {
-        id: (Date.now() + 1).toString(),
+        id: assistantId,
+        conversationId: userMessage.conversationId,
         text: response.response,
         isUser: false,
-        timestamp: new Date().toISOString(),
+        timestamp,
         tokensUsed: response.tokens_used,
         webSearchUsed: response.web_search_used,
       };
 
-      setMessages((prev) => [...prev, assistantMessage]);
+      // Replace the streaming bubble so no transient fields linger
+      setMessages((prev) => [...prev.filter((m) => m.id !== assistantId), assistantMessage]);
       
       // Save to storage
-      await StorageService.addMessageToHistory(userMessage);
+      await StorageService.addMessageToHistory(markSent(userMessage));
       await StorageService.addMessageToHistory(assistantMessage);
+      await refreshConversations();
 
     } catch (error) {
+      if (error.cancelled) {
+        await markStopped(userMessage, assistantId);
+        return;
+      }
+
+      if (error.status === 0) {
+        // Backend unreachable - keep the message and deliver it once we're back
+        setMessages((prev) => prev.filter((m) => m.id !== assistantId));
+        await OutboxService.enqueue(userMessage, { userId, useWebSearch: webSearchEnabled });
+        return;
+      }
+
+      // Keep the failed message around so it can be retried
+      await OutboxService.enqueue(userMessage, {
+        userId,
+        useWebSearch: webSearchEnabled,
+        status: MESSAGE_STATUS.FAILED,
+        error: error.message,
+      });
+
       const errorMessage = {
-        id: (Date.now() + 1).toString(),
+        id: assistantId,
         text: `Error: ${error.message}`,
         isUser: false,
         isError: true,
         timestamp: new Date().toISOString(),
       };
-      setMessages((prev) => [...prev, errorMessage]);
+      // Drop any partially streamed reply in favour of the error
+      setMessages((prev) => [...prev.filter((m) => m.id !== assistantId), errorMessage]);
+    } finally {
+      setStreamingMessageId(null);
     }
   };
 
   const clearHistory = async () => {
     try {
-      await APIService.clearHistory(userId);
-      await StorageService.clearConversationHistory();
+      await APIService.clearHistory(userId, { conversationId: conversation?.id });
+      await StorageService.clearConversationHistory(conversation?.id);
+      await StorageService.clearOutbox(conversation?.id);
       setMessages([]);
+      await refreshConversations();
     } catch (error) {
       console.error('Error clearing history:', error);
     }
@@ -333,6 +680,9 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       setIsRecording(false);
       setLoading(true);
 
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
       const audioUri = await VoiceService.stopRecording();
       const base64Audio = await VoiceService.convertAudioToBase64(audioUri);
 
@@ -340,11 +690,13 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       const response = await APIService.sendAudio(
         userId,
         base64Audio,
-        webSearchEnabled
+        webSearchEnabled,
+        { signal: controller.signal, conversationId: conversation?.id }
       );
 
       const assistantMessage = {
         id: Date.now().toString(),
+        conversationId: conversation?.id,
         text: response.response,
         isUser: false,
         timestamp: new Date().toISOString(),
@@ -362,6 +714,11 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       }
 
     } catch (error) {
+      if (error.cancelled) {
+        await markStopped(null);
+        return;
+      }
+
       const errorMessage = {
         id: Date.now().toString(),
         text: `Error: ${error.message}`,
@@ -371,6 +728,7 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       };
       setMessages((prev) => [...prev, errorMessage]);
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
       setRecordingDuration(0);
     }
@@ -393,12 +751,16 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
           styles.messageBubble,
           item.isUser ? styles.userBubble : styles.assistantBubble,
           item.isError && styles.errorBubble,
+          item.isStopped && styles.stoppedBubble,
+          item.id === highlightedMessageId && styles.highlightedBubble,
         ]}
       >
         {item.isUser ? (
           <Text style={styles.messageText}>{item.text}</Text>
         ) : (
-          <Markdown style={markdownStyles}>{item.text}</Markdown>
+          <Markdown style={markdownStyles}>
+            {item.isStreaming ? `${item.text} ▍` : item.text}
+          </Markdown>
         )}
         
         <View style={styles.messageFooter}>
@@ -414,6 +776,20 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
           {item.webSearchUsed && (
             <Text style={styles.webSearch}>🔍 Web</Text>
           )}
+          {item.isStopped && (
+            <Text style={styles.stopped}>⏹ Stopped</Text>
+          )}
+          {item.isUser && item.status === MESSAGE_STATUS.PENDING && (
+            <Text style={styles.messageStatus}>🕓 Waiting to send</Text>
+          )}
+          {item.isUser && item.status === MESSAGE_STATUS.SENT && (
+            <Text style={styles.messageStatus}>✓</Text>
+          )}
+          {item.isUser && item.status === MESSAGE_STATUS.FAILED && (
+            <TouchableOpacity onPress={() => retryMessage(item.id)}>
+              <Text style={styles.messageFailed}>⚠️ Failed · Tap to retry</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </Surface>
     </Animated.View>
@@ -428,7 +804,16 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       {/* Header */}
       <Surface style={styles.header}>
         <View style={styles.headerContent}>
-          <Text style={styles.headerTitle}>JARVIS</Text>
+          <TouchableOpacity
+            style={styles.headerTitleContainer}
+            onPress={() => setPickerVisible(true)}
+            disabled={loading}
+          >
+            <Text style={styles.headerTitle}>JARVIS</Text>
+            <Text style={styles.conversationTitle} numberOfLines={1}>
+              {conversation?.title || 'Conversation'} ▾
+            </Text>
+          </TouchableOpacity>
           <View style={styles.headerActions}>
             <Chip
               mode="flat"
@@ -458,6 +843,18 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
         </View>
       </Surface>
 
+      <ConversationPicker
+        visible={pickerVisible}
+        conversations={conversations}
+        activeId={conversation?.id}
+        onSelect={selectConversation}
+        onCreate={createConversation}
+        onRename={renameConversation}
+        onArchive={archiveConversation}
+        onDelete={deleteConversation}
+        onDismiss={() => setPickerVisible(false)}
+      />
+
       {/* Messages */}
       <FlatList
         ref={flatListRef}
@@ -465,8 +862,32 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
         renderItem={renderMessage}
         keyExtractor={(item) => item.id}
         contentContainerStyle={styles.messagesList}
-        onContentSizeChange={() =>
-          flatListRef.current?.scrollToEnd({ animated: true })
+        onContentSizeChange={() => {
+          if (loadingEarlierRef.current) {
+            loadingEarlierRef.current = false;
+            return;
+          }
+          if (scrollTargetRef.current) {
+            const index = messages.findIndex((m) => m.id === scrollTargetRef.current);
+            scrollTargetRef.current = null;
+            if (index !== -1) {
+              flatListRef.current?.scrollToIndex({ index, viewPosition: 0.3 });
+              return;
+            }
+          }
+          flatListRef.current?.scrollToEnd({ animated: true });
+        }}
+        onScrollToIndexFailed={({ index, averageItemLength }) => {
+          // Rows above the target haven't been measured yet - get close, then retry
+          flatListRef.current?.scrollToOffset({ offset: index * averageItemLength, animated: false });
+          setTimeout(() => flatListRef.current?.scrollToIndex({ index, viewPosition: 0.3 }), 100);
+        }}
+        ListHeaderComponent={
+          hasEarlierMessages && (
+            <TouchableOpacity onPress={loadEarlierMessages} style={styles.loadEarlier}>
+              <Text style={styles.loadEarlierText}>Load earlier messages</Text>
+            </TouchableOpacity>
+          )
         }
         onLayout={() => flatListRef.current?.scrollToEnd({ animated: false })}
         ListEmptyComponent={
@@ -480,7 +901,7 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
       />
 
       {/* Typing Indicator */}
-      {loading && (
+      {loading && !streamingMessageId && (
         <Animated.View entering={FadeIn} exiting={FadeOut} style={styles.typingContainer}>
           <Surface style={styles.typingBubble}>
             <ActivityIndicator size="small" color={colors.primary} />
@@ -515,14 +936,25 @@ Scheduled: ${debugInfo.scheduledCount} notifications`,
               onSubmitEditing={sendMessage}
               disabled={loading}
             />
-            <IconButton
-              icon="send"
-              size={24}
-              iconColor={inputText.trim() ? colors.primary : colors.onSurfaceVariant}
-              onPress={sendMessage}
-              disabled={!inputText.trim() || loading}
-              style={styles.sendButton}
-            />
+            {loading ? (
+              <IconButton
+                icon="stop-circle-outline"
+                size={24}
+                iconColor={colors.error}
+                onPress={stopGeneration}
+                style={styles.sendButton}
+                accessibilityLabel="Stop generating"
+              />
+            ) : (
+              <IconButton
+                icon="send"
+                size={24}
+                iconColor={inputText.trim() ? colors.primary : colors.onSurfaceVariant}
+                onPress={sendMessage}
+                disabled={!inputText.trim()}
+                style={styles.sendButton}
+              />
+            )}
           </>
         ) : (
           <View style={styles.recordingContainer}>
@@ -569,11 +1001,19 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  headerTitleContainer: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
   headerTitle: {
     ...typography.title,
     color: colors.primary,
     fontWeight: 'bold',
   },
+  conversationTitle: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+  },
   headerActions: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -589,6 +1029,15 @@ const styles = StyleSheet.create({
     padding: spacing.md,
     flexGrow: 1,
   },
+  loadEarlier: {
+    alignSelf: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  loadEarlierText: {
+    ...typography.caption,
+    color: colors.primary,
+  },
   messageContainer: {
     marginBottom: spacing.md,
     maxWidth: '80%',
@@ -613,6 +1062,13 @@ const styles = StyleSheet.create({
   errorBubble: {
     backgroundColor: colors.error + '20',
   },
+  stoppedBubble: {
+    opacity: 0.7,
+  },
+  highlightedBubble: {
+    borderWidth: 2,
+    borderColor: colors.warning,
+  },
   messageText: {
     ...typography.body,
     color: colors.background,
@@ -634,6 +1090,20 @@ const styles = StyleSheet.create({
     ...typography.small,
     color: colors.success,
   },
+  stopped: {
+    ...typography.small,
+    color: colors.warning,
+  },
+  messageStatus: {
+    ...typography.small,
+    color: colors.background,
+    opacity: 0.7,
+  },
+  messageFailed: {
+    ...typography.small,
+    color: colors.error,
+    fontWeight: '600',
+  },
   typingContainer: {
     paddingHorizontal: spacing.md,
     paddingBottom: spacing.sm,
@@ -1,12 +1,15 @@
 /**
  * History Screen
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   StyleSheet,
   FlatList,
   Alert,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
 } from 'react-native';
 import {
   Text,
@@ -17,40 +20,203 @@ import {
   Card,
   Chip,
 } from 'react-native-paper';
-import * as Sharing from 'expo-sharing';
-import * as FileSystem from 'expo-file-system';
-import StorageService from '../services/storage';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import StorageService, { SNIPPET_MARKERS } from '../services/storage';
+import SyncService from '../services/sync';
+import HistoryExportService from '../services/historyExport';
+import ExportDialog from '../components/ExportDialog';
 import { colors, spacing, typography } from '../theme';
 
+// "just now", "5 min ago", "3 h ago" or a date
+const formatLastSynced = (iso) => {
+  if (!iso) return 'Never synced';
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return 'Synced just now';
+  if (minutes < 60) return `Synced ${minutes} min ago`;
+  if (minutes < 24 * 60) return `Synced ${Math.floor(minutes / 60)} h ago`;
+  return `Synced ${new Date(iso).toLocaleDateString()}`;
+};
+
+// Date range filter presets, cycled by tapping the date chip
+const DATE_RANGES = [
+  { label: 'Any time', days: null },
+  { label: 'Today', days: 1 },
+  { label: 'Last 7 days', days: 7 },
+  { label: 'Last 30 days', days: 30 },
+];
+
+const ROLE_FILTERS = [
+  { label: 'Everyone', role: null },
+  { label: 'You', role: 'user' },
+  { label: 'JARVIS', role: 'assistant' },
+];
+
+const DEFAULT_FILTERS = { roleIndex: 0, rangeIndex: 0, webSearch: false, reminders: false };
+
 export default function HistoryScreen() {
+  const navigation = useNavigation();
+  const [conversations, setConversations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
   const [messages, setMessages] = useState([]);
   const [filteredMessages, setFilteredMessages] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [syncStatus, setSyncStatus] = useState(SyncService.status);
+  const [exportVisible, setExportVisible] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
-  useEffect(() => {
-    loadHistory();
-  }, []);
+  const selectedConversation = conversations.find((c) => c.id === selectedId) || null;
+  const filtersActive = filters.roleIndex !== 0 || filters.rangeIndex !== 0
+    || filters.webSearch || filters.reminders;
+  const isSearching = !!searchQuery.trim() || filtersActive;
+
+  // Messages of the open thread. The thread list searches the database
+  // instead of loading every message.
+  const loadHistory = useCallback(async () => {
+    const all = await StorageService.getConversations();
+    setConversations(all);
+
+    if (selectedId && all.some((c) => c.id === selectedId)) {
+      setMessages(await StorageService.getConversationHistory(selectedId));
+    } else {
+      setSelectedId(null);
+      setMessages([]);
+    }
+  }, [selectedId]);
+
+  // Threads change while other tabs are open, so reload on every visit
+  useFocusEffect(
+    useCallback(() => {
+      loadHistory();
+      SyncService.autoSync();
+    }, [loadHistory])
+  );
 
   useEffect(() => {
-    filterMessages();
-  }, [searchQuery, messages]);
+    SyncService.getLastSyncedAt().then((lastSyncedAt) => {
+      setSyncStatus((prev) => ({ ...prev, lastSyncedAt: prev.lastSyncedAt || lastSyncedAt }));
+    });
+
+    return SyncService.subscribe((status) => {
+      setSyncStatus(status);
+      if (status.changes > 0) {
+        loadHistory();
+      }
+    });
+  }, [loadHistory]);
 
-  const loadHistory = async () => {
-    const history = await StorageService.getConversationHistory();
-    setMessages(history);
+  const syncNow = async () => {
+    try {
+      await SyncService.sync();
+      await loadHistory();
+    } catch (error) {
+      console.error('Manual sync failed:', error);
+    }
   };
 
-  const filterMessages = () => {
-    if (!searchQuery.trim()) {
-      setFilteredMessages(messages);
-      return;
+  useEffect(() => {
+    // Ignore results for a query the user has already typed past
+    let current = true;
+    filterMessages().then((filtered) => {
+      if (current) setFilteredMessages(filtered);
+    });
+    return () => {
+      current = false;
+    };
+  }, [searchQuery, filters, messages]);
+
+  const filterMessages = async () => {
+    if (!isSearching) {
+      return messages;
     }
 
-    const query = searchQuery.toLowerCase();
-    const filtered = messages.filter((msg) =>
-      msg.text.toLowerCase().includes(query)
+    const { days } = DATE_RANGES[filters.rangeIndex];
+    const from = days
+      ? new Date(new Date().setHours(0, 0, 0, 0) - (days - 1) * 24 * 60 * 60 * 1000).toISOString()
+      : undefined;
+
+    return await StorageService.searchMessages(searchQuery, {
+      conversationId: selectedId,
+      role: ROLE_FILTERS[filters.roleIndex].role,
+      from,
+      webSearch: filters.webSearch,
+      reminders: filters.reminders,
+    });
+  };
+
+  const updateFilters = (updates) => {
+    setFilters((prev) => ({ ...prev, ...updates }));
+  };
+
+  const conversationTitle = (id) =>
+    conversations.find((c) => c.id === id)?.title || 'Conversation';
+
+  const openConversation = (conversation) => {
+    setSearchQuery('');
+    setFilters(DEFAULT_FILTERS);
+    setSelectedId(conversation.id);
+  };
+
+  const closeConversation = () => {
+    setSearchQuery('');
+    setFilters(DEFAULT_FILTERS);
+    setSelectedId(null);
+  };
+
+  // Open the chat at this message, with the rest of its conversation around it
+  const openMessageInChat = (message) => {
+    navigation.navigate('Home', {
+      conversationId: message.conversationId,
+      messageId: message.id,
+    });
+  };
+
+  // Split a search snippet into plain and highlighted runs
+  const renderSnippet = (snippet) => (
+    <Text style={styles.messageText}>
+      {snippet.split(SNIPPET_MARKERS.start).map((part, index) => {
+        if (index === 0) return part;
+        const [match, rest] = part.split(SNIPPET_MARKERS.end);
+        return (
+          <React.Fragment key={index}>
+            <Text style={styles.highlight}>{match}</Text>
+            {rest}
+          </React.Fragment>
+        );
+      })}
+    </Text>
+  );
+
+  // Make the thread active and jump to the chat tab
+  const continueInChat = async (conversationId) => {
+    await StorageService.setActiveConversationId(conversationId);
+    navigation.navigate('Home');
+  };
+
+  const showConversationActions = (conversation) => {
+    Alert.alert(
+      conversation.title,
+      `${conversation.messageCount || 0} messages`,
+      [
+        { text: 'Continue in Chat', onPress: () => continueInChat(conversation.id) },
+        {
+          text: conversation.archived ? 'Unarchive' : 'Archive',
+          onPress: async () => {
+            await StorageService.archiveConversation(conversation.id, !conversation.archived);
+            await loadHistory();
+          },
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await StorageService.deleteConversation(conversation.id);
+            await loadHistory();
+          },
+        },
+        { text: 'Cancel', style: 'cancel' },
+      ]
     );
-    setFilteredMessages(filtered);
   };
 
   const groupMessagesByDate = () => {
@@ -70,50 +236,60 @@ export default function HistoryScreen() {
     }));
   };
 
-  const exportHistory = async () => {
-    if (messages.length === 0) {
-      Alert.alert('No History', 'There are no conversations to export');
-      return;
-    }
-
+  const exportHistory = async (formatId, scope) => {
+    setExporting(true);
     try {
-      const content = messages
-        .map((msg) => {
-          const role = msg.isUser ? 'User' : 'JARVIS';
-          const time = new Date(msg.timestamp).toLocaleString();
-          return `[${time}] ${role}:\n${msg.text}\n`;
-        })
-        .join('\n---\n\n');
-
-      const filename = `jarvis-history-${Date.now()}.txt`;
-      const fileUri = FileSystem.documentDirectory + filename;
-
-      await FileSystem.writeAsStringAsync(fileUri, content);
-
-      if (await Sharing.isAvailableAsync()) {
-        await Sharing.shareAsync(fileUri);
-      } else {
-        Alert.alert('Success', `History saved to ${fileUri}`);
+      const fileUri = await HistoryExportService.exportHistory(formatId, scope);
+      if (!fileUri) {
+        Alert.alert('No History', 'There are no messages to export');
+        return;
       }
+      setExportVisible(false);
     } catch (error) {
       console.error('Export error:', error);
       Alert.alert('Error', 'Failed to export history');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const importHistory = async () => {
+    try {
+      const result = await HistoryExportService.importHistory();
+      if (!result) return;
+
+      await loadHistory();
+      Alert.alert(
+        'Import Complete',
+        `Imported ${result.messages} messages` +
+        (result.conversations ? ` in ${result.conversations} new conversations` : '') +
+        (result.skipped ? `. ${result.skipped} already existed and were skipped.` : '.')
+      );
+      SyncService.autoSync();
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert('Import Failed', error.message || 'Could not import history');
     }
   };
 
   const clearHistory = async () => {
     Alert.alert(
       'Clear History',
-      'Are you sure you want to delete all conversation history?',
+      selectedConversation
+        ? `Are you sure you want to delete all messages in "${selectedConversation.title}"?`
+        : 'Are you sure you want to delete all conversations?',
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Clear',
           style: 'destructive',
           onPress: async () => {
-            await StorageService.clearConversationHistory();
-            setMessages([]);
-            setFilteredMessages([]);
+            if (selectedConversation) {
+              await StorageService.clearConversationHistory(selectedConversation.id);
+            } else {
+              await StorageService.clearAllConversations();
+            }
+            await loadHistory();
           },
         },
       ]
@@ -121,35 +297,45 @@ export default function HistoryScreen() {
   };
 
   const renderMessage = ({ item }) => (
-    <Card style={styles.messageCard}>
-      <Card.Content>
-        <View style={styles.messageHeader}>
-          <Chip
-            icon={item.isUser ? 'account' : 'robot'}
-            style={[
-              styles.roleChip,
-              item.isUser ? styles.userChip : styles.assistantChip,
-            ]}
-            textStyle={styles.chipText}
-          >
-            {item.isUser ? 'You' : 'JARVIS'}
-          </Chip>
-          <Text style={styles.timestamp}>
-            {new Date(item.timestamp).toLocaleString()}
-          </Text>
-        </View>
+    <TouchableOpacity onPress={() => openMessageInChat(item)}>
+      <Card style={styles.messageCard}>
+        <Card.Content>
+          <View style={styles.messageHeader}>
+            <Chip
+              icon={item.isUser ? 'account' : 'robot'}
+              style={[
+                styles.roleChip,
+                item.isUser ? styles.userChip : styles.assistantChip,
+              ]}
+              textStyle={styles.chipText}
+            >
+              {item.isUser ? 'You' : 'JARVIS'}
+            </Chip>
+            <Text style={styles.timestamp}>
+              {new Date(item.timestamp).toLocaleString()}
+            </Text>
+          </View>
+
+          {!selectedConversation && (
+            <Text style={styles.threadLabel}>
+              {conversationTitle(item.conversationId)}
+            </Text>
+          )}
         
-        <Text style={styles.messageText} numberOfLines={5}>
-          {item.text}
-        </Text>
+          {item.snippet ? renderSnippet(item.snippet) : (
+            <Text style={styles.messageText} numberOfLines={5}>
+              {item.text}
+            </Text>
+          )}
 
-        {item.tokensUsed && (
-          <Text style={styles.tokens}>
-            {item.tokensUsed} tokens
-          </Text>
-        )}
-      </Card.Content>
-    </Card>
+          {item.tokensUsed && (
+            <Text style={styles.tokens}>
+              {item.tokensUsed} tokens
+            </Text>
+          )}
+        </Card.Content>
+      </Card>
+    </TouchableOpacity>
   );
 
   const renderDateGroup = ({ item }) => (
@@ -161,20 +347,74 @@ export default function HistoryScreen() {
     </View>
   );
 
+  const renderConversation = ({ item }) => (
+    <TouchableOpacity
+      onPress={() => openConversation(item)}
+      onLongPress={() => showConversationActions(item)}
+    >
+      <Card style={[styles.messageCard, item.archived && styles.archivedCard]}>
+        <Card.Content>
+          <View style={styles.messageHeader}>
+            <Text style={styles.threadTitle} numberOfLines={1}>
+              {item.title}
+            </Text>
+            <Text style={styles.timestamp}>
+              {new Date(item.updatedAt).toLocaleDateString()}
+            </Text>
+          </View>
+          <Text style={styles.messageText} numberOfLines={2}>
+            {item.lastMessage || 'No messages yet'}
+          </Text>
+          <Text style={styles.tokens}>
+            {item.messageCount || 0} messages{item.archived ? ' · Archived' : ''}
+          </Text>
+        </Card.Content>
+      </Card>
+    </TouchableOpacity>
+  );
+
   const groupedData = groupMessagesByDate();
+  const showThreads = !selectedConversation && !isSearching;
 
   return (
     <View style={styles.container}>
       {/* Header */}
       <Surface style={styles.header}>
         <View style={styles.headerContent}>
-          <Text style={styles.headerTitle}>History</Text>
+          <View style={styles.headerTitleRow}>
+            {selectedConversation && (
+              <IconButton
+                icon="arrow-left"
+                size={24}
+                iconColor={colors.primary}
+                onPress={closeConversation}
+                style={styles.backButton}
+              />
+            )}
+            <Text style={styles.headerTitle} numberOfLines={1}>
+              {selectedConversation ? selectedConversation.title : 'History'}
+            </Text>
+          </View>
           <View style={styles.headerActions}>
+            {selectedConversation && (
+              <IconButton
+                icon="chat-outline"
+                size={24}
+                iconColor={colors.primary}
+                onPress={() => continueInChat(selectedConversation.id)}
+              />
+            )}
+            <IconButton
+              icon="import"
+              size={24}
+              iconColor={colors.onSurfaceVariant}
+              onPress={importHistory}
+            />
             <IconButton
               icon="export"
               size={24}
               iconColor={colors.onSurfaceVariant}
-              onPress={exportHistory}
+              onPress={() => setExportVisible(true)}
             />
             <IconButton
               icon="delete-outline"
@@ -193,10 +433,101 @@ export default function HistoryScreen() {
           inputStyle={styles.searchInput}
           iconColor={colors.primary}
         />
+
+        {/* Search filters */}
+        <View style={styles.filterRow}>
+          <Chip
+            compact
+            selected={filters.roleIndex !== 0}
+            onPress={() => updateFilters({ roleIndex: (filters.roleIndex + 1) % ROLE_FILTERS.length })}
+            style={styles.filterChip}
+            textStyle={styles.chipText}
+          >
+            {ROLE_FILTERS[filters.roleIndex].label}
+          </Chip>
+          <Chip
+            compact
+            icon="calendar"
+            selected={filters.rangeIndex !== 0}
+            onPress={() => updateFilters({ rangeIndex: (filters.rangeIndex + 1) % DATE_RANGES.length })}
+            style={styles.filterChip}
+            textStyle={styles.chipText}
+          >
+            {DATE_RANGES[filters.rangeIndex].label}
+          </Chip>
+          <Chip
+            compact
+            selected={filters.webSearch}
+            onPress={() => updateFilters({ webSearch: !filters.webSearch })}
+            style={styles.filterChip}
+            textStyle={styles.chipText}
+          >
+            🔍 Web
+          </Chip>
+          <Chip
+            compact
+            selected={filters.reminders}
+            onPress={() => updateFilters({ reminders: !filters.reminders })}
+            style={styles.filterChip}
+            textStyle={styles.chipText}
+          >
+            ⏰ Reminders
+          </Chip>
+        </View>
+
+        {/* Sync status */}
+        <TouchableOpacity
+          style={styles.syncRow}
+          onPress={syncNow}
+          disabled={syncStatus.syncing}
+        >
+          {syncStatus.syncing ? (
+            <ActivityIndicator size="small" color={colors.primary} />
+          ) : (
+            <Text style={syncStatus.error ? styles.syncError : styles.syncText}>
+              {syncStatus.error ? '⚠️' : '☁️'}
+            </Text>
+          )}
+          <Text style={syncStatus.error ? styles.syncError : styles.syncText}>
+            {syncStatus.syncing
+              ? 'Syncing…'
+              : syncStatus.error
+                ? `Sync failed · ${formatLastSynced(syncStatus.lastSyncedAt)} · Tap to retry`
+                : formatLastSynced(syncStatus.lastSyncedAt)}
+          </Text>
+        </TouchableOpacity>
       </Surface>
 
-      {/* Messages List */}
-      {groupedData.length > 0 ? (
+      {/* Threads / Messages List */}
+      {showThreads ? (
+        conversations.length > 0 ? (
+          <FlatList
+            data={conversations}
+            renderItem={renderConversation}
+            keyExtractor={(item) => item.id}
+            contentContainerStyle={styles.list}
+            refreshControl={
+              <RefreshControl
+                refreshing={syncStatus.syncing}
+                onRefresh={syncNow}
+                tintColor={colors.primary}
+              />
+            }
+          />
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No conversations yet</Text>
+          </View>
+        )
+      ) : searchQuery.trim() && filteredMessages.length > 0 ? (
+        // Ranked results, best match first
+        <FlatList
+          data={filteredMessages}
+          renderItem={renderMessage}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+        />
+      ) : groupedData.length > 0 ? (
         <FlatList
           data={groupedData}
           renderItem={renderDateGroup}
@@ -206,20 +537,29 @@ export default function HistoryScreen() {
       ) : (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyText}>
-            {searchQuery ? 'No matching conversations' : 'No conversation history'}
+            {isSearching ? 'No matching messages' : 'No conversation history'}
           </Text>
         </View>
       )}
 
       {/* Floating Export Button */}
-      {messages.length > 0 && (
+      {(selectedId ? messages.length > 0 : conversations.length > 0) && (
         <FAB
           icon="download"
           style={styles.fab}
-          onPress={exportHistory}
+          onPress={() => setExportVisible(true)}
           color={colors.onPrimary}
         />
       )}
+
+      <ExportDialog
+        visible={exportVisible}
+        formats={HistoryExportService.getFormats()}
+        conversation={selectedConversation}
+        exporting={exporting}
+        onExport={exportHistory}
+        onDismiss={() => setExportVisible(false)}
+      />
     </View>
   );
 }
@@ -240,14 +580,38 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: spacing.sm,
   },
+  headerTitleRow: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    margin: 0,
+    marginRight: spacing.xs,
+  },
   headerTitle: {
     ...typography.title,
     color: colors.primary,
     fontWeight: 'bold',
+    flexShrink: 1,
   },
   headerActions: {
     flexDirection: 'row',
   },
+  syncRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  syncText: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+  },
+  syncError: {
+    ...typography.small,
+    color: colors.error,
+  },
   searchBar: {
     backgroundColor: colors.surfaceVariant,
     elevation: 0,
@@ -255,6 +619,20 @@ const styles = StyleSheet.create({
   searchInput: {
     color: colors.onSurface,
   },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  filterChip: {
+    backgroundColor: colors.surfaceVariant,
+  },
+  highlight: {
+    color: colors.primary,
+    fontWeight: '700',
+    backgroundColor: colors.primary + '20',
+  },
   list: {
     padding: spacing.md,
   },
@@ -277,6 +655,19 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: spacing.sm,
   },
+  archivedCard: {
+    opacity: 0.6,
+  },
+  threadTitle: {
+    ...typography.bold,
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  threadLabel: {
+    ...typography.small,
+    color: colors.primary,
+    marginBottom: spacing.xs,
+  },
   roleChip: {
     height: 28,
   },
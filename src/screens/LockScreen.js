@@ -0,0 +1,177 @@
+/**
+ * Lock Screen - PIN pad (and biometric prompt) shown while the app is locked
+ */
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import {
+  Text,
+  Button,
+  IconButton,
+  HelperText,
+} from 'react-native-paper';
+import AppLockService, { PIN_LENGTH } from '../services/appLock';
+import { colors, spacing, typography } from '../theme';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+export default function LockScreen() {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [biometricEnabled, setBiometricEnabled] = useState(false);
+
+  // Offer biometrics straight away when they're turned on
+  useEffect(() => {
+    AppLockService.isBiometricUnlockEnabled().then((enabled) => {
+      setBiometricEnabled(enabled);
+      if (enabled) {
+        AppLockService.unlockWithBiometrics().catch((biometricError) => {
+          console.error('Biometric unlock failed:', biometricError);
+        });
+      }
+    });
+  }, []);
+
+  const pressDigit = (digit) => {
+    setError('');
+    setPin((current) => (current.length < PIN_LENGTH.max ? current + digit : current));
+  };
+
+  const unlock = async () => {
+    if (pin.length < PIN_LENGTH.min || checking) return;
+
+    setChecking(true);
+    try {
+      const unlocked = await AppLockService.unlockWithPin(pin);
+      if (!unlocked) {
+        setError('Wrong PIN');
+        setPin('');
+      }
+    } catch (unlockError) {
+      setError(unlockError.message);
+      setPin('');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const useBiometrics = async () => {
+    try {
+      await AppLockService.unlockWithBiometrics();
+    } catch (biometricError) {
+      console.error('Biometric unlock failed:', biometricError);
+    }
+  };
+
+  const renderKey = (digit) => (
+    <TouchableOpacity
+      key={digit}
+      style={styles.key}
+      onPress={() => pressDigit(digit)}
+      disabled={checking}
+    >
+      <Text style={styles.keyText}>{digit}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>JARVIS</Text>
+      <Text style={styles.subtitle}>Enter your PIN to unlock</Text>
+
+      <View style={styles.dots}>
+        {Array.from({ length: Math.max(pin.length, PIN_LENGTH.min) }, (_, index) => (
+          <View key={index} style={[styles.dot, index < pin.length && styles.dotFilled]} />
+        ))}
+      </View>
+
+      <HelperText type="error" visible={!!error} style={styles.error}>
+        {error}
+      </HelperText>
+
+      <View style={styles.keypad}>
+        {KEYS.map(renderKey)}
+        <View style={styles.key}>
+          {biometricEnabled && (
+            <IconButton icon="fingerprint" size={32} iconColor={colors.primary} onPress={useBiometrics} />
+          )}
+        </View>
+        {renderKey('0')}
+        <View style={styles.key}>
+          <IconButton
+            icon="backspace-outline"
+            size={28}
+            iconColor={colors.onSurfaceVariant}
+            onPress={() => setPin((current) => current.slice(0, -1))}
+            disabled={!pin || checking}
+          />
+        </View>
+      </View>
+
+      <Button
+        mode="contained"
+        onPress={unlock}
+        loading={checking}
+        disabled={pin.length < PIN_LENGTH.min || checking}
+        style={styles.button}
+      >
+        Unlock
+      </Button>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.background,
+    paddingHorizontal: spacing.lg,
+  },
+  title: {
+    ...typography.extraLarge,
+    color: colors.primary,
+  },
+  subtitle: {
+    ...typography.caption,
+    marginBottom: spacing.lg,
+  },
+  dots: {
+    flexDirection: 'row',
+    gap: spacing.md,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+  dotFilled: {
+    backgroundColor: colors.primary,
+  },
+  error: {
+    textAlign: 'center',
+  },
+  keypad: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    width: 264,
+  },
+  key: {
+    width: 88,
+    height: 72,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  keyText: {
+    ...typography.title,
+    color: colors.onSurface,
+  },
+  button: {
+    marginTop: spacing.md,
+    minWidth: 200,
+  },
+});
@@ -0,0 +1,144 @@
+/**
+ * Login Screen
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  TextInput,
+  Button,
+  HelperText,
+} from 'react-native-paper';
+import AuthService from '../services/auth';
+import { colors, spacing, typography } from '../theme';
+
+export default function LoginScreen() {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const canSubmit = username.trim() && password && !loading;
+
+  const handleLogin = async () => {
+    if (!canSubmit) return;
+
+    setLoading(true);
+    setError('');
+    try {
+      // App switches to the main tabs once AuthService reports the session
+      await AuthService.login(username.trim(), password);
+    } catch (loginError) {
+      console.error('Login failed:', loginError);
+      setError(
+        loginError.status === 401
+          ? 'Incorrect username or password'
+          : loginError.message || 'Login failed'
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.content}>
+        <Text style={styles.title}>JARVIS</Text>
+        <Text style={styles.subtitle}>Sign in to continue</Text>
+
+        <Surface style={styles.form}>
+          <TextInput
+            label="Username or email"
+            value={username}
+            onChangeText={setUsername}
+            mode="outlined"
+            style={styles.input}
+            autoCapitalize="none"
+            autoCorrect={false}
+            autoComplete="username"
+            textContentType="username"
+            disabled={loading}
+          />
+
+          <TextInput
+            label="Password"
+            value={password}
+            onChangeText={setPassword}
+            mode="outlined"
+            style={styles.input}
+            secureTextEntry={!showPassword}
+            autoCapitalize="none"
+            autoComplete="password"
+            textContentType="password"
+            onSubmitEditing={handleLogin}
+            disabled={loading}
+            right={
+              <TextInput.Icon
+                icon={showPassword ? 'eye-off' : 'eye'}
+                onPress={() => setShowPassword(!showPassword)}
+              />
+            }
+          />
+
+          <HelperText type="error" visible={!!error}>
+            {error}
+          </HelperText>
+
+          <Button
+            mode="contained"
+            onPress={handleLogin}
+            loading={loading}
+            disabled={!canSubmit}
+            style={styles.button}
+          >
+            Sign In
+          </Button>
+        </Surface>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+  title: {
+    ...typography.extraLarge,
+    color: colors.primary,
+    textAlign: 'center',
+  },
+  subtitle: {
+    ...typography.caption,
+    textAlign: 'center',
+    marginBottom: spacing.xl,
+  },
+  form: {
+    padding: spacing.md,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    elevation: 4,
+  },
+  input: {
+    marginBottom: spacing.sm,
+    backgroundColor: colors.surfaceVariant,
+  },
+  button: {
+    marginTop: spacing.sm,
+  },
+});
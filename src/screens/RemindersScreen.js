@@ -0,0 +1,400 @@
+/**
+ * Reminders Screen - Upcoming reminders by day, plus completed and missed
+ * ones, with editing and cancelling. Offers to move clock-time reminders
+ * when the device's time zone has changed since they were set.
+ */
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  StyleSheet,
+  SectionList,
+  Alert,
+  TouchableOpacity,
+  RefreshControl,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  IconButton,
+  Card,
+  Chip,
+  Banner,
+} from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import reminderService from '../services/reminderService';
+import ReminderEditDialog from '../components/ReminderEditDialog';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatReminderTime } from '../utils/reminderUtils';
+import { getDeviceTimeZone } from '../utils/timeZone';
+import { colors, spacing, typography } from '../theme';
+
+const METHOD_LABELS = {
+  firebase_push: { icon: 'cloud-check-outline', label: 'Push' },
+  local_only: { icon: 'cellphone', label: 'On this device' },
+  none: { icon: 'alert-circle-outline', label: 'Not scheduled' },
+};
+
+const STATUS_LABELS = {
+  completed: { icon: 'check-circle-outline', label: 'Completed' },
+  missed: { icon: 'alert-circle-outline', label: 'Missed' },
+};
+
+// "Today", "Tomorrow" or the date
+const dayLabel = (iso) => {
+  const date = new Date(iso);
+  const today = new Date();
+  const tomorrow = new Date();
+  tomorrow.setDate(today.getDate() + 1);
+
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow';
+  return date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+const groupByDay = (reminders) => {
+  const groups = [];
+  reminders.forEach((reminder) => {
+    const title = dayLabel(reminder.time);
+    const group = groups[groups.length - 1];
+    if (group?.title === title) {
+      group.data.push(reminder);
+    } else {
+      groups.push({ title, data: [reminder] });
+    }
+  });
+  return groups;
+};
+
+export default function RemindersScreen() {
+  const [upcoming, setUpcoming] = useState([]);
+  const [past, setPast] = useState([]);
+  const [showPast, setShowPast] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [zoneMismatches, setZoneMismatches] = useState([]);
+  const timeZone = getDeviceTimeZone();
+
+  const loadReminders = useCallback(async () => {
+    setUpcoming(await reminderService.getReminders());
+    setPast(await reminderService.getPastReminders());
+    setZoneMismatches(await reminderService.getZoneMismatches());
+  }, []);
+
+  // Reminders are added from the chat tab, so reload on every visit
+  useFocusEffect(
+    useCallback(() => {
+      loadReminders();
+    }, [loadReminders])
+  );
+
+  const refresh = async () => {
+    setRefreshing(true);
+    try {
+      await reminderService.advanceRecurringReminders();
+      await loadReminders();
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const saveReminder = async (changes) => {
+    setSaving(true);
+    try {
+      const updated = await reminderService.updateReminder(editing.id, changes);
+      setEditing(null);
+      await loadReminders();
+      if (updated.method === 'none') {
+        Alert.alert(
+          'Reminder Can\'t Ring',
+          'The reminder was updated, but notifications are turned off for JARVIS.'
+        );
+      }
+    } catch (error) {
+      console.error('Reminder update failed:', error);
+      Alert.alert('Update Failed', error.message || 'Could not update the reminder');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (action, failureTitle) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${failureTitle}:`, error);
+      Alert.alert(failureTitle, error.message);
+    }
+    await loadReminders();
+  };
+
+  const reanchor = (keepInstant) =>
+    runAction(() => reminderService.reanchorReminders({ keepInstant }), 'Update Failed');
+
+  const confirmCancel = (reminder) => {
+    Alert.alert(
+      reminder.recurrence ? 'Cancel Repeating Reminder' : 'Cancel Reminder',
+      reminder.recurrence
+        ? 'This cancels the upcoming occurrence and every one after it.'
+        : `"${reminder.text}" will not be delivered.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Cancel Reminder',
+          style: 'destructive',
+          onPress: () => runAction(() => reminderService.cancelReminder(reminder.id), 'Cancel Failed'),
+        },
+      ]
+    );
+  };
+
+  const showActions = (reminder) => {
+    const actions = [{ text: 'Edit', onPress: () => setEditing(reminder) }];
+    if (reminder.recurrence) {
+      actions.push(
+        {
+          text: 'Skip This Time',
+          onPress: () => runAction(() => reminderService.skipOccurrence(reminder.id), 'Skip Failed'),
+        },
+        {
+          text: 'Stop Repeating',
+          onPress: () => runAction(() => reminderService.endSeries(reminder.id), 'Update Failed'),
+        }
+      );
+    }
+    actions.push(
+      { text: 'Cancel Reminder', style: 'destructive', onPress: () => confirmCancel(reminder) },
+      { text: 'Close', style: 'cancel' }
+    );
+
+    Alert.alert(reminder.text, new Date(reminder.time).toLocaleString(), actions);
+  };
+
+  const showPastActions = (reminder) => {
+    Alert.alert(reminder.text, new Date(reminder.time).toLocaleString(), [
+      { text: 'Remind Me Again', onPress: () => setEditing(reminder) },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => runAction(() => reminderService.cancelReminder(reminder.id), 'Delete Failed'),
+      },
+      { text: 'Close', style: 'cancel' },
+    ]);
+  };
+
+  const renderReminder = ({ item, section }) => {
+    const isPast = section.past;
+    const badge = isPast
+      ? STATUS_LABELS[item.status]
+      : METHOD_LABELS[item.method] || METHOD_LABELS.none;
+
+    return (
+      <TouchableOpacity onPress={() => (isPast ? showPastActions(item) : showActions(item))}>
+        <Card style={[styles.reminderCard, isPast && styles.pastCard]}>
+          <Card.Content>
+            <View style={styles.reminderHeader}>
+              <Text style={styles.reminderTime}>
+                {new Date(item.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                {isPast ? ` · ${new Date(item.time).toLocaleDateString()}` : ` · ${formatReminderTime(item.time)}`}
+              </Text>
+              <Chip
+                compact
+                icon={badge.icon}
+                style={[
+                  styles.methodChip,
+                  (isPast ? item.status === 'completed' : item.scheduled)
+                    ? styles.okChip
+                    : styles.warningChip,
+                ]}
+                textStyle={styles.chipText}
+              >
+                {badge.label}
+              </Chip>
+            </View>
+            <Text style={styles.reminderText}>{item.text}</Text>
+            {item.recurrence && (
+              <Text style={styles.recurrence}>🔁 {describeRecurrence(item.recurrence)}</Text>
+            )}
+            {!isPast && item.anchor === 'wall' && item.timeZone !== timeZone && (
+              <Text style={styles.timeZone}>🌐 Set in {item.timeZone}</Text>
+            )}
+          </Card.Content>
+        </Card>
+      </TouchableOpacity>
+    );
+  };
+
+  const sections = [
+    ...groupByDay(upcoming),
+    ...(showPast && past.length > 0 ? [{ title: 'Completed & Missed', data: past, past: true }] : []),
+  ];
+
+  return (
+    <View style={styles.container}>
+      <Surface style={styles.header}>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Reminders</Text>
+          <IconButton
+            icon={showPast ? 'history' : 'clock-outline'}
+            size={24}
+            iconColor={showPast ? colors.primary : colors.onSurfaceVariant}
+            onPress={() => setShowPast(!showPast)}
+          />
+        </View>
+        <Text style={styles.summary}>
+          {upcoming.length} upcoming
+          {past.length > 0 ? ` · ${past.filter((r) => r.status === 'missed').length} missed` : ''}
+          {showPast ? '' : ' · Tap the clock to show past reminders'}
+        </Text>
+      </Surface>
+
+      <Banner
+        visible={zoneMismatches.length > 0}
+        icon="earth"
+        actions={[
+          { label: 'Keep Times', onPress: () => reanchor(true) },
+          { label: 'Use Local Time', onPress: () => reanchor(false) },
+        ]}
+      >
+        {`Your time zone is now ${timeZone}. ${zoneMismatches.length} reminder${zoneMismatches.length === 1 ? ' was' : 's were'} set in ${[...new Set(zoneMismatches.map((r) => r.timeZone))].join(', ')}. Ring them at the same clock time here?`}
+      </Banner>
+
+      {sections.length > 0 ? (
+        <SectionList
+          sections={sections}
+          renderItem={renderReminder}
+          renderSectionHeader={({ section }) => (
+            <Text style={[styles.dateHeader, section.past && styles.pastHeader]}>{section.title}</Text>
+          )}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.list}
+          stickySectionHeadersEnabled={false}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={refresh}
+              tintColor={colors.primary}
+            />
+          }
+        />
+      ) : (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>No upcoming reminders</Text>
+          <Text style={styles.emptyHint}>
+            Ask JARVIS in the chat, e.g. &quot;remind me every weekday at 9am to stand up&quot;
+          </Text>
+        </View>
+      )}
+
+      <ReminderEditDialog
+        reminder={editing}
+        saving={saving}
+        onSave={saveReminder}
+        onDismiss={() => setEditing(null)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    elevation: 4,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    ...typography.title,
+    color: colors.primary,
+    fontWeight: 'bold',
+  },
+  summary: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+  },
+  list: {
+    padding: spacing.md,
+  },
+  dateHeader: {
+    ...typography.subtitle,
+    color: colors.primary,
+    marginTop: spacing.sm,
+    marginBottom: spacing.sm,
+    fontWeight: '600',
+  },
+  pastHeader: {
+    color: colors.onSurfaceVariant,
+    marginTop: spacing.lg,
+  },
+  reminderCard: {
+    marginBottom: spacing.sm,
+    backgroundColor: colors.surfaceVariant,
+  },
+  pastCard: {
+    opacity: 0.7,
+  },
+  reminderHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  reminderTime: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  methodChip: {
+    height: 28,
+  },
+  okChip: {
+    backgroundColor: colors.success + '20',
+  },
+  warningChip: {
+    backgroundColor: colors.warning + '20',
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.onSurface,
+  },
+  reminderText: {
+    ...typography.body,
+    color: colors.onSurface,
+    lineHeight: 22,
+  },
+  recurrence: {
+    ...typography.small,
+    color: colors.primary,
+    marginTop: spacing.xs,
+  },
+  timeZone: {
+    ...typography.small,
+    color: colors.warning,
+    marginTop: spacing.xs,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.lg,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.onSurfaceVariant,
+  },
+  emptyHint: {
+    ...typography.small,
+    color: colors.onSurfaceVariant,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+  },
+});
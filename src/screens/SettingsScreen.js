@@ -1,7 +1,7 @@
 /**
  * Settings Screen
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   StyleSheet,
@@ -16,36 +16,121 @@ import {
   Button,
   Divider,
   List,
+  IconButton,
 } from 'react-native-paper';
 import StorageService from '../services/storage';
 import APIService from '../services/api';
+import AuthService from '../services/auth';
+import BackupService, { MIN_PASSPHRASE_LENGTH } from '../services/backup';
+import AppLockService, { AUTO_LOCK_OPTIONS, PIN_LENGTH } from '../services/appLock';
+import RetentionService, { RETENTION_OPTIONS } from '../services/retention';
+import { TIME_OF_DAY_OPTIONS, formatTimeOfDay } from '../utils/timeParser';
 import { colors, spacing, typography } from '../theme';
-import { DEFAULT_API_URL, PRODUCTION_API_URL, LOCAL_API_URL } from '../config/api';
+import { API_ENDPOINTS } from '../config/api';
+
+// Parse a JSON object whose values are all strings (headers, path overrides)
+const parseStringMap = (text, label) => {
+  let value;
+  try {
+    value = JSON.parse(text.trim() || '{}');
+  } catch {
+    throw new Error(`${label} must be valid JSON`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${label} must be a JSON object`);
+  }
+  if (Object.values(value).some((v) => typeof v !== 'string')) {
+    throw new Error(`${label} values must be strings`);
+  }
+  return value;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Vague words in reminder requests and the hour each one means
+const TIME_OF_DAY_ROWS = [
+  { key: 'morning', title: 'Morning', icon: 'weather-sunset-up' },
+  { key: 'afternoon', title: 'Afternoon', icon: 'weather-sunny' },
+  { key: 'evening', title: 'Evening', icon: 'weather-sunset-down' },
+  { key: 'tonight', title: 'Tonight', icon: 'weather-night' },
+  { key: 'night', title: 'At night', icon: 'power-sleep' },
+];
+
+const formatRetention = (days) => {
+  if (days === null) return 'Forever';
+  if (days === 0) return 'Until the next cleanup';
+  if (days === 365) return '1 year';
+  return days === 1 ? '1 day' : `${days} days`;
+};
 
 export default function SettingsScreen() {
   const [userId, setUserId] = useState('');
-  const [apiUrl, setApiUrl] = useState(DEFAULT_API_URL);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [editingProfile, setEditingProfile] = useState(null);
   const [webSearchEnabled, setWebSearchEnabled] = useState(true);
   const [autoPlayAudio, setAutoPlayAudio] = useState(false);
+  const [streamResponses, setStreamResponses] = useState(true);
   const [connectionStatus, setConnectionStatus] = useState('unknown');
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [backupConfirm, setBackupConfirm] = useState('');
+  const [backupBusy, setBackupBusy] = useState(null); // 'backup' | 'restore' | null
+  const [lockEnabled, setLockEnabled] = useState(false);
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [biometricUnlock, setBiometricUnlock] = useState(false);
+  const [autoLockTimeout, setAutoLockTimeout] = useState(0);
+  const [pinEditor, setPinEditor] = useState(null); // { pin, confirm } while setting a PIN
+  const [retentionPolicy, setRetentionPolicy] = useState(null);
+  const [timeOfDay, setTimeOfDay] = useState(null);
+  const [storageUsage, setStorageUsage] = useState([]);
+  const [cleaningUp, setCleaningUp] = useState(false);
 
-  useEffect(() => {
-    loadSettings();
+  const loadProfiles = useCallback(async () => {
+    setProfiles(await StorageService.getApiProfiles());
+    const active = await StorageService.getActiveApiProfile();
+    setActiveProfileId(active?.id);
   }, []);
 
-  const loadSettings = async () => {
+  const loadStorageUsage = useCallback(async () => {
+    try {
+      setStorageUsage(await RetentionService.getStorageUsage());
+    } catch (error) {
+      console.error('Error loading storage usage:', error);
+    }
+  }, []);
+
+  const loadSettings = useCallback(async () => {
     const id = await StorageService.getUserId();
     setUserId(id);
 
-    const url = await StorageService.getApiUrl();
-    if (url) setApiUrl(url);
+    await loadProfiles();
 
     const webSearch = await StorageService.getWebSearchEnabled();
     setWebSearchEnabled(webSearch);
 
     const autoPlay = await StorageService.getAutoPlayAudio();
     setAutoPlayAudio(autoPlay);
-  };
+
+    const stream = await StorageService.getStreamResponses();
+    setStreamResponses(stream);
+
+    setLockEnabled(AppLockService.isEnabled());
+    setBiometricAvailable(await AppLockService.isBiometricAvailable());
+    setBiometricUnlock(await StorageService.getBiometricUnlockEnabled());
+    setAutoLockTimeout(await StorageService.getAutoLockTimeout());
+
+    setTimeOfDay(await StorageService.getTimeOfDayDefaults());
+    setRetentionPolicy(await StorageService.getRetentionPolicy());
+    await loadStorageUsage();
+  }, [loadProfiles, loadStorageUsage]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
 
   const testConnection = async () => {
     setConnectionStatus('testing');
@@ -59,30 +144,110 @@ export default function SettingsScreen() {
     }
   };
 
-  const saveApiUrl = async () => {
-    if (!apiUrl.startsWith('http://') && !apiUrl.startsWith('https://')) {
+  // Switching profiles rebuilds the API client immediately
+  const selectProfile = async (profile) => {
+    if (profile.id === activeProfileId) return;
+    await APIService.switchProfile(profile.id);
+    setActiveProfileId(profile.id);
+    testConnection();
+  };
+
+  const addProfile = () => {
+    setEditingProfile({
+      id: null,
+      name: '',
+      baseURL: 'http://',
+      headersText: '{}',
+      endpointsText: '{}',
+    });
+  };
+
+  const editProfile = (profile) => {
+    setEditingProfile({
+      ...profile,
+      headersText: JSON.stringify(profile.headers || {}, null, 2),
+      endpointsText: JSON.stringify(profile.endpoints || {}, null, 2),
+    });
+  };
+
+  const saveProfile = async () => {
+    const { headersText, endpointsText, ...profile } = editingProfile;
+    const baseURL = profile.baseURL.trim().replace(/\/+$/, '');
+
+    if (!profile.name.trim()) {
+      Alert.alert('Invalid Profile', 'Please enter a profile name');
+      return;
+    }
+    if (!baseURL.startsWith('http://') && !baseURL.startsWith('https://')) {
       Alert.alert('Invalid URL', 'URL must start with http:// or https://');
       return;
     }
-    await StorageService.setApiUrl(apiUrl);
-    await APIService.updateBaseURL(apiUrl);
-    Alert.alert('Success', 'API URL updated!');
-    testConnection();
+
+    let headers;
+    let endpoints;
+    try {
+      headers = parseStringMap(headersText, 'Headers');
+      endpoints = parseStringMap(endpointsText, 'Endpoint overrides');
+    } catch (error) {
+      Alert.alert('Invalid Profile', error.message);
+      return;
+    }
+
+    const unknownKeys = Object.keys(endpoints).filter((key) => !(key in API_ENDPOINTS));
+    if (unknownKeys.length > 0) {
+      Alert.alert('Invalid Profile', `Unknown endpoint keys: ${unknownKeys.join(', ')}`);
+      return;
+    }
+
+    const saved = await StorageService.saveApiProfile({
+      ...profile,
+      name: profile.name.trim(),
+      baseURL,
+      headers,
+      endpoints,
+    });
+    setEditingProfile(null);
+    await loadProfiles();
+
+    if (saved.id === activeProfileId) {
+      APIService.applyProfile(saved);
+      testConnection();
+    }
   };
 
-  const generateNewUserId = async () => {
+  const deleteProfile = async () => {
     Alert.alert(
-      'Generate New User ID',
-      'This will clear your conversation history on the backend. Continue?',
+      'Delete Profile',
+      `Delete "${editingProfile.name}"?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Generate',
+          text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            const newId = await StorageService.generateNewUserId();
-            setUserId(newId);
-            Alert.alert('Success', `New User ID: ${newId.substring(0, 8)}...`);
+            await StorageService.deleteApiProfile(editingProfile.id);
+            setEditingProfile(null);
+            // Falls back to the default profile if the active one was deleted
+            APIService.applyProfile(await StorageService.getActiveApiProfile());
+            await loadProfiles();
+          },
+        },
+      ]
+    );
+  };
+
+  const handleLogout = async () => {
+    Alert.alert(
+      'Log Out',
+      'This will remove your conversation history, reminders and push notification registration from this device. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: async () => {
+            // App returns to the login screen once the session is cleared
+            await AuthService.logout();
           },
         },
       ]
@@ -99,7 +264,8 @@ export default function SettingsScreen() {
           text: 'Clear',
           style: 'destructive',
           onPress: async () => {
-            await StorageService.clearConversationHistory();
+            await StorageService.clearAllConversations();
+            await StorageService.clearOutbox();
             Alert.alert('Success', 'All history cleared!');
           },
         },
@@ -107,6 +273,154 @@ export default function SettingsScreen() {
     );
   };
 
+  const createBackup = async () => {
+    if (backupPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      Alert.alert('Backup', `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (backupPassphrase !== backupConfirm) {
+      Alert.alert('Backup', 'The passphrases do not match');
+      return;
+    }
+
+    setBackupBusy('backup');
+    try {
+      await BackupService.createBackup(backupPassphrase);
+      setBackupConfirm('');
+    } catch (error) {
+      console.error('Backup error:', error);
+      Alert.alert('Backup Failed', error.message || 'Could not create the backup');
+    } finally {
+      setBackupBusy(null);
+    }
+  };
+
+  const restoreBackup = async () => {
+    if (!backupPassphrase) {
+      Alert.alert('Restore', 'Enter the passphrase the backup was made with');
+      return;
+    }
+
+    const contents = await BackupService.pickBackup();
+    if (!contents) return;
+
+    Alert.alert(
+      'Restore Backup',
+      'This replaces all settings, conversations and reminders on this device with the backup. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          style: 'destructive',
+          onPress: async () => {
+            setBackupBusy('restore');
+            try {
+              const result = await BackupService.restoreBackup(contents, backupPassphrase);
+              setBackupPassphrase('');
+              setBackupConfirm('');
+              await loadSettings();
+              Alert.alert(
+                'Restore Complete',
+                `Restored ${result.conversations} conversations and ${result.messages} messages ` +
+                `from ${new Date(result.createdAt).toLocaleString()}. ` +
+                `${result.reminders.rescheduled} upcoming reminders were scheduled again` +
+                (result.reminders.localOnly ? `, ${result.reminders.localOnly} on this device only.` : '.')
+              );
+            } catch (error) {
+              console.error('Restore error:', error);
+              Alert.alert('Restore Failed', error.message || 'Could not restore the backup');
+            } finally {
+              setBackupBusy(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const savePin = async () => {
+    if (pinEditor.pin !== pinEditor.confirm) {
+      Alert.alert('App Lock', 'The PINs do not match');
+      return;
+    }
+    try {
+      await AppLockService.setPin(pinEditor.pin);
+      setLockEnabled(true);
+      setPinEditor(null);
+    } catch (error) {
+      Alert.alert('App Lock', error.message);
+    }
+  };
+
+  const handleLockToggle = (value) => {
+    if (value) {
+      setPinEditor({ pin: '', confirm: '' });
+      return;
+    }
+    Alert.alert(
+      'Turn Off App Lock',
+      'JARVIS will open without asking for your PIN. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: async () => {
+            await AppLockService.disable();
+            setLockEnabled(false);
+            setBiometricUnlock(false);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleBiometricToggle = async (value) => {
+    setBiometricUnlock(value);
+    await StorageService.setBiometricUnlockEnabled(value);
+  };
+
+  // Tapping the auto-lock row steps through the options
+  const cycleAutoLock = async () => {
+    const index = AUTO_LOCK_OPTIONS.findIndex((option) => option.value === autoLockTimeout);
+    const next = AUTO_LOCK_OPTIONS[(index + 1) % AUTO_LOCK_OPTIONS.length].value;
+    setAutoLockTimeout(next);
+    await AppLockService.setAutoLockTimeout(next);
+  };
+
+  // Tapping a time of day row steps through its options
+  const cycleTimeOfDay = async (key) => {
+    const options = TIME_OF_DAY_OPTIONS[key];
+    const index = options.findIndex((option) => option.hour === timeOfDay[key].hour);
+    const next = options[(index + 1) % options.length];
+    setTimeOfDay(await StorageService.saveTimeOfDayDefaults({ [key]: next }));
+  };
+
+  // Tapping a retention row steps through its options
+  const cycleRetention = async (key) => {
+    const options = RETENTION_OPTIONS[key];
+    const next = options[(options.indexOf(retentionPolicy[key]) + 1) % options.length];
+    setRetentionPolicy(await StorageService.saveRetentionPolicy({ [key]: next }));
+  };
+
+  const cleanUpNow = async () => {
+    setCleaningUp(true);
+    try {
+      const result = await RetentionService.runCleanup();
+      await loadStorageUsage();
+      Alert.alert(
+        'Cleanup Complete',
+        `Removed ${result.messages} messages, ${result.reminders} past reminders ` +
+        `and ${result.audioFiles} voice recordings (${formatBytes(result.audioBytes)}).`
+      );
+    } catch (error) {
+      console.error('Cleanup error:', error);
+      Alert.alert('Cleanup Failed', error.message || 'Could not clean up storage');
+    } finally {
+      setCleaningUp(false);
+    }
+  };
+
   const handleWebSearchToggle = async (value) => {
     setWebSearchEnabled(value);
     await StorageService.setWebSearchEnabled(value);
@@ -117,6 +431,11 @@ export default function SettingsScreen() {
     await StorageService.setAutoPlayAudio(value);
   };
 
+  const handleStreamToggle = async (value) => {
+    setStreamResponses(value);
+    await StorageService.setStreamResponses(value);
+  };
+
   return (
     <ScrollView style={styles.container}>
       {/* Header */}
@@ -128,7 +447,7 @@ export default function SettingsScreen() {
       <Surface style={styles.section}>
         <List.Section>
           <List.Subheader style={styles.sectionTitle}>
-            Backend Connection
+            Backend Environment
           </List.Subheader>
           
           <View style={styles.connectionStatus}>
@@ -146,53 +465,120 @@ export default function SettingsScreen() {
             </Text>
           </View>
 
-          <View style={styles.presetButtons}>
-            <Button
-              mode={apiUrl === PRODUCTION_API_URL ? "contained" : "outlined"}
-              onPress={() => setApiUrl(PRODUCTION_API_URL)}
-              style={styles.presetButton}
-              compact
-            >
-              Production
-            </Button>
-            <Button
-              mode={apiUrl === LOCAL_API_URL ? "contained" : "outlined"}
-              onPress={() => setApiUrl(LOCAL_API_URL)}
-              style={styles.presetButton}
-              compact
-            >
-              Local
-            </Button>
-          </View>
+          {profiles.map((profile) => (
+            <List.Item
+              key={profile.id}
+              title={profile.name}
+              description={profile.baseURL}
+              onPress={() => selectProfile(profile)}
+              style={styles.profileItem}
+              left={() => (
+                <List.Icon
+                  icon={profile.id === activeProfileId ? 'radiobox-marked' : 'radiobox-blank'}
+                  color={colors.primary}
+                />
+              )}
+              right={() => (
+                <IconButton
+                  icon="pencil-outline"
+                  size={20}
+                  iconColor={colors.onSurfaceVariant}
+                  onPress={() => editProfile(profile)}
+                />
+              )}
+            />
+          ))}
 
-          <TextInput
-            label="Backend API URL"
-            value={apiUrl}
-            onChangeText={setApiUrl}
-            mode="outlined"
-            style={styles.input}
-            placeholder="http://localhost:8000"
-            autoCapitalize="none"
-            autoCorrect={false}
-          />
-          
-          <View style={styles.buttonRow}>
-            <Button
-              mode="contained"
-              onPress={saveApiUrl}
-              style={styles.button}
-            >
-              Save URL
-            </Button>
-            <Button
-              mode="outlined"
-              onPress={testConnection}
-              style={styles.button}
-              loading={connectionStatus === 'testing'}
-            >
-              Test Connection
-            </Button>
-          </View>
+          {editingProfile ? (
+            <View style={styles.profileEditor}>
+              <TextInput
+                label="Profile Name"
+                value={editingProfile.name}
+                onChangeText={(name) => setEditingProfile({ ...editingProfile, name })}
+                mode="outlined"
+                style={styles.input}
+              />
+              <TextInput
+                label="Base URL"
+                value={editingProfile.baseURL}
+                onChangeText={(baseURL) => setEditingProfile({ ...editingProfile, baseURL })}
+                mode="outlined"
+                style={styles.input}
+                placeholder="http://localhost:8000"
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput
+                label="Headers (JSON)"
+                value={editingProfile.headersText}
+                onChangeText={(headersText) => setEditingProfile({ ...editingProfile, headersText })}
+                mode="outlined"
+                style={styles.input}
+                placeholder='{"X-Api-Key": "..."}'
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              <TextInput
+                label="Endpoint Overrides (JSON)"
+                value={editingProfile.endpointsText}
+                onChangeText={(endpointsText) => setEditingProfile({ ...editingProfile, endpointsText })}
+                mode="outlined"
+                style={styles.input}
+                placeholder='{"CHAT": "/v2/chat/"}'
+                autoCapitalize="none"
+                autoCorrect={false}
+                multiline
+              />
+              <Text style={styles.helperText}>
+                Keys: {Object.keys(API_ENDPOINTS).join(', ')}
+              </Text>
+
+              <View style={styles.buttonRow}>
+                <Button
+                  mode="contained"
+                  onPress={saveProfile}
+                  style={styles.button}
+                >
+                  Save
+                </Button>
+                <Button
+                  mode="outlined"
+                  onPress={() => setEditingProfile(null)}
+                  style={styles.button}
+                >
+                  Cancel
+                </Button>
+              </View>
+              {editingProfile.id && !editingProfile.builtIn && (
+                <Button
+                  mode="text"
+                  onPress={deleteProfile}
+                  textColor={colors.error}
+                >
+                  Delete Profile
+                </Button>
+              )}
+            </View>
+          ) : (
+            <View style={styles.buttonRow}>
+              <Button
+                mode="contained"
+                onPress={addProfile}
+                style={styles.button}
+              >
+                Add Profile
+              </Button>
+              <Button
+                mode="outlined"
+                onPress={testConnection}
+                style={styles.button}
+                loading={connectionStatus === 'testing'}
+              >
+                Test Connection
+              </Button>
+            </View>
+          )}
         </List.Section>
       </Surface>
 
@@ -202,18 +588,23 @@ export default function SettingsScreen() {
       <Surface style={styles.section}>
         <List.Section>
           <List.Subheader style={styles.sectionTitle}>
-            User Settings
+            Account
           </List.Subheader>
           
           <View style={styles.userIdContainer}>
+            <Text style={styles.label}>Signed in as</Text>
+            <Text style={styles.userId}>
+              {AuthService.getUser()?.username || AuthService.getUser()?.email || userId}
+            </Text>
             <Text style={styles.label}>User ID</Text>
             <Text style={styles.userId}>{userId}</Text>
             <Button
               mode="text"
-              onPress={generateNewUserId}
+              onPress={handleLogout}
+              textColor={colors.error}
               compact
             >
-              Generate New ID
+              Log Out
             </Button>
           </View>
         </List.Section>
@@ -221,6 +612,103 @@ export default function SettingsScreen() {
 
       <Divider style={styles.divider} />
 
+      {/* App Lock */}
+      <Surface style={styles.section}>
+        <List.Section>
+          <List.Subheader style={styles.sectionTitle}>
+            App Lock
+          </List.Subheader>
+
+          <List.Item
+            title="Require PIN"
+            description="Hide chats, history and settings until unlocked"
+            left={() => <List.Icon icon="lock-outline" color={colors.primary} />}
+            right={() => (
+              <Switch
+                value={lockEnabled || !!pinEditor}
+                onValueChange={handleLockToggle}
+                color={colors.primary}
+              />
+            )}
+          />
+
+          {pinEditor ? (
+            <View style={styles.profileEditor}>
+              <TextInput
+                label={`New PIN (${PIN_LENGTH.min}-${PIN_LENGTH.max} digits)`}
+                value={pinEditor.pin}
+                onChangeText={(pin) => setPinEditor({ ...pinEditor, pin: pin.replace(/\D/g, '') })}
+                mode="outlined"
+                style={styles.input}
+                keyboardType="number-pad"
+                maxLength={PIN_LENGTH.max}
+                secureTextEntry
+              />
+              <TextInput
+                label="Confirm PIN"
+                value={pinEditor.confirm}
+                onChangeText={(confirm) => setPinEditor({ ...pinEditor, confirm: confirm.replace(/\D/g, '') })}
+                mode="outlined"
+                style={styles.input}
+                keyboardType="number-pad"
+                maxLength={PIN_LENGTH.max}
+                secureTextEntry
+              />
+              <View style={styles.buttonRow}>
+                <Button
+                  mode="contained"
+                  onPress={savePin}
+                  disabled={pinEditor.pin.length < PIN_LENGTH.min}
+                  style={styles.button}
+                >
+                  Save PIN
+                </Button>
+                <Button
+                  mode="outlined"
+                  onPress={() => setPinEditor(null)}
+                  style={styles.button}
+                >
+                  Cancel
+                </Button>
+              </View>
+            </View>
+          ) : lockEnabled && (
+            <>
+              <List.Item
+                title="Change PIN"
+                left={() => <List.Icon icon="form-textbox-password" color={colors.primary} />}
+                onPress={() => setPinEditor({ pin: '', confirm: '' })}
+              />
+              {biometricAvailable && (
+                <List.Item
+                  title="Unlock with Biometrics"
+                  description="Use fingerprint or face unlock instead of the PIN"
+                  left={() => <List.Icon icon="fingerprint" color={colors.primary} />}
+                  right={() => (
+                    <Switch
+                      value={biometricUnlock}
+                      onValueChange={handleBiometricToggle}
+                      color={colors.primary}
+                    />
+                  )}
+                />
+              )}
+              <List.Item
+                title="Auto-lock"
+                description={
+                  AUTO_LOCK_OPTIONS.find((option) => option.value === autoLockTimeout)?.label
+                  || AUTO_LOCK_OPTIONS[0].label
+                }
+                left={() => <List.Icon icon="timer-lock-outline" color={colors.primary} />}
+                onPress={cycleAutoLock}
+              />
+            </>
+          )}
+        </List.Section>
+      </Surface>
+
+      <Divider style={styles.divider} />
+
       {/* AI Settings */}
       <Surface style={styles.section}>
         <List.Section>
@@ -253,6 +741,166 @@ export default function SettingsScreen() {
               />
             )}
           />
+
+          <List.Item
+            title="Stream Responses"
+            description="Show replies as they are being written"
+            left={() => <List.Icon icon="text-box-outline" color={colors.primary} />}
+            right={() => (
+              <Switch
+                value={streamResponses}
+                onValueChange={handleStreamToggle}
+                color={colors.primary}
+              />
+            )}
+          />
+        </List.Section>
+      </Surface>
+
+      <Divider style={styles.divider} />
+
+      {/* Reminder Times */}
+      <Surface style={styles.section}>
+        <List.Section>
+          <List.Subheader style={styles.sectionTitle}>
+            Reminder Times
+          </List.Subheader>
+
+          <Text style={styles.helperText}>
+            The time used when a reminder only says &quot;tomorrow morning&quot; or
+            &quot;tonight&quot;. A day with no time at all uses the morning time.
+          </Text>
+
+          {timeOfDay && TIME_OF_DAY_ROWS.map((row) => (
+            <List.Item
+              key={row.key}
+              title={row.title}
+              description={formatTimeOfDay(timeOfDay[row.key].hour, timeOfDay[row.key].minute)}
+              left={() => <List.Icon icon={row.icon} color={colors.primary} />}
+              onPress={() => cycleTimeOfDay(row.key)}
+            />
+          ))}
+        </List.Section>
+      </Surface>
+
+      <Divider style={styles.divider} />
+
+      {/* Backup & Restore */}
+      <Surface style={styles.section}>
+        <List.Section>
+          <List.Subheader style={styles.sectionTitle}>
+            Backup & Restore
+          </List.Subheader>
+
+          <TextInput
+            label="Passphrase"
+            value={backupPassphrase}
+            onChangeText={setBackupPassphrase}
+            mode="outlined"
+            style={styles.input}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TextInput
+            label="Confirm passphrase (new backups)"
+            value={backupConfirm}
+            onChangeText={setBackupConfirm}
+            mode="outlined"
+            style={styles.input}
+            secureTextEntry
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <Text style={styles.helperText}>
+            Backups are encrypted with this passphrase and include settings, your user ID,
+            conversations and reminders. There is no way to recover a forgotten passphrase.
+          </Text>
+
+          <View style={styles.buttonRow}>
+            <Button
+              mode="contained"
+              icon="shield-lock-outline"
+              onPress={createBackup}
+              loading={backupBusy === 'backup'}
+              disabled={!!backupBusy}
+              style={styles.button}
+            >
+              Back Up
+            </Button>
+            <Button
+              mode="outlined"
+              icon="backup-restore"
+              onPress={restoreBackup}
+              loading={backupBusy === 'restore'}
+              disabled={!!backupBusy}
+              style={styles.button}
+            >
+              Restore
+            </Button>
+          </View>
+        </List.Section>
+      </Surface>
+
+      <Divider style={styles.divider} />
+
+      {/* Storage & Retention */}
+      <Surface style={styles.section}>
+        <List.Section>
+          <List.Subheader style={styles.sectionTitle}>
+            Storage & Retention
+          </List.Subheader>
+
+          {retentionPolicy && (
+            <>
+              <List.Item
+                title="Keep chat history"
+                description={formatRetention(retentionPolicy.historyDays)}
+                left={() => <List.Icon icon="history" color={colors.primary} />}
+                onPress={() => cycleRetention('historyDays')}
+              />
+              <List.Item
+                title="Keep past reminders"
+                description={formatRetention(retentionPolicy.reminderDays)}
+                left={() => <List.Icon icon="bell-check-outline" color={colors.primary} />}
+                onPress={() => cycleRetention('reminderDays')}
+              />
+              <List.Item
+                title="Keep voice recordings"
+                description={formatRetention(retentionPolicy.audioDays)}
+                left={() => <List.Icon icon="microphone-outline" color={colors.primary} />}
+                onPress={() => cycleRetention('audioDays')}
+              />
+            </>
+          )}
+
+          <Text style={[styles.label, styles.usageHeading]}>Storage used</Text>
+          {storageUsage.map((category) => (
+            <View key={category.key} style={styles.usageRow}>
+              <Text style={styles.usageLabel}>
+                {category.label}
+                {category.count !== undefined ? ` (${category.count})` : ''}
+              </Text>
+              <Text style={styles.usageValue}>{formatBytes(category.bytes)}</Text>
+            </View>
+          ))}
+          <View style={styles.usageRow}>
+            <Text style={styles.usageTotal}>Total</Text>
+            <Text style={styles.usageTotal}>
+              {formatBytes(storageUsage.reduce((total, category) => total + category.bytes, 0))}
+            </Text>
+          </View>
+
+          <Button
+            mode="outlined"
+            icon="broom"
+            onPress={cleanUpNow}
+            loading={cleaningUp}
+            disabled={cleaningUp}
+            style={styles.cleanupButton}
+          >
+            Clean Up Now
+          </Button>
         </List.Section>
       </Surface>
 
@@ -357,13 +1005,16 @@ const styles = StyleSheet.create({
     marginBottom: spacing.md,
     backgroundColor: colors.surfaceVariant,
   },
-  presetButtons: {
-    flexDirection: 'row',
-    gap: spacing.sm,
-    marginBottom: spacing.md,
+  profileItem: {
+    paddingVertical: 0,
   },
-  presetButton: {
-    flex: 1,
+  profileEditor: {
+    marginTop: spacing.sm,
+  },
+  helperText: {
+    ...typography.small,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
   },
   buttonRow: {
     flexDirection: 'row',
@@ -386,6 +1037,31 @@ const styles = StyleSheet.create({
     fontFamily: 'monospace',
     marginBottom: spacing.sm,
   },
+  usageHeading: {
+    marginTop: spacing.sm,
+    paddingHorizontal: spacing.md,
+  },
+  usageRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+  },
+  usageLabel: {
+    ...typography.body,
+    color: colors.onSurfaceVariant,
+  },
+  usageValue: {
+    ...typography.body,
+    fontFamily: 'monospace',
+  },
+  usageTotal: {
+    ...typography.medium,
+    color: colors.primary,
+  },
+  cleanupButton: {
+    marginTop: spacing.sm,
+  },
   dangerButton: {
     borderColor: colors.error,
     marginVertical: spacing.sm,
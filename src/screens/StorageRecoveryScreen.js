@@ -0,0 +1,162 @@
+/**
+ * Storage Recovery Screen - Shown when the local store can't be opened,
+ * either because its key is missing or because updating it to this
+ * version's schema failed, with a way to retry or start over
+ */
+import React, { useState } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import {
+  Text,
+  Surface,
+  Button,
+} from 'react-native-paper';
+import StorageService from '../services/storage';
+import { MigrationError } from '../services/migrations';
+import { colors, spacing, typography } from '../theme';
+
+export default function StorageRecoveryScreen({ error, onRetry, onReset }) {
+  const [resetting, setResetting] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+  const migrationFailed = error instanceof MigrationError;
+
+  const retry = async () => {
+    setRetrying(true);
+    try {
+      await onRetry();
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const reset = async () => {
+    setResetting(true);
+    try {
+      await StorageService.resetEncryptedStorage();
+      await onReset();
+    } catch (resetError) {
+      console.error('Storage reset failed:', resetError);
+      Alert.alert('Reset Failed', resetError.message || 'Could not reset local data');
+      setResetting(false);
+    }
+  };
+
+  const confirmReset = () => {
+    Alert.alert(
+      'Reset Local Data',
+      'Conversations and reminders stored on this device will be deleted. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: reset },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.title}>JARVIS</Text>
+        <Text style={styles.subtitle}>
+          {migrationFailed ? 'Local data could not be updated' : 'Local data is locked'}
+        </Text>
+
+        <Surface style={styles.card}>
+          {migrationFailed ? (
+            <>
+              <Text style={styles.body}>
+                This version of the app updates how conversations and reminders are
+                stored, and the update stopped partway. Nothing was lost: your data is
+                still in the state it was before the failed step.
+              </Text>
+              <Text style={styles.body}>
+                Try again first. If it keeps failing, resetting deletes the local data
+                and starts fresh; history you synced will download again, and you can
+                restore an encrypted backup from Settings.
+              </Text>
+              <Text style={styles.detail}>{error.message}</Text>
+            </>
+          ) : (
+            <>
+              <Text style={styles.body}>
+                Your conversations and reminders are encrypted with a key kept in this
+                device&apos;s secure storage, and that key is no longer available. This can
+                happen after restoring the phone from a backup or clearing its
+                credentials.
+              </Text>
+              <Text style={styles.body}>
+                Resetting deletes the locked data and starts fresh. Your settings are
+                kept, history you synced will download again, and you can restore an
+                encrypted backup from Settings.
+              </Text>
+            </>
+          )}
+
+          {migrationFailed && (
+            <Button
+              mode="contained"
+              icon="refresh"
+              onPress={retry}
+              loading={retrying}
+              disabled={retrying || resetting}
+              style={styles.button}
+            >
+              Try Again
+            </Button>
+          )}
+          <Button
+            mode={migrationFailed ? 'outlined' : 'contained'}
+            icon="restore"
+            onPress={confirmReset}
+            loading={resetting}
+            disabled={retrying || resetting}
+            buttonColor={migrationFailed ? undefined : colors.error}
+            textColor={migrationFailed ? colors.error : undefined}
+            style={styles.button}
+          >
+            Reset Local Data
+          </Button>
+        </Surface>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+  title: {
+    ...typography.extraLarge,
+    color: colors.primary,
+    textAlign: 'center',
+  },
+  subtitle: {
+    ...typography.caption,
+    textAlign: 'center',
+    marginBottom: spacing.xl,
+  },
+  card: {
+    padding: spacing.md,
+    borderRadius: 16,
+    backgroundColor: colors.surface,
+    elevation: 4,
+  },
+  body: {
+    ...typography.body,
+    color: colors.onSurfaceVariant,
+    marginBottom: spacing.md,
+    lineHeight: 22,
+  },
+  detail: {
+    ...typography.caption,
+    marginBottom: spacing.md,
+  },
+  button: {
+    marginTop: spacing.sm,
+  },
+});
@@ -0,0 +1,68 @@
+/**
+ * In-memory stand-in for StorageService, used by tests that call
+ * `jest.mock('../storage')`. Only the parts the services under test touch
+ * are implemented; `reset()` empties it between tests.
+ */
+import { TIME_OF_DAY_DEFAULTS } from '../../utils/timeParser';
+
+const reminders = new Map();
+let activeApiProfile = null;
+let userId = 'user_demo';
+let accountId = null;
+
+const StorageService = {
+  reset() {
+    reminders.clear();
+    activeApiProfile = null;
+    userId = 'user_demo';
+    accountId = null;
+  },
+
+  // Test helper: the environment profile APIService picks up on init
+  setActiveApiProfile(profile) {
+    activeApiProfile = profile;
+  },
+
+  getUserId: jest.fn(async () => {
+    userId ??= 'user_demo';
+    return userId;
+  }),
+  getStoredUserId: jest.fn(async () => userId),
+  setUserId: jest.fn(async (id) => {
+    userId = id;
+  }),
+  getAccountId: jest.fn(async () => accountId),
+  setAccountId: jest.fn(async (id) => {
+    accountId = id;
+  }),
+  adoptAnonymousData: jest.fn(async () => {}),
+  clearUserData: jest.fn(async () => {
+    reminders.clear();
+    userId = null;
+    accountId = null;
+  }),
+  getActiveApiProfile: jest.fn(async () => activeApiProfile),
+  getTimeOfDayDefaults: jest.fn(async () => TIME_OF_DAY_DEFAULTS),
+  getAutoLockTimeout: jest.fn(async () => 0),
+  setAutoLockTimeout: jest.fn(async () => {}),
+  setBiometricUnlockEnabled: jest.fn(async () => {}),
+
+  getLocalReminders: jest.fn(async () =>
+    [...reminders.values()].sort((a, b) => a.time.localeCompare(b.time))),
+  getLocalReminder: jest.fn(async (id) => reminders.get(id) || null),
+  saveLocalReminder: jest.fn(async (reminder) => {
+    reminders.set(reminder.id, { ...reminder });
+    return reminder;
+  }),
+  removeLocalReminder: jest.fn(async (id) => {
+    reminders.delete(id);
+  }),
+  updateLocalReminder: jest.fn(async (id, updates) => {
+    if (!reminders.has(id)) throw new Error('Reminder not found');
+    const updated = { ...reminders.get(id), ...updates };
+    reminders.set(id, updated);
+    return updated;
+  }),
+};
+
+export default StorageService;
@@ -0,0 +1,79 @@
+import * as SecureStore from 'expo-secure-store';
+import AppLockService from '../appLock';
+
+jest.mock('../storage');
+
+// A fresh service reading the same secure store, as after a relaunch
+const relaunch = async () => {
+  const service = new AppLockService.constructor();
+  await service.initialize();
+  return service;
+};
+
+const failTimes = async (service, count) => {
+  for (let i = 0; i < count; i++) {
+    await expect(service.unlockWithPin('0000')).resolves.toBe(false);
+  }
+};
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+  await AppLockService.disable();
+  await AppLockService.setPin('1234');
+  await AppLockService.initialize();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AppLockService', () => {
+  it('unlocks with the right PIN', async () => {
+    expect(AppLockService.isLocked()).toBe(true);
+    await expect(AppLockService.unlockWithPin('1234')).resolves.toBe(true);
+    expect(AppLockService.isLocked()).toBe(false);
+  });
+
+  it('pauses attempts after five wrong PINs', async () => {
+    await failTimes(AppLockService, 5);
+
+    await expect(AppLockService.unlockWithPin('1234')).rejects.toThrow('Too many attempts. Try again in 30 seconds.');
+    Date.now.mockReturnValue(1_030_000);
+    await expect(AppLockService.unlockWithPin('1234')).resolves.toBe(true);
+  });
+
+  it('keeps the lockout across a relaunch', async () => {
+    await failTimes(AppLockService, 5);
+
+    const relaunched = await relaunch();
+
+    expect(relaunched.getLockoutRemaining()).toBe(30000);
+    await expect(relaunched.unlockWithPin('1234')).rejects.toThrow('Too many attempts');
+  });
+
+  it('keeps counting wrong PINs across a relaunch', async () => {
+    await failTimes(AppLockService, 4);
+
+    const relaunched = await relaunch();
+    await failTimes(relaunched, 1);
+
+    expect(relaunched.getLockoutRemaining()).toBe(30000);
+  });
+
+  it('clears the count after a successful unlock', async () => {
+    await failTimes(AppLockService, 4);
+    await AppLockService.unlockWithPin('1234');
+
+    const relaunched = await relaunch();
+
+    expect(relaunched.failedAttempts).toBe(0);
+    expect(relaunched.getLockoutRemaining()).toBe(0);
+  });
+
+  it('stays locked when the PIN hash is missing', async () => {
+    await SecureStore.deleteItemAsync('app_lock_pin');
+
+    await expect(AppLockService.unlockWithPin('1234')).rejects.toThrow('No PIN is stored');
+    expect(AppLockService.isLocked()).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+import APIService from '../api';
+import AuthService from '../auth';
+import StorageService from '../storage';
+
+jest.mock('../storage');
+
+const signIn = (id) => {
+  jest.spyOn(APIService, 'login').mockResolvedValueOnce({
+    access_token: `access-${id}`,
+    refresh_token: `refresh-${id}`,
+    user: { id, username: `user${id}` },
+  });
+  return AuthService.login(`user${id}`, 'password');
+};
+
+beforeEach(() => {
+  StorageService.reset();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AuthService.login', () => {
+  it('moves data kept under the anonymous user ID to the first account', async () => {
+    // As left by the versions without sign-in
+    await StorageService.setUserId('3f1c9a52-anonymous-uuid');
+
+    await signIn(42);
+
+    expect(StorageService.clearUserData).not.toHaveBeenCalled();
+    expect(StorageService.adoptAnonymousData).toHaveBeenCalledTimes(1);
+    await expect(StorageService.getUserId()).resolves.toBe('42');
+    await expect(StorageService.getAccountId()).resolves.toBe('42');
+  });
+
+  it('keeps the data when the same account signs in again', async () => {
+    await signIn(42);
+    StorageService.adoptAnonymousData.mockClear();
+
+    await signIn(42);
+
+    expect(StorageService.clearUserData).not.toHaveBeenCalled();
+    expect(StorageService.adoptAnonymousData).not.toHaveBeenCalled();
+  });
+
+  it('clears the previous account\'s data when another account signs in', async () => {
+    await signIn(42);
+
+    await signIn(7);
+
+    expect(StorageService.clearUserData).toHaveBeenCalledTimes(1);
+    await expect(StorageService.getAccountId()).resolves.toBe('7');
+  });
+});
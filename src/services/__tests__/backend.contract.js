@@ -0,0 +1,280 @@
+/**
+ * Contract tests: the services against the mock backend
+ * (scripts/mock-server.js), so a change to either side that breaks the
+ * other shows up here. Run with `npm run test:contract`.
+ */
+import APIService from '../api';
+import firebaseNotificationService from '../firebaseNotification';
+import reminderService from '../reminderService';
+import StorageService from '../storage';
+import { startMockBackend } from './mockBackend';
+
+jest.mock('../storage');
+
+let backend;
+
+const requestsTo = async (path) =>
+  (await backend.requests()).filter((request) => request.path === path);
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000);
+
+beforeAll(async () => {
+  backend = await startMockBackend();
+  await APIService.ensureInitialized();
+  APIService.applyProfile({
+    id: 'mock',
+    name: 'Mock',
+    baseURL: backend.baseURL,
+    headers: {},
+    endpoints: {},
+  });
+});
+
+afterAll(async () => {
+  await backend?.stop();
+});
+
+beforeEach(async () => {
+  await backend.reset();
+  StorageService.reset();
+  APIService.setAuthHandler(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('APIService', () => {
+  it('passes the health check', async () => {
+    await expect(APIService.checkHealth()).resolves.toMatchObject({ status: 'healthy' });
+  });
+
+  it('signs in, refreshes and signs out', async () => {
+    const session = await APIService.login('demo', 'password');
+    expect(session).toMatchObject({ user: { username: 'demo' } });
+
+    const refreshed = await APIService.refreshToken(session.refresh_token);
+    expect(refreshed.access_token).not.toBe(session.access_token);
+
+    // Refresh tokens are single use
+    await expect(APIService.refreshToken(session.refresh_token)).rejects.toMatchObject({ status: 401 });
+    await expect(APIService.logout(refreshed.refresh_token)).resolves.toBeTruthy();
+  });
+
+  it('rejects a wrong password', async () => {
+    await expect(APIService.login('demo', 'wrong')).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('sends the access token and refreshes it once on a 401', async () => {
+    const session = await APIService.login('demo', 'password');
+    let accessToken = 'expired-token';
+    const refreshSession = jest.fn(async () => {
+      accessToken = session.access_token;
+      return true;
+    });
+    APIService.setAuthHandler({ getAccessToken: async () => accessToken, refreshSession });
+    await backend.configure({ requireAuth: true });
+
+    const response = await APIService.sendMessage('user_demo', 'hello');
+
+    expect(response.response).toMatch(/mock JARVIS/);
+    expect(refreshSession).toHaveBeenCalledTimes(1);
+    const chats = await requestsTo('/api/chat/');
+    expect(chats.map((request) => request.headers.authorization))
+      .toEqual(['Bearer expired-token', `Bearer ${session.access_token}`]);
+  });
+
+  it('sends a chat message with an idempotency key and the conversation', async () => {
+    const response = await APIService.sendMessage('user_demo', 'what is the weather', true, {
+      idempotencyKey: 'message-1',
+      conversationId: 'conversation-1',
+    });
+
+    expect(response).toMatchObject({ web_search_used: true });
+    expect(response.tokens_used).toBeGreaterThan(0);
+    const [request] = await requestsTo('/api/chat/');
+    expect(request.headers['idempotency-key']).toBe('message-1');
+    expect(request.body).toMatchObject({
+      text: 'what is the weather',
+      user_id: 'user_demo',
+      conversation_id: 'conversation-1',
+    });
+  });
+
+  it('retries a chat message after a 503 with the same idempotency key', async () => {
+    await backend.configure({ failures: { '/api/chat/': { status: 503, count: 1 } } });
+
+    const response = await APIService.sendMessage('user_demo', 'hello', true, { idempotencyKey: 'message-2' });
+
+    expect(response.response).toMatch(/mock JARVIS/);
+    const chats = await requestsTo('/api/chat/');
+    expect(chats).toHaveLength(2);
+    expect(chats.map((request) => request.headers['idempotency-key'])).toEqual(['message-2', 'message-2']);
+  });
+
+  it('reports an unreachable backend as status 0', async () => {
+    APIService.applyProfile({ id: 'down', name: 'Down', baseURL: 'http://127.0.0.1:9', headers: {}, endpoints: {} });
+    try {
+      await expect(APIService.checkHealth()).rejects.toMatchObject({ status: 0 });
+    } finally {
+      APIService.applyProfile({ id: 'mock', name: 'Mock', baseURL: backend.baseURL, headers: {}, endpoints: {} });
+    }
+  });
+
+  it('classifies reminder and chat intents', async () => {
+    await expect(APIService.classifyIntent('user_demo', 'remind me in 10 minutes to stretch'))
+      .resolves.toMatchObject({ success: true, intent: 'REMINDER', time: '10 minutes', confidence: 0.95 });
+    await expect(APIService.classifyIntent('user_demo', 'tell me a joke'))
+      .resolves.toMatchObject({ success: true, intent: 'CHAT', time: null });
+  });
+
+  it('pushes history and pulls it back', async () => {
+    const since = new Date(Date.now() - 1000).toISOString();
+    await APIService.pushHistory('user_demo', {
+      conversations: [{ id: 'conversation-1', title: 'Plans', updated_at: since }],
+      messages: [{ id: 'message-1', conversation_id: 'conversation-1', role: 'user', text: 'hi', timestamp: since }],
+      deleted: { conversations: [], messages: [] },
+    });
+
+    const pulled = await APIService.pullHistory('user_demo', { since });
+
+    expect(pulled.conversations).toEqual([expect.objectContaining({ id: 'conversation-1' })]);
+    expect(pulled.messages).toEqual([expect.objectContaining({ id: 'message-1', text: 'hi' })]);
+    expect(pulled.server_time).toEqual(expect.any(String));
+  });
+});
+
+describe('FirebaseNotificationService', () => {
+  beforeEach(async () => {
+    firebaseNotificationService.isInitialized = false;
+    firebaseNotificationService.fcmToken = null;
+  });
+
+  it('registers the device on initialize', async () => {
+    await expect(firebaseNotificationService.initialize()).resolves.toBe(true);
+
+    const registrations = await requestsTo('/firebase/register-device');
+    expect(registrations.length).toBeGreaterThan(0);
+    expect(registrations[0].body).toMatchObject({ fcmToken: 'test-fcm-token' });
+  });
+
+  it('schedules, looks up and cancels a reminder', async () => {
+    await firebaseNotificationService.initialize();
+    const time = inMinutes(30).toISOString();
+
+    const result = await firebaseNotificationService.scheduleReminder({ id: 'reminder-1', text: 'Stretch', time });
+
+    expect(result).toMatchObject({ success: true, method: 'firebase_push', scheduledFor: time });
+    const [request] = await requestsTo('/firebase/schedule-reminder');
+    expect(request.body).toMatchObject({
+      id: 'reminder-1',
+      time,
+      category: 'reminder',
+      fcmToken: 'test-fcm-token',
+      anchor: 'absolute',
+      timeZone: expect.any(String),
+    });
+    expect(request.headers['idempotency-key']).toBe(`reminder-1_${time}`);
+
+    await expect(firebaseNotificationService.getReminderStatus(result.remoteId))
+      .resolves.toMatchObject({ status: 'scheduled', scheduledFor: time });
+    await expect(firebaseNotificationService.cancelReminder(result.remoteId)).resolves.toBe(true);
+    await expect(firebaseNotificationService.getReminderStatus(result.remoteId))
+      .resolves.toMatchObject({ status: 'cancelled' });
+  });
+
+  it('reports a reminder the backend does not know as a 404', async () => {
+    await expect(firebaseNotificationService.getReminderStatus('reminder_missing'))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(firebaseNotificationService.cancelReminder('reminder_missing')).resolves.toBe(false);
+  });
+});
+
+describe('ReminderService', () => {
+  const userMessage = (text) => ({ id: 'message-1', text, conversationId: 'conversation-1', isUser: true });
+
+  beforeEach(async () => {
+    firebaseNotificationService.isInitialized = false;
+    firebaseNotificationService.fcmToken = null;
+    await firebaseNotificationService.initialize();
+    reminderService.isInitialized = true;
+  });
+
+  it('schedules a classified reminder as a push and cancels it', async () => {
+    const message = userMessage('remind me in 10 minutes to stretch');
+    const intentResult = await APIService.classifyIntent('user_demo', message.text);
+
+    const result = await reminderService.scheduleReminder(message, intentResult);
+
+    expect(result).toMatchObject({ success: true, method: 'firebase_push' });
+    const stored = await StorageService.getLocalReminder(result.reminderData.id);
+    expect(stored).toMatchObject({ method: 'firebase_push', scheduled: true, remoteId: expect.any(String) });
+    const [request] = await requestsTo('/firebase/schedule-reminder');
+    expect(request.body).toMatchObject({ anchor: 'absolute', time: stored.time });
+
+    await reminderService.cancelReminder(stored.id);
+
+    await expect(firebaseNotificationService.getReminderStatus(stored.remoteId))
+      .resolves.toMatchObject({ status: 'cancelled' });
+    await expect(StorageService.getLocalReminder(stored.id)).resolves.toBeNull();
+  });
+
+  it('keeps a pushed reminder scheduled after a text-only edit', async () => {
+    const message = userMessage('remind me in 10 minutes to stretch');
+    const { reminderData } = await reminderService.scheduleReminder(
+      message,
+      await APIService.classifyIntent('user_demo', message.text)
+    );
+    const original = await StorageService.getLocalReminder(reminderData.id);
+
+    const edited = await reminderService.updateReminder(original.id, { text: 'Stretch and walk' });
+
+    expect(edited).toMatchObject({ method: 'firebase_push', time: original.time, revision: expect.any(Number) });
+    expect(edited.remoteId).not.toBe(original.remoteId);
+    await expect(firebaseNotificationService.getReminderStatus(edited.remoteId))
+      .resolves.toMatchObject({ status: 'scheduled' });
+    const keys = (await requestsTo('/firebase/schedule-reminder')).map((request) => request.headers['idempotency-key']);
+    expect(new Set(keys).size).toBe(2);
+  });
+
+  it('falls back to the device when the backend refuses to schedule', async () => {
+    await backend.configure({ failures: { '/firebase/schedule-reminder': { status: 422 } } });
+    const message = userMessage('remind me in 10 minutes to stretch');
+    const intentResult = await APIService.classifyIntent('user_demo', message.text);
+
+    const result = await reminderService.scheduleReminder(message, intentResult);
+
+    expect(result).toMatchObject({ success: true, method: 'local_only' });
+    await expect(StorageService.getLocalReminder(result.reminderData.id))
+      .resolves.toMatchObject({ remoteId: null, localId: expect.any(String) });
+  });
+
+  it('reconciles pushed reminders with the backend delivery status', async () => {
+    const { remoteId } = await firebaseNotificationService.scheduleReminder({
+      id: 'pushed',
+      text: 'Pushed',
+      time: inMinutes(30).toISOString(),
+    });
+    await StorageService.saveLocalReminder({
+      id: 'pushed', text: 'Pushed', time: inMinutes(30).toISOString(), method: 'firebase_push', scheduled: true, remoteId,
+    });
+    await StorageService.saveLocalReminder({
+      id: 'lost', text: 'Lost', time: inMinutes(45).toISOString(), method: 'firebase_push', scheduled: true, remoteId: 'reminder_missing',
+    });
+
+    const summary = await reminderService.reconcileReminders();
+
+    expect(summary).toMatchObject({ checked: 2, pending: 1, failed: 1, rescheduled: 1 });
+    await expect(StorageService.getLocalReminder('pushed'))
+      .resolves.toMatchObject({ delivery: { status: 'pending', backendStatus: 'scheduled' } });
+    // The backend lost it, so it now rings from the device
+    await expect(StorageService.getLocalReminder('lost')).resolves.toMatchObject({
+      method: 'local_only',
+      localId: expect.any(String),
+      delivery: { status: 'failed', backendStatus: 'not_found' },
+    });
+  });
+});
@@ -0,0 +1,262 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { runMigrations, MigrationError, SCHEMA_VERSION } from '../migrations';
+import { INSERT_MESSAGE, INSERT_REMINDER, UPSERT_CONVERSATION, conversationToRow, messageToRow, reminderToRow } from '../rows';
+import { openTestDatabase } from './testDatabase';
+
+// Data as the AsyncStorage-only versions of the app left it
+const LEGACY_DATA = {
+  conversations: [
+    { id: 'trip', title: 'Trip', createdAt: '2024-03-01T09:00:00.000Z', updatedAt: '2024-03-01T09:05:00.000Z' },
+  ],
+  conversation_messages_trip: [
+    { id: 'm1', text: 'Pack the bags', isUser: true, timestamp: '2024-03-01T09:00:00.000Z' },
+  ],
+  // From before conversations existed
+  conversation_history: [
+    { id: 'h1', text: 'Remind me to call mom at 5pm', isUser: true, timestamp: '2024-01-01T10:00:00.000Z' },
+    {
+      id: 'h2',
+      text: 'Firebase Reminder Scheduled!',
+      isUser: false,
+      timestamp: '2024-01-01T10:00:01.000Z',
+      isFirebaseReminder: true,
+      reminderMethod: 'firebase_push',
+      reminderScheduled: true,
+    },
+  ],
+  // Numeric id, no method, remoteId, localId or time zone
+  local_reminders: [
+    { id: 1704103201000, text: 'Call mom', time: '2030-01-01T17:00:00.000Z', scheduled: true },
+  ],
+};
+
+const setLegacyData = (data) =>
+  AsyncStorage.multiSet(Object.entries(data).map(([key, value]) => [key, JSON.stringify(value)]));
+
+const versionOf = async (db) => (await db.getFirstAsync('PRAGMA user_version')).user_version;
+
+const reminders = async (db) =>
+  (await db.getAllAsync('SELECT data FROM reminders ORDER BY id')).map((row) => JSON.parse(row.data));
+
+const messageExtra = async (db, id) =>
+  JSON.parse((await db.getFirstAsync('SELECT extra FROM messages WHERE id = ?', [id])).extra);
+
+const search = async (db, query) =>
+  (await db.getAllAsync(
+    'SELECT id FROM messages WHERE rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)',
+    [query]
+  )).map((row) => row.id);
+
+const addConversation = (db, id = 'c1') =>
+  db.runAsync(UPSERT_CONVERSATION, conversationToRow({ id, title: 'Chat', createdAt: '2024-01-01T00:00:00.000Z' }));
+
+const addMessage = (db, message) =>
+  db.runAsync(INSERT_MESSAGE, messageToRow({ conversationId: 'c1', timestamp: '2024-01-01T00:00:00.000Z', ...message }));
+
+const addReminder = (db, reminder) => db.runAsync(INSERT_REMINDER, reminderToRow(reminder));
+
+// Fails step `version`, so the steps before it can be checked on their own
+const stopBefore = (db, version) => ({
+  ...db,
+  execAsync: async (sql) => {
+    if (sql === `PRAGMA user_version = ${version}`) throw new Error(`Stopped before step ${version}`);
+    return db.execAsync(sql);
+  },
+});
+
+let db;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db?.close();
+  jest.restoreAllMocks();
+});
+
+describe('runMigrations', () => {
+  it('upgrades data left by the AsyncStorage versions of the app', async () => {
+    db = await openTestDatabase();
+    await setLegacyData(LEGACY_DATA);
+
+    await runMigrations(db);
+
+    expect(await versionOf(db)).toBe(SCHEMA_VERSION);
+    const conversations = await db.getAllAsync('SELECT id FROM conversations ORDER BY id');
+    expect(conversations.map((c) => c.id)).toEqual([expect.stringMatching(/^migrated_/), 'trip']);
+    expect(await search(db, 'bags')).toEqual(['m1']);
+    expect(await search(db, 'mom')).toEqual(['h1']);
+    expect(await messageExtra(db, 'h2')).toEqual({ reminder: { method: 'firebase_push', scheduled: true } });
+    expect(await reminders(db)).toEqual([expect.objectContaining({
+      id: '1704103201000',
+      method: 'none',
+      remoteId: null,
+      localId: null,
+      scheduled: true,
+      anchor: 'absolute',
+      timeZone: expect.any(String),
+    })]);
+    expect(await AsyncStorage.getAllKeys()).toEqual([]);
+  });
+
+  it('does nothing to a database that is up to date', async () => {
+    db = await openTestDatabase({ version: SCHEMA_VERSION });
+    await setLegacyData(LEGACY_DATA);
+
+    await runMigrations(db);
+
+    expect(await db.getAllAsync('SELECT id FROM conversations')).toEqual([]);
+    expect(await AsyncStorage.getItem('conversations')).not.toBeNull();
+  });
+
+  it('leaves a database from a newer build alone', async () => {
+    db = await openTestDatabase({ version: SCHEMA_VERSION + 1 });
+    await addReminder(db, { id: 'r1', time: '2030-01-01T17:00:00.000Z' });
+
+    await runMigrations(db);
+
+    expect(await versionOf(db)).toBe(SCHEMA_VERSION + 1);
+    expect(await reminders(db)).toEqual([{ id: 'r1', time: '2030-01-01T17:00:00.000Z' }]);
+  });
+
+  describe('step 1: move history out of AsyncStorage', () => {
+    it('copies conversations, messages and reminders, then removes the old keys', async () => {
+      db = await openTestDatabase({ version: 0 });
+      await setLegacyData({ ...LEGACY_DATA, unrelated_setting: 'kept' });
+
+      await runMigrations(db);
+
+      const messages = await db.getAllAsync('SELECT id, conversation_id FROM messages ORDER BY id');
+      expect(messages).toEqual([
+        { id: 'h1', conversation_id: expect.stringMatching(/^migrated_/) },
+        { id: 'h2', conversation_id: expect.stringMatching(/^migrated_/) },
+        { id: 'm1', conversation_id: 'trip' },
+      ]);
+      expect(await reminders(db)).toHaveLength(1);
+      expect(await AsyncStorage.getAllKeys()).toEqual(['unrelated_setting']);
+    });
+
+    it('keeps the old keys when the copy fails', async () => {
+      db = await openTestDatabase({ version: 0 });
+      await setLegacyData(LEGACY_DATA);
+      // Conversations and messages copy, then the reminders fail
+      await db.execAsync('DROP TABLE reminders');
+
+      await expect(runMigrations(db)).rejects.toBeInstanceOf(MigrationError);
+
+      expect(await versionOf(db)).toBe(0);
+      expect(await db.getAllAsync('SELECT id FROM conversations')).toEqual([]);
+      expect(await AsyncStorage.getAllKeys()).toEqual(expect.arrayContaining(Object.keys(LEGACY_DATA)));
+    });
+  });
+
+  describe('step 2: index messages for full-text search', () => {
+    it('indexes messages stored before search existed', async () => {
+      db = await openTestDatabase({ version: 1 });
+      await addConversation(db);
+      await addMessage(db, { id: 'm1', text: 'Book the dentist', isUser: true });
+      expect(await search(db, 'dentist')).toEqual([]);
+
+      await runMigrations(db);
+
+      expect(await search(db, 'dentist')).toEqual(['m1']);
+    });
+  });
+
+  describe('step 3: fill in reminder fields', () => {
+    it('fills in method, remoteId, localId and scheduled', async () => {
+      db = await openTestDatabase({ version: 2 });
+      await addReminder(db, { id: 1704103201000, originalText: 'Call mom', time: '2030-01-01T17:00:00Z' });
+      await addReminder(db, {
+        id: 'r2', text: 'Water plants', time: '2030-01-02T08:00:00.000Z', method: 'firebase_push', remoteId: 42, scheduled: true,
+      });
+
+      await runMigrations(db);
+
+      expect(await reminders(db)).toEqual([
+        expect.objectContaining({
+          id: '1704103201000',
+          text: 'Call mom',
+          originalText: 'Call mom',
+          time: '2030-01-01T17:00:00.000Z',
+          created: expect.any(String),
+          method: 'none',
+          scheduled: false,
+          remoteId: null,
+          localId: null,
+        }),
+        expect.objectContaining({ id: 'r2', method: 'firebase_push', remoteId: 42, scheduled: true }),
+      ]);
+    });
+
+    it('leaves the time zone fields to step 5', async () => {
+      db = await openTestDatabase({ version: 2 });
+      await addReminder(db, { id: 'r1', text: 'Stretch', time: '2030-01-01T17:00:00.000Z', recurrence: { frequency: 'daily' } });
+
+      await expect(runMigrations(stopBefore(db, 4))).rejects.toMatchObject({ fromVersion: 3 });
+
+      const [reminder] = await reminders(db);
+      expect(reminder).not.toHaveProperty('timeZone');
+      expect(reminder).not.toHaveProperty('anchor');
+      expect(reminder).not.toHaveProperty('wallTime');
+    });
+  });
+
+  describe('step 4: group reminder flags on messages', () => {
+    it('replaces the loose flags with `reminder`', async () => {
+      db = await openTestDatabase({ version: 3 });
+      await addConversation(db);
+      await addMessage(db, { id: 'firebase', text: 'Scheduled', isFirebaseReminder: true, reminderMethod: 'firebase_push', reminderScheduled: true });
+      await addMessage(db, { id: 'local', text: 'Saved', isLocalReminder: true });
+      await addMessage(db, { id: 'chat', text: 'Hello', webSearchUsed: true });
+
+      await runMigrations(db);
+
+      expect(await messageExtra(db, 'firebase')).toEqual({ reminder: { method: 'firebase_push', scheduled: true } });
+      expect(await messageExtra(db, 'local')).toEqual({ reminder: { method: 'local_only', scheduled: false } });
+      expect(await messageExtra(db, 'chat')).toEqual({ webSearchUsed: true });
+    });
+  });
+
+  describe('step 5: record reminder time zones', () => {
+    it('anchors repeating reminders to the clock and one-offs to the instant', async () => {
+      db = await openTestDatabase({ version: 4 });
+      const time = new Date(2030, 0, 1, 9, 30);
+      await addReminder(db, { id: 'daily', text: 'Stretch', time: time.toISOString(), method: 'none', recurrence: { frequency: 'daily' } });
+      await addReminder(db, { id: 'once', text: 'Call mom', time: time.toISOString(), method: 'none' });
+      await addReminder(db, { id: 'set', text: 'Zoned', time: time.toISOString(), method: 'none', timeZone: 'Asia/Tokyo', anchor: 'wall', wallTime: '2030-01-01T18:30' });
+
+      await runMigrations(db);
+
+      const [daily, once, set] = await reminders(db);
+      expect(daily).toMatchObject({ anchor: 'wall', wallTime: '2030-01-01T09:30', timeZone: expect.any(String) });
+      expect(once).toMatchObject({ anchor: 'absolute', wallTime: null, timeZone: expect.any(String) });
+      expect(set).toMatchObject({ anchor: 'wall', wallTime: '2030-01-01T18:30', timeZone: 'Asia/Tokyo' });
+    });
+  });
+
+  it('rolls back a step that fails partway and throws MigrationError', async () => {
+    db = await openTestDatabase({ version: 2 });
+    await addReminder(db, { id: 'a', text: 'First', time: '2030-01-01T17:00:00.000Z' });
+    // Rewritten after 'a', so 'a' is already updated when this one fails
+    await db.runAsync(
+      "INSERT INTO reminders (id, time, created, data) VALUES ('b', '2030-01-02T17:00:00.000Z', '2024-01-01', 'not json')"
+    );
+
+    const error = await runMigrations(db).catch((thrown) => thrown);
+
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error).toMatchObject({ name: 'MigrationError', code: 'MIGRATION_FAILED', version: 3, fromVersion: 2 });
+    expect(error.cause).toBeInstanceOf(SyntaxError);
+    expect(await versionOf(db)).toBe(2);
+    const rows = await db.getAllAsync('SELECT id, data FROM reminders ORDER BY id');
+    expect(rows).toEqual([
+      { id: 'a', data: JSON.stringify({ id: 'a', text: 'First', time: '2030-01-01T17:00:00.000Z' }) },
+      { id: 'b', data: 'not json' },
+    ]);
+  });
+});
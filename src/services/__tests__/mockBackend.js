@@ -0,0 +1,63 @@
+/**
+ * Runs scripts/mock-server.js on a free port for contract tests and talks
+ * to its /__mock/* control routes.
+ */
+import { spawn } from 'child_process';
+import http from 'http';
+import path from 'path';
+
+const SERVER_SCRIPT = path.resolve(__dirname, '../../../scripts/mock-server.js');
+const START_TIMEOUT = 10000;
+
+const request = (url, method = 'GET', body) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers: { 'Content-Type': 'application/json' } }, (res) => {
+    let raw = '';
+    res.on('data', (chunk) => { raw += chunk; });
+    res.on('end', () => resolve(raw ? JSON.parse(raw) : null));
+  });
+  req.on('error', reject);
+  req.end(body ? JSON.stringify(body) : undefined);
+});
+
+/**
+ * Start the mock backend. Resolves to
+ * { baseURL, requests(), reset(), configure(config), stop() }.
+ */
+export const startMockBackend = (args = []) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [SERVER_SCRIPT, '--port', '0', ...args], {
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  const timer = setTimeout(() => {
+    child.kill();
+    reject(new Error('Mock backend did not start'));
+  }, START_TIMEOUT);
+
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const match = output.match(/listening on (http:\/\/\S+)/);
+    if (!match) return;
+
+    clearTimeout(timer);
+    child.stdout.removeAllListeners('data');
+    child.stdout.resume();
+
+    const baseURL = match[1];
+    resolve({
+      baseURL,
+      requests: () => request(`${baseURL}/__mock/requests`),
+      reset: () => request(`${baseURL}/__mock/reset`, 'POST'),
+      configure: (config) => request(`${baseURL}/__mock/config`, 'POST', config),
+      stop: () => new Promise((done) => {
+        child.once('exit', done);
+        child.kill();
+      }),
+    });
+  });
+
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Mock backend exited with code ${code}`));
+  });
+});
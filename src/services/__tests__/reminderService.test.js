@@ -0,0 +1,134 @@
+import * as Notifications from 'expo-notifications';
+import reminderService from '../reminderService';
+import StorageService from '../storage';
+import { startRecurrence } from '../../utils/recurrence';
+
+jest.mock('../storage');
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+// Times of the notifications armed on the device for a reminder
+const armedTimes = async (reminderId) =>
+  (await Notifications.getAllScheduledNotificationsAsync())
+    .filter((notification) => notification.content.data.reminderId === reminderId)
+    .map((notification) => notification.trigger.date.getTime())
+    .sort((a, b) => a - b);
+
+beforeEach(() => {
+  StorageService.reset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReminderService.resolveReminderTime', () => {
+  it('prefers the time in the user\'s words', async () => {
+    const resolved = await reminderService.resolveReminderTime(
+      { text: 'remind me in 2 hours to stretch' },
+      { time: inHours(5).toISOString() }
+    );
+
+    expect(resolved.date.getTime()).toBeCloseTo(inHours(2).getTime(), -3);
+  });
+
+  it.each([
+    ['numbers that are not a time', 'set alarm for 7'],
+    ['a time that has passed', 'remind me on 2001-01-01 at 9am'],
+  ])('falls back to the intent\'s time for %s', async (_, text) => {
+    const time = inHours(3);
+
+    const resolved = await reminderService.resolveReminderTime({ text }, { time: time.toISOString() });
+
+    expect(resolved).toMatchObject({ date: time, anchor: 'absolute' });
+  });
+
+  it('counts relative times from when the message was sent', async () => {
+    const sentAt = inHours(-1);
+
+    const resolved = await reminderService.resolveReminderTime(
+      { text: 'remind me in 2 hours to stretch' },
+      { time: '2 hours' },
+      { sentAt }
+    );
+
+    expect(resolved.date).toEqual(new Date(sentAt.getTime() + 2 * 60 * 60 * 1000));
+  });
+});
+
+describe('ReminderService device-only repeating reminders', () => {
+  const saveDaily = async (id) => {
+    const { rule, time } = startRecurrence({ frequency: 'daily', hour: 9, minute: 0 });
+    const reminder = { id, text: 'Stretch', time: time.toISOString(), recurrence: rule, method: 'none' };
+    await StorageService.saveLocalReminder(reminder);
+    return StorageService.updateLocalReminder(id, await reminderService.pushOccurrence(reminder));
+  };
+
+  beforeEach(() => {
+    // No push, as when Firebase didn't come up
+    reminderService.isInitialized = false;
+  });
+
+  it('arms the coming week of a daily reminder', async () => {
+    const reminder = await saveDaily('daily');
+
+    expect(reminder).toMatchObject({ method: 'local_only', localId: expect.any(String) });
+    expect(reminder.followingLocalIds).toHaveLength(6);
+    const times = await armedTimes('daily');
+    expect(times).toHaveLength(7);
+    expect(times.map((time) => new Date(time).getHours())).toEqual(Array(7).fill(9));
+    expect(new Set(times.map((time) => new Date(time).toDateString())).size).toBe(7);
+  });
+
+  it('re-arms the window from the next occurrence once one fires', async () => {
+    const reminder = await saveDaily('fired');
+    const [first, second] = await armedTimes('fired');
+
+    jest.spyOn(Date, 'now').mockReturnValue(first);
+    await reminderService.handleReminderFired('fired');
+
+    const times = await armedTimes('fired');
+    expect(times).toHaveLength(7);
+    expect(times[0]).toBe(second);
+    await expect(StorageService.getLocalReminder('fired'))
+      .resolves.toMatchObject({ time: new Date(second).toISOString() });
+    expect(reminder.localId).not.toBe((await StorageService.getLocalReminder('fired')).localId);
+  });
+
+  it('leaves only the upcoming occurrence when the series ends', async () => {
+    const reminder = await saveDaily('ended');
+
+    const ended = await reminderService.endSeries('ended');
+
+    expect(ended).toMatchObject({ recurrence: null, time: reminder.time, followingLocalIds: [] });
+    expect(await armedTimes('ended')).toEqual([new Date(reminder.time).getTime()]);
+  });
+
+  it('cancels the upcoming occurrence too when asked', async () => {
+    await saveDaily('cancelled');
+
+    await reminderService.endSeries('cancelled', { includeUpcoming: true });
+
+    expect(await armedTimes('cancelled')).toEqual([]);
+    await expect(StorageService.getLocalReminder('cancelled')).resolves.toBeNull();
+  });
+
+  it('skips to the occurrence after the upcoming one', async () => {
+    await saveDaily('skipped');
+    const [, second, third] = await armedTimes('skipped');
+
+    const skipped = await reminderService.skipOccurrence('skipped');
+
+    expect(skipped.time).toBe(new Date(second).toISOString());
+    const times = await armedTimes('skipped');
+    expect(times.slice(0, 2)).toEqual([second, third]);
+    expect(times).toHaveLength(7);
+  });
+
+  it('only skips occurrences of repeating reminders', async () => {
+    await StorageService.saveLocalReminder({ id: 'once', text: 'Call mom', time: inHours(2).toISOString() });
+
+    await expect(reminderService.skipOccurrence('once')).rejects.toThrow('Only repeating reminders can skip an occurrence');
+  });
+});
@@ -0,0 +1,74 @@
+import APIService from '../api';
+import { getDatabase } from '../database';
+import { SCHEMA_VERSION } from '../migrations';
+import StorageService from '../storage';
+import SyncService from '../sync';
+import { openTestDatabase } from './testDatabase';
+
+jest.mock('../database', () => ({
+  getDatabase: jest.fn(),
+  getStorageKey: jest.fn(),
+  resetDatabase: jest.fn(),
+  jsonList: (values) => JSON.stringify(values),
+}));
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const remoteConversation = (id, updatedAt) => ({ id, title: id, created_at: updatedAt, updated_at: updatedAt });
+
+const remoteMessage = (id, conversationId, timestamp) => ({
+  id, conversation_id: conversationId, role: 'user', text: id, timestamp,
+});
+
+const storedIds = async (db, table) =>
+  (await db.getAllAsync(`SELECT id FROM ${table} ORDER BY id`)).map((row) => row.id);
+
+let db;
+
+beforeEach(async () => {
+  db = await openTestDatabase({ version: SCHEMA_VERSION });
+  getDatabase.mockResolvedValue(db);
+  await StorageService.saveRetentionPolicy({ historyDays: 30 });
+  jest.spyOn(APIService, 'pushHistory').mockResolvedValue({ success: true });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await StorageService.clearUserData();
+  db.close();
+  jest.restoreAllMocks();
+});
+
+describe('SyncService', () => {
+  it('does not pull back history the retention policy cleared', async () => {
+    jest.spyOn(APIService, 'pullHistory').mockResolvedValue({
+      conversations: [remoteConversation('old', daysAgo(60)), remoteConversation('recent', daysAgo(1))],
+      messages: [
+        remoteMessage('old-message', 'old', daysAgo(60)),
+        remoteMessage('stale-message', 'recent', daysAgo(45)),
+        remoteMessage('recent-message', 'recent', daysAgo(1)),
+      ],
+      deleted: {},
+      server_time: new Date().toISOString(),
+    });
+
+    await expect(SyncService.sync()).resolves.toBe(1);
+
+    expect(await storedIds(db, 'conversations')).toEqual(['recent']);
+    expect(await storedIds(db, 'messages')).toEqual(['recent-message']);
+  });
+
+  it('pulls everything when the policy keeps history forever', async () => {
+    await StorageService.saveRetentionPolicy({ historyDays: null });
+    jest.spyOn(APIService, 'pullHistory').mockResolvedValue({
+      conversations: [remoteConversation('old', daysAgo(400))],
+      messages: [remoteMessage('old-message', 'old', daysAgo(400))],
+      deleted: {},
+      server_time: new Date().toISOString(),
+    });
+
+    await SyncService.sync();
+
+    expect(await storedIds(db, 'messages')).toEqual(['old-message']);
+  });
+});
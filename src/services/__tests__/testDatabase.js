@@ -0,0 +1,93 @@
+/**
+ * An in-memory SQLite database (sql.js) behind the subset of the
+ * expo-sqlite API that storage and migrations use.
+ */
+// The asm.js build: the WebAssembly one mistakes the React Native test
+// environment for a browser
+import initSqlJs from 'sql.js/dist/sql-asm';
+
+// The tables from SCHEMA in database.js. sql.js ships without FTS5, so
+// FTS4 stands in for the search index; both take the 'rebuild' command.
+const SCHEMA = `
+  CREATE TABLE conversations (
+    id TEXT PRIMARY KEY NOT NULL,
+    title TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    modified_at TEXT,
+    synced_at TEXT,
+    archived INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE messages (
+    id TEXT PRIMARY KEY NOT NULL,
+    conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+    text TEXT NOT NULL DEFAULT '',
+    is_user INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT NOT NULL,
+    updated_at TEXT,
+    synced INTEGER NOT NULL DEFAULT 0,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE VIRTUAL TABLE messages_fts USING fts4(text, content='messages');
+
+  CREATE TABLE reminders (
+    id TEXT PRIMARY KEY NOT NULL,
+    time TEXT,
+    method TEXT,
+    remote_id TEXT,
+    created TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * Open an empty database with the current tables at `version`
+ */
+export const openTestDatabase = async ({ version = 0 } = {}) => {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.exec(SCHEMA);
+  db.exec(`PRAGMA user_version = ${version}`);
+
+  // expo-sqlite binds whole numbers as integers; sql.js would bind large
+  // ones (e.g. Date.now() ids) as reals
+  const bindable = (params = []) =>
+    params.map((param) => (Number.isInteger(param) ? BigInt(param) : param));
+
+  const all = (sql, params) => {
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(bindable(params));
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+
+  return {
+    getAllAsync: async (sql, params) => all(sql, params),
+    getFirstAsync: async (sql, params) => all(sql, params)[0] ?? null,
+    runAsync: async (sql, params) => {
+      db.run(sql, bindable(params));
+      return { changes: db.getRowsModified() };
+    },
+    execAsync: async (sql) => {
+      db.exec(sql);
+    },
+    withTransactionAsync: async (task) => {
+      db.exec('BEGIN');
+      try {
+        await task();
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    close: () => db.close(),
+  };
+};
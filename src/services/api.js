@@ -1,36 +1,87 @@
 /**
  * API Service - Backend communication
+ *
+ * Every request method accepts an optional `{ signal }` (AbortSignal) so the
+ * caller can cancel it; cancelled calls reject with `cancelled: true`.
+ * Requests are retried according to RETRY_POLICIES. Mutating calls send an
+ * `Idempotency-Key` header (pass `idempotencyKey` to pin it) so a retry never
+ * performs the action twice.
+ *
+ * Authentication is delegated to the handler registered with
+ * `setAuthHandler` (see AuthService): its access token is attached as a
+ * bearer token and a 401 triggers one refresh-and-retry.
  */
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { DEFAULT_API_URL, API_ENDPOINTS, API_CONFIG } from '../config/api';
+import axios, { isCancel, CanceledError } from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import StorageService from './storage';
+import {
+  DEFAULT_API_URL,
+  DEFAULT_API_PROFILES,
+  API_ENDPOINTS,
+  buildPath,
+  API_CONFIG,
+  RETRY_POLICIES,
+  RETRYABLE_STATUS_CODES,
+} from '../config/api';
+import { createSSEParser, parseEventData } from '../utils/sse';
+import { RESPONSE_SCHEMAS, ResponseValidationError, validate } from './schemas';
+
+// Resolve after `ms`, or reject as cancelled if `signal` aborts first
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort);
+});
 
 class APIService {
   constructor() {
     this.baseURL = DEFAULT_API_URL;
+    this.profile = DEFAULT_API_PROFILES[0];
     this.client = null;
     this.initialized = false;
-    this.initClient();
+    this.authHandler = null;
+    this.refreshPromise = null;
+    this.initPromise = this.initClient();
   }
 
   async initClient() {
-    // Load saved API URL from storage
+    // Load the active environment profile from storage
+    let profile = null;
     try {
-      const savedURL = 'http://159.65.159.82:8001'; //await AsyncStorage.getItem('api_url');
-      if (savedURL) {
-        this.baseURL = savedURL;
-      }
+      profile = await StorageService.getActiveApiProfile();
     } catch (error) {
-      console.log("Could not load saved API URL, using default");
+      console.log("Could not load API profile, using default:", error);
     }
 
-    console.log("Initializing API client with base URL:", this.baseURL);
+    this.applyProfile(profile || DEFAULT_API_PROFILES[0]);
+  }
+
+  /**
+   * Rebuild the axios client for an environment profile. Takes effect
+   * immediately for every request made afterwards.
+   */
+  applyProfile(profile) {
+    this.profile = profile;
+    this.baseURL = profile.baseURL;
+
+    console.log(`Initializing API client for "${profile.name}" with base URL:`, this.baseURL);
 
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: API_CONFIG.timeout,
-      headers: API_CONFIG.headers,
+      headers: { ...API_CONFIG.headers, ...profile.headers },
     });
+    this._setupAuthInterceptors(this.client);
     
     this.initialized = true;
     console.log("API client initialized successfully");
@@ -38,40 +89,108 @@ class APIService {
 
   async ensureInitialized() {
     if (!this.initialized) {
-      await this.initClient();
+      if (!this.initPromise) {
+        this.initPromise = this.initClient();
+      }
+      await this.initPromise;
     }
   }
 
-  async updateBaseURL(url) {
-    this.baseURL = url;
-    await AsyncStorage.setItem('api_url', url);
-    this.initClient();
+  /**
+   * Make `profileId` the active environment and switch to it right away
+   */
+  async switchProfile(profileId) {
+    await StorageService.setActiveApiProfileId(profileId);
+    const profile = await StorageService.getActiveApiProfile();
+    this.applyProfile(profile);
+    return profile;
+  }
+
+  // Path for an API_ENDPOINTS key, honouring the active profile's overrides
+  _endpoint(name, params) {
+    const template = this.profile?.endpoints?.[name] || API_ENDPOINTS[name];
+    return buildPath(template, params);
+  }
+
+  /**
+   * Register the object that owns the user's session:
+   *  - getAccessToken(): current access token or null
+   *  - refreshSession(): get a new access token, resolves true on success
+   */
+  setAuthHandler(handler) {
+    this.authHandler = handler;
+  }
+
+  _setupAuthInterceptors(client) {
+    client.interceptors.request.use(async (config) => {
+      if (!config.skipAuth && this.authHandler) {
+        const token = await this.authHandler.getAccessToken();
+        if (token) {
+          config.headers.Authorization = `Bearer ${token}`;
+        }
+      }
+      return config;
+    });
+
+    client.interceptors.response.use(null, async (error) => {
+      const original = error.config;
+      if (
+        error.response?.status !== 401 ||
+        !original ||
+        original.skipAuth ||
+        original._authRetried
+      ) {
+        throw error;
+      }
+
+      original._authRetried = true;
+      const refreshed = await this._refreshSession();
+      if (!refreshed) {
+        throw error;
+      }
+      // The request interceptor attaches the new token
+      return client.request(original);
+    });
   }
 
-  async sendMessage(userId, text, useWebSearch = true) {
+  // Refresh the session once, even if several requests hit a 401 together
+  async _refreshSession() {
+    if (!this.authHandler) return false;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.authHandler.refreshSession()
+        .catch((error) => {
+          console.error('Session refresh failed:', error);
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+
+
+  async sendMessage(userId, text, useWebSearch = true, { signal, idempotencyKey = uuidv4(), conversationId } = {}) {
     try {
       await this.ensureInitialized();
       
-      const requestData = {
-        user_id: userId || 'user_123',
-        text: text,
-        use_web_search: useWebSearch,
-        include_context: true,
-        // Enable intelligent routing for certain types of queries
-        use_intelligent_routing: this._shouldUseIntelligentRouting(text),
-      };
-
-      console.log("========this client",this.client)
+      const requestData = this._buildChatRequest(userId, text, useWebSearch, conversationId);
 
       console.log("========== Sending message to API ==========");
       console.log("Request data:", JSON.stringify(requestData, null, 2));
 
-      const response = await this.client.post(API_ENDPOINTS.CHAT, requestData);
+      const response = await this._request('chat', {
+        method: 'post',
+        url: this._endpoint('CHAT'),
+        data: requestData,
+      }, { signal, idempotencyKey });
       
       console.log("========== Received response from API ==========");
       console.log("Response:", response.data);
       
-      return response.data;
+      return this._validate('chat', response.data);
     } catch (error) {
       console.error('Send message error:', error);
       console.error('Error details:', {
@@ -83,6 +202,214 @@ class APIService {
     }
   }
 
+  /**
+   * Stream a chat reply token-by-token over Server-Sent Events.
+   *
+   * `onChunk(fullText, delta)` is called every time new text arrives. The
+   * resolved value has the same shape as `sendMessage`. If the backend can't
+   * stream, this falls back to a regular request/response call. Pass an
+   * AbortSignal as `signal` to stop the reply early.
+   */
+  async streamMessage(userId, text, useWebSearch = true, { onChunk, signal, idempotencyKey = uuidv4(), conversationId } = {}) {
+    await this.ensureInitialized();
+
+    const requestData = {
+      ...this._buildChatRequest(userId, text, useWebSearch, conversationId),
+      stream: true,
+    };
+
+    const stream = async () => this._streamRequest(this._endpoint('CHAT_STREAM'), requestData, {
+      onChunk,
+      signal,
+      idempotencyKey,
+      accessToken: await this.authHandler?.getAccessToken(),
+    });
+
+    try {
+      console.log("========== Streaming message from API ==========");
+      try {
+        return this._validate('chat', await stream());
+      } catch (error) {
+        // Same refresh-and-retry the axios client does for a 401
+        if (error.status === 401 && await this._refreshSession()) {
+          return this._validate('chat', await stream());
+        }
+        throw error;
+      }
+    } catch (error) {
+      if (!error.streamUnsupported) {
+        console.error('Stream message error:', error);
+        throw error;
+      }
+
+      console.log('Streaming not available, falling back to regular chat');
+      const response = await this.sendMessage(userId, text, useWebSearch, { signal, idempotencyKey, conversationId });
+      onChunk?.(response.response || '', response.response || '');
+      return response;
+    }
+  }
+
+  _buildChatRequest(userId, text, useWebSearch, conversationId) {
+    return {
+      user_id: userId || 'user_123',
+      conversation_id: conversationId,
+      text: text,
+      use_web_search: useWebSearch,
+      include_context: true,
+      // Enable intelligent routing for certain types of queries
+      use_intelligent_routing: this._shouldUseIntelligentRouting(text),
+    };
+  }
+
+  /**
+   * POST `data` to `path` and consume the `text/event-stream` response.
+   *
+   * axios buffers the whole body in React Native, so this goes through
+   * XMLHttpRequest, whose progress events expose the partial response text.
+   * Rejects with `streamUnsupported: true` when the backend doesn't stream.
+   */
+  _streamRequest(path, data, { onChunk, signal, idempotencyKey, accessToken } = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      let received = 0;
+      let text = '';
+      let summary = {};
+      let settled = false;
+      let idleTimer = null;
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      const onAbort = () => {
+        xhr.abort();
+        finish(reject, this.handleError({ name: 'CanceledError' }));
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          xhr.abort();
+          finish(reject, {
+            message: 'The server stopped responding. Please try again.',
+            status: 0,
+          });
+        }, API_CONFIG.streamIdleTimeout);
+      };
+
+      const parser = createSSEParser(({ event, data: rawData }) => {
+        if (rawData === '[DONE]') return;
+        const payload = parseEventData(rawData);
+
+        if (event === 'error') {
+          xhr.abort();
+          finish(reject, {
+            message: payload?.detail || payload?.message || 'Server error',
+            status: xhr.status,
+          });
+          return;
+        }
+
+        const delta = typeof payload === 'string'
+          ? payload
+          : payload?.token ?? payload?.delta ?? payload?.content ?? '';
+
+        if (event === 'done' || payload?.done) {
+          summary = payload;
+          return;
+        }
+
+        if (delta) {
+          text += delta;
+          onChunk?.(text, delta);
+        }
+      });
+
+      const isEventStream = () =>
+        (xhr.getResponseHeader('Content-Type') || '').includes('text/event-stream');
+
+      const consume = () => {
+        const chunk = xhr.responseText.slice(received);
+        received = xhr.responseText.length;
+        if (chunk) {
+          parser.feed(chunk);
+        }
+      };
+
+      xhr.onprogress = () => {
+        if (xhr.status >= 200 && xhr.status < 300 && isEventStream()) {
+          resetIdleTimer();
+          consume();
+        }
+      };
+
+      xhr.onload = () => {
+        if ([404, 405, 501].includes(xhr.status)) {
+          finish(reject, { message: 'Streaming not supported', status: xhr.status, streamUnsupported: true });
+          return;
+        }
+
+        if (xhr.status < 200 || xhr.status >= 300) {
+          finish(reject, this.handleError({
+            response: { status: xhr.status, data: parseEventData(xhr.responseText) },
+          }));
+          return;
+        }
+
+        if (!isEventStream()) {
+          // Backend answered with a plain JSON body - use it as-is
+          const body = parseEventData(xhr.responseText);
+          if (body && typeof body === 'object' && 'response' in body) {
+            onChunk?.(body.response || '', body.response || '');
+            finish(resolve, body);
+          } else {
+            finish(reject, { message: 'Streaming not supported', status: xhr.status, streamUnsupported: true });
+          }
+          return;
+        }
+
+        consume();
+        parser.flush();
+
+        finish(resolve, {
+          ...summary,
+          response: summary.response || text,
+          tokens_used: summary.tokens_used,
+          web_search_used: summary.web_search_used,
+        });
+      };
+
+      xhr.onerror = () => {
+        finish(reject, this.handleError({ request: xhr }));
+      };
+
+      xhr.open('POST', `${this.baseURL}${path}`);
+      Object.entries({ ...API_CONFIG.headers, ...this.profile.headers }).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+      xhr.setRequestHeader('Accept', 'text/event-stream');
+      if (idempotencyKey) {
+        xhr.setRequestHeader('Idempotency-Key', idempotencyKey);
+      }
+      if (accessToken) {
+        xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+      }
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort);
+
+      resetIdleTimer();
+      xhr.send(JSON.stringify(data));
+    });
+  }
+
   _shouldUseIntelligentRouting(text) {
     // Use intelligent routing for specific types of queries
     const intelligentRoutingKeywords = [
@@ -112,28 +439,38 @@ class APIService {
     });
   }
 
-  async sendAudio(userId, audioBase64, useWebSearch = true) {
+  async sendAudio(userId, audioBase64, useWebSearch = true, { signal, idempotencyKey = uuidv4(), conversationId } = {}) {
     try {
       await this.ensureInitialized();
       
-      const response = await this.client.post(API_ENDPOINTS.CHAT, {
-        user_id: userId,
-        audio: audioBase64,
-        use_web_search: useWebSearch,
-        include_context: true,
-      });
-      return response.data;
+      const response = await this._request('audio', {
+        method: 'post',
+        url: this._endpoint('CHAT'),
+        data: {
+          user_id: userId,
+          conversation_id: conversationId,
+          audio: audioBase64,
+          use_web_search: useWebSearch,
+          include_context: true,
+        },
+      }, { signal, idempotencyKey });
+      return this._validate('chat', response.data);
     } catch (error) {
       console.error('Send audio error:', error);
       throw this.handleError(error);
     }
   }
 
-  async clearHistory(userId) {
+  // Clears one thread when `conversationId` is given, otherwise every thread
+  async clearHistory(userId, { signal, conversationId } = {}) {
     try {
       await this.ensureInitialized();
       
-      const response = await this.client.delete(API_ENDPOINTS.CLEAR_HISTORY(userId));
+      const response = await this._request('clearHistory', {
+        method: 'delete',
+        url: this._endpoint('CLEAR_HISTORY', { userId }),
+        params: conversationId ? { conversation_id: conversationId } : undefined,
+      }, { signal });
       return response.data;
     } catch (error) {
       console.error('Clear history error:', error);
@@ -141,11 +478,53 @@ class APIService {
     }
   }
 
-  async checkHealth() {
+  /**
+   * Fetch history changed on the server since `since` (an ISO timestamp from
+   * a previous pull's `server_time`; omit it for everything).
+   */
+  async pullHistory(userId, { since, signal } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('historySync', {
+        method: 'get',
+        url: this._endpoint('HISTORY_SYNC', { userId }),
+        params: since ? { since } : undefined,
+      }, { signal });
+      return this._validate('historyPull', response.data);
+    } catch (error) {
+      console.error('Pull history error:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Upload local changes: `{ conversations, messages, deleted }`
+   */
+  async pushHistory(userId, changes, { signal, idempotencyKey = uuidv4() } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('historySync', {
+        method: 'post',
+        url: this._endpoint('HISTORY_SYNC', { userId }),
+        data: changes,
+      }, { signal, idempotencyKey });
+      return this._validate('historyPush', response.data);
+    } catch (error) {
+      console.error('Push history error:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  async checkHealth({ signal } = {}) {
     try {
       await this.ensureInitialized();
       
-      const response = await this.client.get(API_ENDPOINTS.HEALTH);
+      const response = await this._request('health', {
+        method: 'get',
+        url: this._endpoint('HEALTH'),
+      }, { signal });
       return response.data;
     } catch (error) {
       console.error('Health check error:', error);
@@ -153,8 +532,95 @@ class APIService {
     }
   }
 
+  /**
+   * Perform a request on the axios client, retrying per RETRY_POLICIES[policyName]
+   */
+  async _request(policyName, config, { signal, idempotencyKey } = {}) {
+    const policy = { ...RETRY_POLICIES.default, ...RETRY_POLICIES[policyName] };
+    const headers = { ...config.headers };
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.client.request({ ...config, headers, signal });
+      } catch (error) {
+        if (attempt >= policy.retries || !this._isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt, policy);
+        console.log(
+          `Retrying ${config.method.toUpperCase()} ${config.url} in ${delay}ms ` +
+          `(attempt ${attempt + 2} of ${policy.retries + 1})`
+        );
+        await wait(delay, signal);
+      }
+    }
+  }
+
+  _isRetryable(error) {
+    if (isCancel(error)) return false;
+    if (!error.response) {
+      // Network error or timeout - no response reached us
+      return !!error.request;
+    }
+    return RETRYABLE_STATUS_CODES.includes(error.response.status);
+  }
+
+  _getRetryDelay(error, attempt, policy) {
+    const retryAfter = this._parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxRetryAfter);
+    }
+
+    // Exponential backoff with full jitter
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  // Retry-After is either a number of seconds or an HTTP date
+  _parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+    return null;
+  }
+
+  /**
+   * Check a response body against RESPONSE_SCHEMAS[schemaName]. Malformed
+   * payloads are logged and rejected with a ResponseValidationError.
+   */
+  _validate(schemaName, data) {
+    const issues = validate(RESPONSE_SCHEMAS[schemaName], data);
+    if (issues.length > 0) {
+      console.error(`Invalid ${schemaName} response from ${this.baseURL}:`, issues, data);
+      throw new ResponseValidationError(schemaName, issues);
+    }
+    return data;
+  }
+
   handleError(error) {
-    if (error.response) {
+    if (error instanceof ResponseValidationError) {
+      // Already carries a user-facing message
+      return error;
+    } else if (isCancel(error) || error.name === 'CanceledError') {
+      // Request was aborted through its cancellation signal
+      return {
+        message: 'Request cancelled',
+        status: -2,
+        cancelled: true,
+      };
+    } else if (error.response) {
       // Server responded with error
       return {
         message: error.response.data?.detail || error.response.data?.message || 'Server error',
@@ -190,7 +656,7 @@ class APIService {
       
       console.log("Test request:", JSON.stringify(testRequest, null, 2));
       
-      const response = await this.client.post(API_ENDPOINTS.CHAT, testRequest);
+      const response = await this.client.post(this._endpoint('CHAT'), testRequest);
       console.log("Test response:", response.data);
       return { success: true, data: response.data };
     } catch (error) {
@@ -200,7 +666,7 @@ class APIService {
   }
 
   // Call intent classification endpoint
-  async classifyIntent(userId, text) {
+  async classifyIntent(userId, text, { signal } = {}) {
     try {
       await this.ensureInitialized();
 
@@ -210,45 +676,139 @@ class APIService {
       };
 
       console.log('Calling intent classify API with:', requestData);
-      const response = await this.client.post(API_ENDPOINTS.INTENT_CLASSIFY, requestData);
+      const response = await this._request('intent', {
+        method: 'post',
+        url: this._endpoint('INTENT_CLASSIFY'),
+        data: requestData,
+      }, { signal });
       console.log('Intent API response:', response.data);
-      return response.data;
+      return this._validate('intent', response.data);
     } catch (error) {
       console.error('Intent classify error:', error);
       throw this.handleError(error);
     }
   }
 
+  // Authentication Methods
+
+  /**
+   * Exchange credentials for an access/refresh token pair
+   */
+  async login(username, password, { signal } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('auth', {
+        method: 'post',
+        url: this._endpoint('AUTH_LOGIN'),
+        data: { username, password },
+        skipAuth: true,
+      }, { signal });
+      return response.data;
+    } catch (error) {
+      console.error('Login error:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Get a new access token using a refresh token
+   */
+  async refreshToken(refreshToken, { signal } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('auth', {
+        method: 'post',
+        url: this._endpoint('AUTH_REFRESH'),
+        data: { refresh_token: refreshToken },
+        skipAuth: true,
+      }, { signal });
+      return response.data;
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Revoke the refresh token on the backend
+   */
+  async logout(refreshToken, { signal } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('auth', {
+        method: 'post',
+        url: this._endpoint('AUTH_LOGOUT'),
+        data: { refresh_token: refreshToken },
+      }, { signal });
+      return response.data;
+    } catch (error) {
+      console.error('Logout error:', error);
+      throw this.handleError(error);
+    }
+  }
+
   // Firebase Notification Methods
   
   /**
    * Register device FCM token with backend
    */
-  async registerDeviceToken(deviceInfo) {
+  async registerDeviceToken(deviceInfo, { signal } = {}) {
     try {
       await this.ensureInitialized();
       
       console.log('📡 Registering FCM token with backend...');
-      const response = await this.client.post('/firebase/register-device', deviceInfo);
+      const response = await this._request('registerDevice', {
+        method: 'post',
+        url: this._endpoint('REGISTER_DEVICE'),
+        data: deviceInfo,
+      }, { signal });
       console.log('✅ Device registration response:', response.data);
-      return response.data;
+      return this._validate('deviceRegistration', response.data);
     } catch (error) {
       console.error('❌ Device registration error:', error);
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Remove device FCM token from backend
+   */
+  async unregisterDeviceToken(deviceInfo, { signal } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      console.log('📡 Unregistering FCM token from backend...');
+      const response = await this._request('unregisterDevice', {
+        method: 'post',
+        url: this._endpoint('UNREGISTER_DEVICE'),
+        data: deviceInfo,
+      }, { signal });
+      console.log('✅ Device unregistration response:', response.data);
+      return this._validate('deviceRegistration', response.data);
+    } catch (error) {
+      console.error('❌ Device unregistration error:', error);
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Schedule reminder via Firebase push notification
    */
-  async scheduleFirebaseReminder(reminderData) {
+  async scheduleFirebaseReminder(reminderData, { signal, idempotencyKey = reminderData.id || uuidv4() } = {}) {
     try {
       await this.ensureInitialized();
       
       console.log('📅 Scheduling Firebase reminder...');
-      const response = await this.client.post('/firebase/schedule-reminder', reminderData);
+      const response = await this._request('scheduleReminder', {
+        method: 'post',
+        url: this._endpoint('SCHEDULE_REMINDER'),
+        data: reminderData,
+      }, { signal, idempotencyKey });
       console.log('✅ Firebase reminder scheduled:', response.data);
-      return response.data;
+      return this._validate('reminderSchedule', response.data);
     } catch (error) {
       console.error('❌ Firebase reminder scheduling error:', error);
       throw this.handleError(error);
@@ -258,29 +818,55 @@ class APIService {
   /**
    * Cancel Firebase reminder
    */
-  async cancelFirebaseReminder(cancelData) {
+  async cancelFirebaseReminder(cancelData, { signal, idempotencyKey = uuidv4() } = {}) {
     try {
       await this.ensureInitialized();
       
       console.log('🗑️ Canceling Firebase reminder...');
-      const response = await this.client.post('/firebase/cancel-reminder', cancelData);
+      const response = await this._request('cancelReminder', {
+        method: 'post',
+        url: this._endpoint('CANCEL_REMINDER'),
+        data: cancelData,
+      }, { signal, idempotencyKey });
       console.log('✅ Firebase reminder canceled:', response.data);
-      return response.data;
+      return this._validate('reminderCancel', response.data);
     } catch (error) {
       console.error('❌ Firebase reminder cancellation error:', error);
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Report a Snooze or Done on a delivered Firebase reminder
+   */
+  async acknowledgeFirebaseReminder(ackData, { signal, idempotencyKey = uuidv4() } = {}) {
+    try {
+      await this.ensureInitialized();
+
+      const response = await this._request('acknowledgeReminder', {
+        method: 'post',
+        url: this._endpoint('ACK_REMINDER'),
+        data: ackData,
+      }, { signal, idempotencyKey });
+      return this._validate('reminderAck', response.data);
+    } catch (error) {
+      console.error('❌ Firebase reminder acknowledgement error:', error);
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Get Firebase reminder status
    */
-  async getFirebaseReminderStatus(reminderId) {
+  async getFirebaseReminderStatus(reminderId, { signal } = {}) {
     try {
       await this.ensureInitialized();
       
-      const response = await this.client.get(`/firebase/reminder-status/${reminderId}`);
-      return response.data;
+      const response = await this._request('reminderStatus', {
+        method: 'get',
+        url: this._endpoint('REMINDER_STATUS', { reminderId }),
+      }, { signal });
+      return this._validate('reminderStatus', response.data);
     } catch (error) {
       console.error('❌ Firebase reminder status error:', error);
       throw this.handleError(error);
@@ -0,0 +1,228 @@
+/**
+ * App Lock Service - Optional PIN / biometric lock over the whole app
+ *
+ * The lock is on whenever a PIN is set. The PIN itself is never stored,
+ * only a salted PBKDF2 hash in the secure store. The app locks on launch
+ * and again after it has been in the background for the auto-lock timeout.
+ * Wrong-PIN counts are kept next to the hash, so relaunching the app
+ * doesn't reset a lockout.
+ */
+import { AppState } from 'react-native';
+import * as SecureStore from 'expo-secure-store';
+import * as LocalAuthentication from 'expo-local-authentication';
+import { equalBytes } from '@noble/ciphers/utils';
+import StorageService from './storage';
+import { generateSalt, deriveKey, bytesToBase64, base64ToBytes } from '../utils/crypto';
+
+const PIN_KEY = 'app_lock_pin';
+const ATTEMPTS_KEY = 'app_lock_attempts';
+const PIN_ITERATIONS = 10000;
+export const PIN_LENGTH = { min: 4, max: 8 };
+
+// Wrong PINs allowed before unlocking is paused, and the pause after each
+// further failure
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_DURATION = 30000; // 30 seconds
+
+export const AUTO_LOCK_OPTIONS = [
+  { label: 'Immediately', value: 0 },
+  { label: 'After 1 minute', value: 60000 },
+  { label: 'After 5 minutes', value: 300000 },
+  { label: 'After 15 minutes', value: 900000 },
+  { label: 'After 1 hour', value: 3600000 },
+];
+
+class AppLockService {
+  constructor() {
+    this.enabled = false;
+    this.locked = false;
+    this.timeout = AUTO_LOCK_OPTIONS[0].value;
+    this.backgroundedAt = null;
+    this.failedAttempts = 0;
+    this.lockedOutUntil = 0;
+    this.listeners = new Set();
+    this.appStateSubscription = null;
+    this.handleAppStateChange = this.handleAppStateChange.bind(this);
+  }
+
+  /**
+   * Load the lock settings and start watching the app state. The app
+   * starts locked if a PIN is set. Resolves to `isLocked()`.
+   */
+  async initialize() {
+    this.enabled = !!(await SecureStore.getItemAsync(PIN_KEY));
+    this.timeout = await StorageService.getAutoLockTimeout();
+    await this.loadAttempts();
+    this.locked = this.enabled;
+
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', this.handleAppStateChange);
+    }
+    return this.locked;
+  }
+
+  handleAppStateChange(state) {
+    if (!this.enabled) return;
+
+    if (state === 'background') {
+      this.backgroundedAt = Date.now();
+      // Lock before the app switcher takes its snapshot
+      if (this.timeout === 0) this.lock();
+    } else if (state === 'active' && this.backgroundedAt) {
+      if (Date.now() - this.backgroundedAt >= this.timeout) this.lock();
+      this.backgroundedAt = null;
+    }
+  }
+
+  /**
+   * Listen for lock changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setLocked(locked) {
+    if (this.locked === locked) return;
+    this.locked = locked;
+    this.listeners.forEach((listener) => listener(locked));
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  isLocked() {
+    return this.enabled && this.locked;
+  }
+
+  lock() {
+    if (this.enabled) this.setLocked(true);
+  }
+
+  // Milliseconds until another PIN attempt is allowed
+  getLockoutRemaining() {
+    return Math.max(0, this.lockedOutUntil - Date.now());
+  }
+
+  async loadAttempts() {
+    try {
+      const saved = JSON.parse((await SecureStore.getItemAsync(ATTEMPTS_KEY)) || 'null');
+      this.failedAttempts = saved?.failedAttempts || 0;
+      this.lockedOutUntil = saved?.lockedOutUntil || 0;
+    } catch (error) {
+      console.error('Error loading PIN attempts:', error);
+    }
+  }
+
+  async saveAttempts(failedAttempts, lockedOutUntil = 0) {
+    this.failedAttempts = failedAttempts;
+    this.lockedOutUntil = lockedOutUntil;
+    if (failedAttempts === 0 && lockedOutUntil === 0) {
+      await SecureStore.deleteItemAsync(ATTEMPTS_KEY);
+    } else {
+      await SecureStore.setItemAsync(ATTEMPTS_KEY, JSON.stringify({ failedAttempts, lockedOutUntil }));
+    }
+  }
+
+  async hashPin(pin, salt) {
+    return bytesToBase64(await deriveKey(pin, salt, PIN_ITERATIONS));
+  }
+
+  /**
+   * Set or change the PIN, which turns the lock on
+   */
+  async setPin(pin) {
+    if (!/^\d+$/.test(pin) || pin.length < PIN_LENGTH.min || pin.length > PIN_LENGTH.max) {
+      throw new Error(`PIN must be ${PIN_LENGTH.min}-${PIN_LENGTH.max} digits`);
+    }
+
+    const salt = generateSalt();
+    const hash = await this.hashPin(pin, salt);
+    await SecureStore.setItemAsync(PIN_KEY, JSON.stringify({ salt, hash }));
+    await this.saveAttempts(0);
+    this.enabled = true;
+    this.locked = false;
+  }
+
+  async disable() {
+    await SecureStore.deleteItemAsync(PIN_KEY);
+    await this.saveAttempts(0);
+    await StorageService.setBiometricUnlockEnabled(false);
+    this.enabled = false;
+    this.setLocked(false);
+  }
+
+  /**
+   * Check a PIN and unlock if it matches. Resolves to true on success.
+   * Throws while attempts are paused after too many wrong PINs, and if no
+   * PIN is stored to check against.
+   */
+  async unlockWithPin(pin) {
+    const remaining = this.getLockoutRemaining();
+    if (remaining > 0) {
+      throw new Error(`Too many attempts. Try again in ${Math.ceil(remaining / 1000)} seconds.`);
+    }
+
+    const stored = JSON.parse((await SecureStore.getItemAsync(PIN_KEY)) || 'null');
+    if (!stored) {
+      // Stay locked: a missing hash must not open the app
+      throw new Error('No PIN is stored on this device, so it can\'t be checked.');
+    }
+
+    const hash = await this.hashPin(pin, stored.salt);
+    if (equalBytes(base64ToBytes(hash), base64ToBytes(stored.hash))) {
+      await this.saveAttempts(0);
+      this.setLocked(false);
+      return true;
+    }
+
+    const failedAttempts = this.failedAttempts + 1;
+    await this.saveAttempts(
+      failedAttempts,
+      failedAttempts >= MAX_ATTEMPTS ? Date.now() + LOCKOUT_DURATION : 0
+    );
+    return false;
+  }
+
+  /**
+   * Whether the device can do biometric unlock (hardware present and
+   * something enrolled)
+   */
+  async isBiometricAvailable() {
+    try {
+      return (await LocalAuthentication.hasHardwareAsync())
+        && (await LocalAuthentication.isEnrolledAsync());
+    } catch (error) {
+      console.error('Error checking biometrics:', error);
+      return false;
+    }
+  }
+
+  async isBiometricUnlockEnabled() {
+    return (await StorageService.getBiometricUnlockEnabled()) && (await this.isBiometricAvailable());
+  }
+
+  /**
+   * Show the system biometric prompt and unlock on success
+   */
+  async unlockWithBiometrics() {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage: 'Unlock JARVIS',
+      cancelLabel: 'Use PIN',
+      disableDeviceFallback: true,
+    });
+    if (result.success) {
+      await this.saveAttempts(0);
+      this.setLocked(false);
+    }
+    return result.success;
+  }
+
+  async setAutoLockTimeout(timeout) {
+    this.timeout = timeout;
+    await StorageService.setAutoLockTimeout(timeout);
+  }
+}
+
+export default new AppLockService();
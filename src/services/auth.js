@@ -0,0 +1,197 @@
+/**
+ * Auth Service - User session management
+ * Tokens are kept in the platform secure store, never in AsyncStorage.
+ */
+import * as SecureStore from 'expo-secure-store';
+import APIService from './api';
+import StorageService from './storage';
+import firebaseNotificationService from './firebaseNotification';
+
+const SECURE_KEYS = {
+  ACCESS_TOKEN: 'auth_access_token',
+  REFRESH_TOKEN: 'auth_refresh_token',
+  USER: 'auth_user',
+};
+
+// Statuses the refresh endpoint answers with when the token itself is no good
+const REFRESH_REJECTED_STATUSES = [400, 401];
+
+class AuthService {
+  constructor() {
+    this.session = null;
+    this.loaded = false;
+    this.listeners = new Set();
+
+    APIService.setAuthHandler({
+      getAccessToken: () => this.getAccessToken(),
+      refreshSession: () => this.refreshSession(),
+    });
+  }
+
+  /**
+   * Restore the saved session, if any. Safe to call more than once.
+   */
+  async loadSession() {
+    if (this.loaded) return this.session;
+
+    try {
+      const [accessToken, refreshToken, user] = await Promise.all([
+        SecureStore.getItemAsync(SECURE_KEYS.ACCESS_TOKEN),
+        SecureStore.getItemAsync(SECURE_KEYS.REFRESH_TOKEN),
+        SecureStore.getItemAsync(SECURE_KEYS.USER),
+      ]);
+
+      if (accessToken && refreshToken) {
+        this.session = {
+          accessToken,
+          refreshToken,
+          user: user ? JSON.parse(user) : null,
+        };
+      }
+    } catch (error) {
+      console.error('Error loading session:', error);
+      this.session = null;
+    }
+
+    this.loaded = true;
+    return this.session;
+  }
+
+  isAuthenticated() {
+    return !!this.session;
+  }
+
+  getUser() {
+    return this.session?.user || null;
+  }
+
+  async getAccessToken() {
+    await this.loadSession();
+    return this.session?.accessToken || null;
+  }
+
+  /**
+   * Listen for sign-in / sign-out. The listener receives the new session
+   * (or null). Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this.session));
+  }
+
+  async login(username, password) {
+    const data = await APIService.login(username, password);
+
+    if (!data?.access_token || !data?.refresh_token) {
+      throw { message: 'Login failed: invalid server response', status: -1 };
+    }
+
+    const user = data.user || { id: username };
+    const accountId = String(user.id);
+
+    // A different account signing in must not see the previous user's data.
+    // Data from before anyone signed in (kept under an anonymous user ID)
+    // is the user's own, so it moves to the account instead.
+    const previousAccountId = await StorageService.getAccountId();
+    if (previousAccountId && previousAccountId !== accountId) {
+      await StorageService.clearUserData();
+    } else if (!previousAccountId && await StorageService.getStoredUserId() !== accountId) {
+      await StorageService.adoptAnonymousData();
+    }
+
+    await this.saveSession({
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token,
+      user,
+    });
+    await StorageService.setAccountId(accountId);
+    await StorageService.setUserId(accountId);
+
+    console.log('Signed in as', user.id);
+    this.notify();
+    return user;
+  }
+
+  /**
+   * Swap the refresh token for a new access token. If the backend rejects
+   * the refresh token the session is dropped and listeners are told to show
+   * the login screen; on network errors, timeouts and server errors the
+   * tokens are kept for the next attempt.
+   */
+  async refreshSession() {
+    await this.loadSession();
+    if (!this.session?.refreshToken) return false;
+
+    try {
+      const data = await APIService.refreshToken(this.session.refreshToken);
+      if (!data?.access_token) {
+        throw new Error('No access token in refresh response');
+      }
+
+      await this.saveSession({
+        ...this.session,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || this.session.refreshToken,
+      });
+      return true;
+
+    } catch (error) {
+      if (!REFRESH_REJECTED_STATUSES.includes(error.status)) {
+        console.error('Could not refresh session, will retry later:', error);
+        return false;
+      }
+
+      console.error('Refresh token rejected, signing out:', error);
+      await this.clearSession();
+      this.notify();
+      return false;
+    }
+  }
+
+  /**
+   * Sign out and wipe everything local to this user: conversation history,
+   * reminders, queued messages and the registered FCM token.
+   */
+  async logout() {
+    const refreshToken = this.session?.refreshToken;
+
+    if (refreshToken) {
+      try {
+        await APIService.logout(refreshToken);
+      } catch (error) {
+        console.error('Backend logout failed:', error);
+      }
+    }
+
+    await firebaseNotificationService.unregister();
+    await StorageService.clearUserData();
+    await this.clearSession();
+
+    console.log('Signed out');
+    this.notify();
+  }
+
+  async saveSession(session) {
+    await Promise.all([
+      SecureStore.setItemAsync(SECURE_KEYS.ACCESS_TOKEN, session.accessToken),
+      SecureStore.setItemAsync(SECURE_KEYS.REFRESH_TOKEN, session.refreshToken),
+      SecureStore.setItemAsync(SECURE_KEYS.USER, JSON.stringify(session.user)),
+    ]);
+    this.session = session;
+    this.loaded = true;
+  }
+
+  async clearSession() {
+    await Promise.all(
+      Object.values(SECURE_KEYS).map((key) => SecureStore.deleteItemAsync(key))
+    );
+    this.session = null;
+    this.loaded = true;
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,145 @@
+/**
+ * Backup Service - Passphrase-encrypted backup and restore of everything
+ * StorageService keeps: settings, user ID, conversations, messages and
+ * reminders
+ *
+ * The archive is a JSON envelope holding the KDF parameters and the
+ * AES-GCM encrypted snapshot. Push registration isn't copied (FCM tokens
+ * belong to a device); after a restore this device registers again under
+ * the restored user ID.
+ */
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import StorageService from './storage';
+import APIService from './api';
+import reminderService from './reminderService';
+import firebaseNotificationService from './firebaseNotification';
+import {
+  DEFAULT_KDF_ITERATIONS,
+  generateSalt,
+  deriveKey,
+  encrypt,
+  decrypt,
+} from '../utils/crypto';
+
+const BACKUP_FORMAT = 'jarvis-backup';
+// Bump when the snapshot shape changes; restoring a newer version is refused
+const BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+class BackupService {
+  /**
+   * Encrypt a snapshot of all app data and open the share sheet so it can
+   * be saved somewhere off the device. Resolves to the file's uri.
+   */
+  async createBackup(passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const snapshot = await StorageService.getSnapshot();
+    const payload = JSON.stringify({
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      ...snapshot,
+    });
+
+    const salt = generateSalt();
+    const key = await deriveKey(passphrase, salt, DEFAULT_KDF_ITERATIONS);
+    const archive = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: { name: 'pbkdf2-sha256', iterations: DEFAULT_KDF_ITERATIONS, salt },
+      cipher: { name: 'aes-256-gcm', ...encrypt(key, payload) },
+    };
+
+    const fileUri = `${FileSystem.cacheDirectory}jarvis-backup-${Date.now()}.jarvisbackup`;
+    await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(archive));
+
+    if (await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(fileUri, { mimeType: 'application/json', dialogTitle: 'Save backup' });
+    }
+
+    console.log(
+      `Backup created: ${snapshot.messages.length} messages, ${snapshot.reminders.length} reminders`
+    );
+    return fileUri;
+  }
+
+  /**
+   * Let the user pick a backup file. Resolves to its contents, or null if
+   * the picker was cancelled.
+   */
+  async pickBackup() {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+    if (picked.canceled || !picked.assets?.length) {
+      return null;
+    }
+    return await FileSystem.readAsStringAsync(picked.assets[0].uri);
+  }
+
+  /**
+   * Decrypt and check an archive without touching stored data
+   */
+  async readBackup(contents, passphrase) {
+    let archive;
+    try {
+      archive = JSON.parse(contents);
+    } catch {
+      throw new Error('The file is not a JARVIS backup');
+    }
+
+    if (archive?.format !== BACKUP_FORMAT || !archive.kdf || !archive.cipher) {
+      throw new Error('The file is not a JARVIS backup');
+    }
+    if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+      throw new Error('This backup was made by a newer version of the app. Update the app and try again.');
+    }
+    if (archive.kdf.name !== 'pbkdf2-sha256' || archive.cipher.name !== 'aes-256-gcm') {
+      throw new Error('This backup uses an unsupported encryption method');
+    }
+
+    const key = await deriveKey(passphrase, archive.kdf.salt, archive.kdf.iterations);
+    let snapshot;
+    try {
+      snapshot = JSON.parse(decrypt(key, archive.cipher));
+    } catch {
+      throw new Error('Wrong passphrase, or the backup file is damaged');
+    }
+
+    if (snapshot.version !== archive.version || !Array.isArray(snapshot.messages)) {
+      throw new Error('The backup file is damaged');
+    }
+    return snapshot;
+  }
+
+  /**
+   * Replace all local data with a backup, then re-register for push and
+   * schedule the backup's future reminders again. Resolves to a summary.
+   */
+  async restoreBackup(contents, passphrase) {
+    const snapshot = await this.readBackup(contents, passphrase);
+    await StorageService.restoreSnapshot(snapshot);
+    // The backup may have a different active API profile
+    APIService.applyProfile(await StorageService.getActiveApiProfile());
+
+    if (firebaseNotificationService.getToken()) {
+      await firebaseNotificationService.registerWithBackend();
+    }
+    const reminders = await reminderService.rescheduleReminders();
+
+    return {
+      createdAt: snapshot.createdAt,
+      conversations: snapshot.conversations?.length || 0,
+      messages: snapshot.messages.length,
+      reminders,
+    };
+  }
+}
+
+export default new BackupService();
@@ -0,0 +1,237 @@
+/**
+ * Database - SQLite store for conversations, messages and reminders
+ *
+ * Settings and small state stay in AsyncStorage (see storage.js). Anything
+ * that grows with use lives here, in indexed tables, so reads are paginated
+ * and writes touch one row instead of rewriting a JSON blob.
+ *
+ * The database file is encrypted with SQLCipher (enabled by the expo-sqlite
+ * plugin in app.json). Its key is random and kept in the platform secure
+ * store, so the data can't be read off the device without it.
+ *
+ * SCHEMA creates the current tables; changes to existing data go through
+ * the versioned steps in migrations.js.
+ */
+import * as SQLite from 'expo-sqlite';
+import * as SecureStore from 'expo-secure-store';
+import * as FileSystem from 'expo-file-system/legacy';
+import { bytesToHex, hexToBytes } from '@noble/ciphers/utils';
+import { KEY_LENGTH, randomBytes } from '../utils/crypto';
+import { runMigrations } from './migrations';
+
+const DATABASE_NAME = 'jarvis-secure.db';
+// Unencrypted database written before encryption at rest
+const PLAINTEXT_DATABASE_NAME = 'jarvis.db';
+const STORAGE_KEY = 'storage_encryption_key';
+
+/**
+ * Thrown when the encrypted database exists but can't be opened with the
+ * stored key (usually because the key is gone after a device restore).
+ * The app shows a reset screen instead of crashing.
+ */
+export class StorageLockedError extends Error {
+  constructor() {
+    super('Your saved conversations and reminders can\'t be unlocked on this device.');
+    this.name = 'StorageLockedError';
+    this.code = 'STORAGE_LOCKED';
+  }
+}
+
+const SCHEMA = `
+  PRAGMA journal_mode = WAL;
+  PRAGMA foreign_keys = ON;
+
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY NOT NULL,
+    title TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    modified_at TEXT,
+    synced_at TEXT,
+    archived INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS idx_conversations_updated
+    ON conversations (archived, updated_at DESC);
+
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY NOT NULL,
+    conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+    text TEXT NOT NULL DEFAULT '',
+    is_user INTEGER NOT NULL DEFAULT 0,
+    timestamp TEXT NOT NULL,
+    updated_at TEXT,
+    synced INTEGER NOT NULL DEFAULT 0,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_conversation
+    ON messages (conversation_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_messages_unsynced
+    ON messages (synced) WHERE synced = 0;
+
+  -- Full-text index over message text, kept in step by triggers
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    text,
+    content = 'messages',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+    INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+  END;
+
+  CREATE TABLE IF NOT EXISTS reminders (
+    id TEXT PRIMARY KEY NOT NULL,
+    time TEXT,
+    method TEXT,
+    remote_id TEXT,
+    created TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_reminders_time ON reminders (time);
+  CREATE INDEX IF NOT EXISTS idx_reminders_remote ON reminders (remote_id);
+`;
+
+const databasePath = (name) =>
+  `${SQLite.defaultDatabaseDirectory.replace(/^file:\/\//, '')}/${name}`;
+
+const databaseExists = async (name) =>
+  (await FileSystem.getInfoAsync(`file://${databasePath(name)}`)).exists;
+
+let storageKeyPromise = null;
+
+/**
+ * The 256-bit storage key as hex. Created on first use, unless encrypted
+ * data already exists - a new key couldn't read it, so that's an error.
+ */
+const getStorageKeyHex = () => {
+  if (!storageKeyPromise) {
+    storageKeyPromise = (async () => {
+      const stored = await SecureStore.getItemAsync(STORAGE_KEY).catch((error) => {
+        // Some Android keystores become unreadable after a backup restore
+        console.error('Error reading storage key:', error);
+        return null;
+      });
+      if (stored) return stored;
+
+      if (await databaseExists(DATABASE_NAME)) {
+        throw new StorageLockedError();
+      }
+      const key = bytesToHex(randomBytes(KEY_LENGTH));
+      // Readable after first unlock so background tasks can open the database
+      await SecureStore.setItemAsync(STORAGE_KEY, key, {
+        keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK,
+      });
+      return key;
+    })().catch((error) => {
+      storageKeyPromise = null;
+      throw error;
+    });
+  }
+  return storageKeyPromise;
+};
+
+/**
+ * Key for encrypting small values outside the database (see storage.js)
+ */
+export const getStorageKey = async () => hexToBytes(await getStorageKeyHex());
+
+const isReadable = async (db) => {
+  try {
+    await db.getFirstAsync('SELECT COUNT(*) AS count FROM sqlite_master');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Copy an unencrypted database from an earlier version into the encrypted
+ * one, then delete it. Safe to repeat if interrupted: the copy only runs
+ * while the encrypted database is still empty.
+ */
+const encryptPlaintextDatabase = async (db) => {
+  if (!(await databaseExists(PLAINTEXT_DATABASE_NAME))) return;
+
+  const { count } = await db.getFirstAsync('SELECT COUNT(*) AS count FROM sqlite_master');
+  if (count === 0) {
+    await db.execAsync(`ATTACH DATABASE '${databasePath(PLAINTEXT_DATABASE_NAME)}' AS plaintext KEY ''`);
+    try {
+      const { user_version: version } = await db.getFirstAsync('PRAGMA plaintext.user_version');
+      await db.execAsync(`
+        SELECT sqlcipher_export('main', 'plaintext');
+        PRAGMA user_version = ${Number(version) || 0};
+      `);
+    } finally {
+      await db.execAsync('DETACH DATABASE plaintext');
+    }
+    console.log('Encrypted the existing database');
+  }
+
+  await SQLite.deleteDatabaseAsync(PLAINTEXT_DATABASE_NAME);
+};
+
+const openDatabase = async () => {
+  const key = await getStorageKeyHex();
+  const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  // Must come before anything else touches the file
+  await db.execAsync(`PRAGMA key = "x'${key}'"`);
+  if (!(await isReadable(db))) {
+    await db.closeAsync();
+    throw new StorageLockedError();
+  }
+
+  await encryptPlaintextDatabase(db);
+  await db.execAsync(SCHEMA);
+
+  try {
+    await runMigrations(db);
+  } catch (error) {
+    // Closed so a retry starts from a fresh connection
+    await db.closeAsync();
+    throw error;
+  }
+
+  return db;
+};
+
+let databasePromise = null;
+
+/**
+ * The shared database connection, opened (and migrated) on first use
+ */
+export const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = openDatabase().catch((error) => {
+      console.error('Error opening database:', error);
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Delete the database and its key, for when the key has been lost. The
+ * next getDatabase() starts over with an empty store.
+ */
+export const resetDatabase = async () => {
+  const db = await databasePromise?.catch(() => null);
+  await db?.closeAsync();
+  databasePromise = null;
+  storageKeyPromise = null;
+
+  if (await databaseExists(DATABASE_NAME)) {
+    await SQLite.deleteDatabaseAsync(DATABASE_NAME);
+  }
+  await SecureStore.deleteItemAsync(STORAGE_KEY);
+};
+
+// Bind a list of values as one parameter: `WHERE id IN (SELECT value FROM json_each(?))`
+export const jsonList = (values) => JSON.stringify(values);
@@ -3,14 +3,29 @@
  * Complete implementation for JARVIS alarm system
  */
 import messaging from '@react-native-firebase/messaging';
+import * as Notifications from 'expo-notifications';
 import { Platform, Alert, PermissionsAndroid } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import APIService from './api';
+import { getDeviceTimeZone } from '../utils/timeZone';
+import { REMINDER_CATEGORY } from '../utils/reminderUtils';
+
+export const SNOOZE_MINUTES = [5, 15, 60];
+export const REMINDER_ACTIONS = {
+  DONE: 'done',
+  SNOOZE_PREFIX: 'snooze_',
+};
+
+// Buttons must work from the lock screen without opening the app
+const BACKGROUND_ACTION = { opensAppToForeground: false, isAuthenticationRequired: false };
 
 class FirebaseNotificationService {
   constructor() {
     this.isInitialized = false;
     this.fcmToken = null;
+    this.openedListeners = new Set();
+    this.pendingOpened = null;
+    this.reminderListeners = new Set();
   }
 
   /**
@@ -130,6 +145,55 @@ class FirebaseNotificationService {
     }
   }
 
+  /**
+   * Register the reminder action buttons, and show notifications presented
+   * while the app is open as banners. Needed by device-scheduled reminders
+   * too, so it doesn't depend on initialize().
+   */
+  async setupReminderCategory() {
+    try {
+      await Notifications.setNotificationCategoryAsync(REMINDER_CATEGORY, [
+        ...SNOOZE_MINUTES.map((minutes) => ({
+          identifier: `${REMINDER_ACTIONS.SNOOZE_PREFIX}${minutes}`,
+          buttonTitle: minutes < 60 ? `Snooze ${minutes} min` : 'Snooze 1 hour',
+          options: BACKGROUND_ACTION,
+        })),
+        {
+          identifier: REMINDER_ACTIONS.DONE,
+          buttonTitle: 'Done',
+          options: BACKGROUND_ACTION,
+        },
+      ]);
+      Notifications.setNotificationHandler({
+        handleNotification: async () => ({
+          shouldShowBanner: true,
+          shouldShowList: true,
+          shouldPlaySound: true,
+          shouldSetBadge: false,
+        }),
+      });
+    } catch (error) {
+      console.error('❌ Error setting up reminder actions:', error);
+    }
+  }
+
+  /**
+   * Show a reminder as a local notification with the action buttons
+   */
+  async presentReminder(remoteMessage) {
+    const { data = {}, notification } = remoteMessage;
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: notification?.title || data.title || '⏰ JARVIS Reminder',
+        body: notification?.body || data.body || data.text || 'You have a reminder!',
+        sound: 'default',
+        categoryIdentifier: REMINDER_CATEGORY,
+        data,
+      },
+      trigger: null,
+    });
+  }
+
   /**
    * Set up message handlers for different app states
    */
@@ -138,6 +202,12 @@ class FirebaseNotificationService {
     messaging().setBackgroundMessageHandler(async (remoteMessage) => {
       console.log('📱 Background message received:', remoteMessage);
       this.handleReminderNotification(remoteMessage);
+
+      // The system only displays messages with a notification payload;
+      // data-only reminders are shown here, with their buttons
+      if (!remoteMessage.notification && remoteMessage.data?.type === 'reminder') {
+        await this.presentReminder(remoteMessage);
+      }
     });
 
     // Handle notification when app is in foreground
@@ -154,6 +224,7 @@ class FirebaseNotificationService {
       if (remoteMessage) {
         console.log('📱 App opened from quit state by notification:', remoteMessage);
         this.handleReminderNotification(remoteMessage);
+        this.notifyOpened(remoteMessage);
       }
     });
 
@@ -161,6 +232,7 @@ class FirebaseNotificationService {
     messaging().onNotificationOpenedApp((remoteMessage) => {
       console.log('📱 App opened from background by notification:', remoteMessage);
       this.handleReminderNotification(remoteMessage);
+      this.notifyOpened(remoteMessage);
     });
 
     // Listen for token refresh
@@ -172,6 +244,38 @@ class FirebaseNotificationService {
     });
   }
 
+  /**
+   * Listen for notification taps that opened the app. A tap that arrives
+   * before anyone is listening (cold start) is held and delivered to the
+   * first listener. Returns an unsubscribe function.
+   */
+  onNotificationOpened(listener) {
+    this.openedListeners.add(listener);
+    if (this.pendingOpened) {
+      const remoteMessage = this.pendingOpened;
+      this.pendingOpened = null;
+      listener(remoteMessage);
+    }
+    return () => this.openedListeners.delete(listener);
+  }
+
+  notifyOpened(remoteMessage) {
+    if (this.openedListeners.size === 0) {
+      this.pendingOpened = remoteMessage;
+      return;
+    }
+    this.openedListeners.forEach((listener) => listener(remoteMessage));
+  }
+
+  /**
+   * Listen for reminder notifications as they arrive (the listener gets the
+   * message's `data`). Returns an unsubscribe function.
+   */
+  onReminderReceived(listener) {
+    this.reminderListeners.add(listener);
+    return () => this.reminderListeners.delete(listener);
+  }
+
   /**
    * Handle received reminder notifications
    */
@@ -180,13 +284,8 @@ class FirebaseNotificationService {
       const { data, notification } = remoteMessage;
       
       if (data?.type === 'reminder') {
-        console.log('⏰ Reminder notification received:', notification.title);
-        
-        // You can add custom logic here like:
-        // - Playing custom sound
-        // - Updating app state
-        // - Logging reminder completion
-        // - Showing in-app notification
+        console.log('⏰ Reminder notification received:', notification?.title);
+        this.reminderListeners.forEach((listener) => listener(data));
       }
     } catch (error) {
       console.error('❌ Error handling notification:', error);
@@ -194,9 +293,17 @@ class FirebaseNotificationService {
   }
 
   /**
-   * Show local notification for foreground messages
+   * Show local notification for foreground messages. Reminders get a
+   * notification with Snooze and Done; anything else an alert.
    */
   showLocalNotification(remoteMessage) {
+    if (remoteMessage.data?.type === 'reminder') {
+      this.presentReminder(remoteMessage).catch((error) => {
+        console.error('❌ Error presenting reminder:', error);
+      });
+      return;
+    }
+
     Alert.alert(
       remoteMessage.notification?.title || '⏰ JARVIS Reminder',
       remoteMessage.notification?.body || 'You have a reminder!',
@@ -238,10 +345,42 @@ class FirebaseNotificationService {
     }
   }
 
+  /**
+   * Remove this device's registration, e.g. when the user logs out.
+   * Unregisters the token on the backend and deletes it on the device.
+   */
+  async unregister() {
+    try {
+      const fcmToken = this.fcmToken || await AsyncStorage.getItem('fcm_token');
+
+      if (fcmToken) {
+        try {
+          await APIService.unregisterDeviceToken({
+            fcmToken,
+            platform: Platform.OS,
+            userId: await this.getUserId(),
+          });
+        } catch (error) {
+          console.error('❌ Backend unregistration failed:', error);
+        }
+      }
+
+      await messaging().deleteToken();
+      await AsyncStorage.multiRemove(['fcm_token', 'device_registered']);
+
+      this.fcmToken = null;
+      this.isInitialized = false;
+      console.log('✅ Device unregistered from Firebase');
+
+    } catch (error) {
+      console.error('❌ Firebase unregistration failed:', error);
+    }
+  }
+
   /**
    * Schedule reminder via backend
    */
-  async scheduleReminder(reminderData) {
+  async scheduleReminder(reminderData, { signal } = {}) {
     try {
       if (!this.isInitialized) {
         throw new Error('Firebase not initialized');
@@ -253,15 +392,27 @@ class FirebaseNotificationService {
 
       console.log('📅 Scheduling reminder via Firebase backend...');
       
+      // The zone lets the backend keep clock-time reminders on the clock
+      // (see timeZone.js); `wallTime` is that clock time
       const payload = {
         ...reminderData,
+        timeZone: reminderData.timeZone || getDeviceTimeZone(),
+        anchor: reminderData.anchor || 'absolute',
+        category: REMINDER_CATEGORY,
         fcmToken: this.fcmToken,
         platform: Platform.OS,
         userId: await this.getUserId(),
         scheduledAt: new Date().toISOString()
       };
 
-      const response = await APIService.scheduleFirebaseReminder(payload);
+      // Keyed per occurrence, so the next one of a repeating reminder isn't
+      // mistaken for a retry of the last, and per revision, so an edited
+      // reminder isn't mistaken for the one it replaces
+      const revision = reminderData.revision ? `_${reminderData.revision}` : '';
+      const response = await APIService.scheduleFirebaseReminder(payload, {
+        signal,
+        idempotencyKey: `${reminderData.id}_${reminderData.time}${revision}`,
+      });
       
       if (response.success) {
         console.log('✅ Reminder scheduled via Firebase backend');
@@ -292,7 +443,7 @@ class FirebaseNotificationService {
         remoteId,
         fcmToken: this.fcmToken,
         userId: await this.getUserId()
-      });
+      }, { idempotencyKey: `cancel_${remoteId}` });
 
       if (response.success) {
         console.log('✅ Reminder canceled via Firebase backend');
@@ -307,6 +458,32 @@ class FirebaseNotificationService {
     }
   }
 
+  /**
+   * What the backend knows about a scheduled reminder's delivery:
+   * { status, remoteId, scheduledFor }. Throws if it can't be asked.
+   */
+  async getReminderStatus(remoteId) {
+    return APIService.getFirebaseReminderStatus(remoteId);
+  }
+
+  /**
+   * Report a Snooze or Done on a delivered reminder to the backend. `ack`
+   * is { action, snoozeMinutes, at }; throws if the backend didn't take it.
+   */
+  async acknowledgeReminder(remoteId, ack) {
+    const response = await APIService.acknowledgeFirebaseReminder({
+      remoteId,
+      ...ack,
+      fcmToken: this.fcmToken,
+      userId: await this.getUserId()
+    }, { idempotencyKey: `ack_${remoteId}_${ack.at}` });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Backend acknowledgement failed');
+    }
+    return true;
+  }
+
   /**
    * Get user ID from storage
    */
@@ -0,0 +1,103 @@
+/**
+ * History Export Service - Export chat history to a shareable file, and
+ * import JSON exports back
+ *
+ * Formats are defined in utils/exportFormats.js.
+ */
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import StorageService from './storage';
+import { EXPORT_FORMATS, buildExport, parseJsonExport } from '../utils/exportFormats';
+
+class HistoryExportService {
+  getFormats() {
+    return Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, label: format.label }));
+  }
+
+  /**
+   * Collect the messages for a scope:
+   *   { type: 'all' }
+   *   { type: 'conversation', conversationId }
+   *   { type: 'range', from, to }  - ISO timestamps, either may be omitted
+   */
+  async collect(scope) {
+    const conversations = await StorageService.getConversations();
+
+    if (scope.type === 'conversation') {
+      const conversation = conversations.find((c) => c.id === scope.conversationId);
+      return {
+        conversations: conversation ? [conversation] : [],
+        messages: await StorageService.getAllMessages({ conversationId: scope.conversationId }),
+        scopeLabel: conversation?.title || 'Conversation',
+      };
+    }
+
+    if (scope.type === 'range') {
+      const from = scope.from ? new Date(scope.from).toLocaleDateString() : 'the beginning';
+      const to = scope.to ? new Date(scope.to).toLocaleDateString() : 'today';
+      return {
+        conversations,
+        messages: await StorageService.getAllMessages({ from: scope.from, to: scope.to }),
+        scopeLabel: `${from} to ${to}`,
+      };
+    }
+
+    return {
+      conversations,
+      messages: await StorageService.getAllMessages(),
+      scopeLabel: 'All history',
+    };
+  }
+
+  /**
+   * Write the export to a file and open the share sheet. Resolves to the
+   * file's uri, or null when there is nothing to export.
+   */
+  async exportHistory(formatId, scope = { type: 'all' }) {
+    const format = EXPORT_FORMATS[formatId];
+    if (!format) {
+      throw new Error(`Unknown export format: ${formatId}`);
+    }
+
+    const collected = await this.collect(scope);
+    if (collected.messages.length === 0) {
+      return null;
+    }
+
+    const contents = format.serialize(buildExport(collected));
+    const fileUri = `${FileSystem.cacheDirectory}jarvis-history-${Date.now()}.${format.extension}`;
+    await FileSystem.writeAsStringAsync(fileUri, contents);
+
+    if (await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(fileUri, { mimeType: format.mimeType, dialogTitle: 'Export history' });
+    }
+    return fileUri;
+  }
+
+  /**
+   * Let the user pick a JSON export and merge it into local history.
+   * Resolves to { conversations, messages, skipped } counts, or null if
+   * the picker was cancelled.
+   */
+  async importHistory() {
+    const picked = await DocumentPicker.getDocumentAsync({
+      type: ['application/json', 'text/plain', '*/*'],
+      copyToCacheDirectory: true,
+    });
+    if (picked.canceled || !picked.assets?.length) {
+      return null;
+    }
+
+    const contents = await FileSystem.readAsStringAsync(picked.assets[0].uri);
+    const data = parseJsonExport(contents);
+    const result = await StorageService.importHistory(data);
+    console.log(
+      `Imported ${result.messages} messages into ${result.conversations} new conversations ` +
+      `(${result.skipped} duplicates skipped)`
+    );
+    return result;
+  }
+}
+
+export default new HistoryExportService();
@@ -0,0 +1,311 @@
+/**
+ * Migrations - Ordered, versioned upgrades for the local database
+ *
+ * The schema version lives in `PRAGMA user_version`. On startup every step
+ * newer than it runs in order, each in its own transaction that also bumps
+ * the version, so a step that fails rolls back cleanly and the database is
+ * left at the last version that completed. Add new steps to the end of
+ * MIGRATIONS; never edit or reorder a step that has shipped.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDeviceTimeZone, toWallTime } from '../utils/timeZone';
+
+/**
+ * Thrown when a migration step fails. The database stays at `fromVersion`
+ * and the step is retried on the next launch.
+ */
+export class MigrationError extends Error {
+  constructor(step, fromVersion, cause) {
+    super(`Updating local data failed at step ${step.version} (${step.name}): ${cause?.message || cause}`);
+    this.name = 'MigrationError';
+    this.code = 'MIGRATION_FAILED';
+    this.version = step.version;
+    this.fromVersion = fromVersion;
+    this.cause = cause;
+  }
+}
+
+// The row layout steps 1-5 read and write, copied from rows.js as they
+// shipped. rows.js follows the app's current shapes, so using it here would
+// change what those steps do; never edit these, and give a later step that
+// needs another layout its own copy.
+const MESSAGE_COLUMNS = ['id', 'conversationId', 'text', 'isUser', 'timestamp', 'updatedAt', 'synced'];
+
+const messageToRow = (message) => {
+  const extra = {};
+  Object.keys(message).forEach((key) => {
+    if (!MESSAGE_COLUMNS.includes(key) && message[key] !== undefined) {
+      extra[key] = message[key];
+    }
+  });
+
+  return [
+    message.id,
+    message.conversationId,
+    message.text || '',
+    message.isUser ? 1 : 0,
+    message.timestamp || new Date().toISOString(),
+    message.updatedAt || null,
+    message.synced ? 1 : 0,
+    JSON.stringify(extra),
+  ];
+};
+
+const rowToMessage = (row) => ({
+  ...JSON.parse(row.extra || '{}'),
+  id: row.id,
+  conversationId: row.conversation_id,
+  text: row.text,
+  isUser: !!row.is_user,
+  timestamp: row.timestamp,
+  ...(row.updated_at && { updatedAt: row.updated_at }),
+  synced: !!row.synced,
+});
+
+const INSERT_MESSAGE = `
+  INSERT INTO messages
+    (id, conversation_id, text, is_user, timestamp, updated_at, synced, extra)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    conversation_id = excluded.conversation_id,
+    text = excluded.text,
+    is_user = excluded.is_user,
+    timestamp = excluded.timestamp,
+    updated_at = excluded.updated_at,
+    synced = excluded.synced,
+    extra = excluded.extra
+`;
+
+const UPSERT_CONVERSATION = `
+  INSERT INTO conversations
+    (id, title, created_at, updated_at, modified_at, synced_at, archived)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    title = excluded.title,
+    updated_at = excluded.updated_at,
+    modified_at = excluded.modified_at,
+    synced_at = excluded.synced_at,
+    archived = excluded.archived
+`;
+
+const conversationToRow = (conversation) => [
+  conversation.id,
+  conversation.title,
+  conversation.createdAt,
+  conversation.updatedAt || conversation.createdAt,
+  conversation.modifiedAt || null,
+  conversation.syncedAt || null,
+  conversation.archived ? 1 : 0,
+];
+
+const INSERT_REMINDER = `
+  INSERT OR REPLACE INTO reminders (id, time, method, remote_id, created, data)
+  VALUES (?, ?, ?, ?, ?, ?)
+`;
+
+const reminderToRow = (reminder) => [
+  reminder.id,
+  reminder.time || null,
+  reminder.method || null,
+  reminder.remoteId ? String(reminder.remoteId) : null,
+  reminder.created || new Date().toISOString(),
+  JSON.stringify(reminder),
+];
+
+// Keys written by the AsyncStorage-only versions of the app
+const LEGACY_KEYS = {
+  CONVERSATION_HISTORY: 'conversation_history',
+  CONVERSATIONS: 'conversations',
+  CONVERSATION_MESSAGES_PREFIX: 'conversation_messages_',
+  LOCAL_REMINDERS: 'local_reminders',
+};
+
+const readJson = async (key) => {
+  try {
+    const value = await AsyncStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`Error reading ${key} for migration:`, error);
+    return null;
+  }
+};
+
+/**
+ * Copy conversations, messages and reminders out of AsyncStorage. Runs once,
+ * in a transaction, and the old keys are only removed after it commits, so
+ * a failure is retried on the next launch.
+ */
+const migrateFromAsyncStorage = async (db) => {
+  let conversations = (await readJson(LEGACY_KEYS.CONVERSATIONS)) || [];
+  const messagesByConversation = {};
+
+  for (const conversation of conversations) {
+    messagesByConversation[conversation.id] =
+      (await readJson(LEGACY_KEYS.CONVERSATION_MESSAGES_PREFIX + conversation.id)) || [];
+  }
+
+  // Single history from before conversations existed
+  const legacyHistory = (await readJson(LEGACY_KEYS.CONVERSATION_HISTORY)) || [];
+  if (legacyHistory.length > 0) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: `migrated_${Date.now()}`,
+      title: 'Conversation',
+      createdAt: legacyHistory[0].timestamp || now,
+      updatedAt: legacyHistory[legacyHistory.length - 1].timestamp || now,
+    };
+    conversations = [...conversations, conversation];
+    messagesByConversation[conversation.id] = legacyHistory;
+  }
+
+  const reminders = (await readJson(LEGACY_KEYS.LOCAL_REMINDERS)) || [];
+
+  for (const conversation of conversations) {
+    await db.runAsync(UPSERT_CONVERSATION, conversationToRow(conversation));
+    for (const message of messagesByConversation[conversation.id]) {
+      await db.runAsync(INSERT_MESSAGE, messageToRow({ ...message, conversationId: conversation.id }));
+    }
+  }
+  for (const reminder of reminders) {
+    await db.runAsync(INSERT_REMINDER, reminderToRow(reminder));
+  }
+
+  const messageCount = Object.values(messagesByConversation).reduce((sum, list) => sum + list.length, 0);
+  console.log(
+    `Migrated ${conversations.length} conversations, ${messageCount} messages ` +
+    `and ${reminders.length} reminders to SQLite`
+  );
+};
+
+const removeLegacyKeys = async () => {
+  const keys = await AsyncStorage.getAllKeys();
+  await AsyncStorage.multiRemove([
+    LEGACY_KEYS.CONVERSATION_HISTORY,
+    LEGACY_KEYS.CONVERSATIONS,
+    LEGACY_KEYS.LOCAL_REMINDERS,
+    ...keys.filter((key) => key.startsWith(LEGACY_KEYS.CONVERSATION_MESSAGES_PREFIX)),
+  ]);
+};
+
+// Likewise the steps that reshape data keep their own copies rather than
+// calling normalizeReminder or normalizeMessage.
+
+// Step 3, as shipped: the fields reminders gained after the first versions
+const fillReminderFields = (reminder) => {
+  const time = reminder.time ? new Date(reminder.time) : null;
+  return {
+    ...reminder,
+    id: String(reminder.id),
+    text: reminder.text || reminder.originalText || '',
+    originalText: reminder.originalText || reminder.text || '',
+    time: time && !isNaN(time) ? time.toISOString() : reminder.time || null,
+    created: reminder.created || new Date().toISOString(),
+    method: reminder.method || 'none',
+    scheduled: !!reminder.scheduled,
+    remoteId: reminder.remoteId ?? null,
+    localId: reminder.localId ?? null,
+  };
+};
+
+// Step 5: older reminders didn't record a zone. Repeating ones were always
+// clock times; for one-offs, keeping the instant is the safe guess.
+const recordReminderTimeZone = (reminder) => {
+  const time = reminder.time ? new Date(reminder.time) : null;
+  const anchor = reminder.anchor || (reminder.recurrence ? 'wall' : 'absolute');
+  return {
+    ...reminder,
+    timeZone: reminder.timeZone || getDeviceTimeZone(),
+    anchor,
+    wallTime: reminder.wallTime ?? (anchor === 'wall' && time && !isNaN(time) ? toWallTime(time) : null),
+  };
+};
+
+// Step 4: reminder confirmations used to carry four loose flags
+const groupReminderFlags = (message) => {
+  const { isFirebaseReminder, isLocalReminder, reminderMethod, reminderScheduled, ...rest } = message;
+  return {
+    ...rest,
+    reminder: {
+      method: reminderMethod || (isFirebaseReminder ? 'firebase_push' : 'local_only'),
+      scheduled: reminderScheduled ?? !!isFirebaseReminder,
+    },
+  };
+};
+
+const updateReminders = (update) => async (db) => {
+  const rows = await db.getAllAsync('SELECT data FROM reminders');
+  for (const row of rows) {
+    await db.runAsync(INSERT_REMINDER, reminderToRow(update(JSON.parse(row.data))));
+  }
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Move history out of AsyncStorage',
+    up: migrateFromAsyncStorage,
+    // Only once the copy has committed, so a failed copy can be retried
+    afterCommit: removeLegacyKeys,
+  },
+  {
+    version: 2,
+    name: 'Index messages for full-text search',
+    // Messages stored before full-text search existed
+    up: (db) => db.execAsync("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')"),
+  },
+  {
+    version: 3,
+    name: 'Fill in reminder fields',
+    up: updateReminders(fillReminderFields),
+  },
+  {
+    version: 4,
+    name: 'Group reminder flags on messages',
+    up: async (db) => {
+      const rows = await db.getAllAsync(`
+        SELECT * FROM messages
+        WHERE json_extract(extra, '$.isFirebaseReminder') = 1
+          OR json_extract(extra, '$.isLocalReminder') = 1
+      `);
+      for (const row of rows) {
+        await db.runAsync(INSERT_MESSAGE, messageToRow(groupReminderFlags(rowToMessage(row))));
+      }
+    },
+  },
+  {
+    version: 5,
+    name: 'Record reminder time zones',
+    up: updateReminders(recordReminderTimeZone),
+  },
+];
+
+// The version a fully migrated database is at
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every step newer than the database's version, in order. Throws a
+ * MigrationError if one fails; the steps before it stay applied.
+ */
+export const runMigrations = async (db) => {
+  const { user_version: version } = await db.getFirstAsync('PRAGMA user_version');
+  if (version > SCHEMA_VERSION) {
+    // Written by a newer build; leave it alone rather than guess
+    console.warn(`Database is at version ${version}, newer than this app (${SCHEMA_VERSION})`);
+    return;
+  }
+
+  for (const step of MIGRATIONS.filter((migration) => migration.version > version)) {
+    const fromVersion = (await db.getFirstAsync('PRAGMA user_version')).user_version;
+    try {
+      await db.withTransactionAsync(async () => {
+        await step.up(db);
+        await db.execAsync(`PRAGMA user_version = ${step.version}`);
+      });
+    } catch (error) {
+      console.error(`Migration ${step.version} failed:`, error);
+      throw new MigrationError(step, fromVersion, error);
+    }
+    await step.afterCommit?.();
+    console.log(`Database migrated to version ${step.version} (${step.name})`);
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * Outbox Service - Queues chat messages while the backend is unreachable
+ * and replays them in order once it is back.
+ */
+import NetInfo from '@react-native-community/netinfo';
+import APIService from './api';
+import StorageService from './storage';
+import reminderService, { isReminderIntent, reminderReply } from './reminderService';
+
+// How often to probe the backend while messages are waiting
+const RETRY_INTERVAL = 30000; // 30 seconds
+
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+class OutboxService {
+  constructor() {
+    this.listeners = new Set();
+    this.flushing = false;
+    // Set when a flush is asked for while one is running, so the running
+    // one makes another pass instead of leaving the request for the timer
+    this.flushAgain = false;
+    this.retryTimer = null;
+    this.unsubscribeNetInfo = null;
+  }
+
+  /**
+   * Start watching connectivity and replay anything left from a previous session
+   */
+  start() {
+    if (this.unsubscribeNetInfo) return;
+
+    this.unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        this.flush();
+      }
+    });
+
+    this.flush();
+  }
+
+  stop() {
+    this.unsubscribeNetInfo?.();
+    this.unsubscribeNetInfo = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Listen for outbox events:
+   *  - { type: 'status', messageId, status, error }
+   *  - { type: 'delivered', userMessage, assistantMessage }
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Outbox listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Queue a user message for delivery
+   */
+  async enqueue(userMessage, { userId, conversationId, useWebSearch = true, status = MESSAGE_STATUS.PENDING, error = null } = {}) {
+    await StorageService.addToOutbox({
+      id: userMessage.id,
+      message: { ...userMessage, status },
+      userId,
+      conversationId: conversationId || userMessage.conversationId,
+      useWebSearch,
+      status,
+      lastError: error,
+      queuedAt: new Date().toISOString(),
+    });
+
+    this.emit({ type: 'status', messageId: userMessage.id, status, error });
+
+    if (status === MESSAGE_STATUS.PENDING) {
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Put a failed message back in the queue and try to send it now
+   */
+  async retry(messageId) {
+    const entry = await StorageService.updateOutboxEntry(messageId, {
+      status: MESSAGE_STATUS.PENDING,
+      lastError: null,
+    });
+    if (!entry) return;
+
+    this.emit({ type: 'status', messageId, status: MESSAGE_STATUS.PENDING });
+    await this.flush();
+  }
+
+  /**
+   * Messages that haven't been delivered yet, for rendering in the transcript
+   * of the given conversation
+   */
+  async getQueuedMessages(conversationId) {
+    const outbox = await StorageService.getOutbox();
+    return outbox
+      .filter((entry) => !conversationId || entry.conversationId === conversationId)
+      .map((entry) => ({
+        ...entry.message,
+        status: entry.status,
+      }));
+  }
+
+  /**
+   * Replay pending messages in order once the backend answers its health check
+   */
+  async flush() {
+    if (this.flushing) {
+      this.flushAgain = true;
+      return;
+    }
+    this.flushing = true;
+
+    try {
+      do {
+        this.flushAgain = false;
+        if (!(await this.replayPending())) break;
+      } while (this.flushAgain);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * One pass over the pending messages. Returns false if the backend is
+   * unreachable, with a retry scheduled.
+   */
+  async replayPending() {
+    const pending = (await StorageService.getOutbox())
+      .filter((entry) => entry.status === MESSAGE_STATUS.PENDING);
+
+    if (pending.length === 0) return true;
+
+    try {
+      await APIService.checkHealth();
+    } catch {
+      console.log('Outbox: backend still unreachable, will retry later');
+      this.scheduleRetry();
+      return false;
+    }
+
+    console.log(`Outbox: replaying ${pending.length} message(s)`);
+
+    for (const entry of pending) {
+      const delivered = await this.deliver(entry);
+      if (!delivered) {
+        // Connection dropped again - keep the rest queued in order
+        this.scheduleRetry();
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Set the reminder a queued message asks for, the way a live send would.
+   * Resolves to the assistant's reply, or null when the message should go
+   * to the chat instead. Throws if the backend became unreachable.
+   */
+  async deliverReminder(entry) {
+    let intentResult;
+    try {
+      intentResult = await APIService.classifyIntent(entry.userId, entry.message.text);
+    } catch (error) {
+      if (error.status === 0) throw error;
+      console.error('Outbox: intent classification failed, sending as chat:', error);
+      return null;
+    }
+    if (!isReminderIntent(intentResult)) return null;
+
+    try {
+      // Nobody is there to confirm a guessed time; take the likeliest one
+      // and say so. Relative times count from when the message was written.
+      const interpretation = await reminderService.resolveReminderTime(entry.message, intentResult, {
+        sentAt: new Date(entry.message.timestamp || entry.queuedAt),
+      });
+      const result = await reminderService.scheduleReminder(entry.message, intentResult, {
+        time: interpretation?.date.toISOString(),
+        anchor: interpretation?.anchor,
+      });
+      const reply = reminderReply(entry.message, result, `${entry.message.id}_reply`);
+      if (interpretation?.ambiguous) {
+        reply.text += '\n\n❓ *Your message was sent while offline, so I picked the likeliest time. Change it in the Reminders tab if that\'s not what you meant.*';
+      }
+      return reply;
+    } catch (error) {
+      console.error('Outbox: reminder failed, sending as chat:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send a single queued message. Returns false if the backend became
+   * unreachable, true otherwise (delivered or permanently failed).
+   */
+  async deliver(entry) {
+    try {
+      const userMessage = { ...entry.message, status: MESSAGE_STATUS.SENT };
+      const assistantMessage = await this.deliverReminder(entry) || await this.deliverChat(entry);
+
+      await StorageService.addMessageToHistory(userMessage, entry.conversationId);
+      await StorageService.addMessageToHistory(assistantMessage, entry.conversationId);
+      await StorageService.removeFromOutbox(entry.id);
+
+      this.emit({ type: 'delivered', userMessage, assistantMessage });
+      return true;
+
+    } catch (error) {
+      if (error.status === 0) {
+        return false;
+      }
+
+      console.error('Outbox: message delivery failed:', error);
+      await StorageService.updateOutboxEntry(entry.id, {
+        status: MESSAGE_STATUS.FAILED,
+        lastError: error.message,
+      });
+      this.emit({ type: 'status', messageId: entry.id, status: MESSAGE_STATUS.FAILED, error: error.message });
+      return true;
+    }
+  }
+
+  /**
+   * Send a queued message to the chat. Resolves to the assistant's reply.
+   */
+  async deliverChat(entry) {
+    // Same key as the original attempt, so a message that did reach the
+    // backend before the connection dropped isn't answered twice
+    const response = await APIService.sendMessage(
+      entry.userId,
+      entry.message.text,
+      entry.useWebSearch,
+      { idempotencyKey: entry.id, conversationId: entry.conversationId }
+    );
+
+    return {
+      id: `${entry.message.id}_reply`,
+      conversationId: entry.conversationId,
+      text: response.response,
+      isUser: false,
+      timestamp: new Date().toISOString(),
+      tokensUsed: response.tokens_used,
+      webSearchUsed: response.web_search_used,
+    };
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, RETRY_INTERVAL);
+  }
+}
+
+export default new OutboxService();
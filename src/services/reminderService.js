@@ -1,15 +1,112 @@
 /**
  * Enhanced Reminder Service with Firebase Integration
- * Replaces expo-notifications with Firebase push notifications
+ * Reminders are delivered by Firebase push notifications, or by a
+ * notification scheduled on the device when push is unavailable
  */
-import { Platform, Alert } from 'react-native';
-import firebaseNotificationService from './firebaseNotification';
+import { Platform, Alert, AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import firebaseNotificationService, { REMINDER_ACTIONS, SNOOZE_MINUTES } from './firebaseNotification';
 import StorageService from './storage';
-import { parseReminderTime } from '../utils/reminderUtils';
+import {
+  scheduleNotification,
+  cancelNotification,
+  getScheduledReminderNotifications,
+} from '../utils/reminderUtils';
+import {
+  parseRecurrence,
+  startRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+} from '../utils/recurrence';
+import { parseTimeExpression } from '../utils/timeParser';
+import { anchorTime, fromWallTime, getDeviceTimeZone } from '../utils/timeZone';
+
+// Handles Snooze / Done pressed while the app isn't in the foreground
+const NOTIFICATION_ACTION_TASK = 'jarvis-reminder-actions';
+
+// How early a notification may arrive and still count as the current
+// occurrence firing (device and backend clocks differ a little)
+const FIRE_TOLERANCE = 60000; // 1 minute
+
+// Backend delivery statuses, grouped by what they mean for the reminder
+const DELIVERY_STATUSES = {
+  delivered: ['sent', 'delivered', 'completed'],
+  failed: ['failed', 'error', 'dropped', 'expired', 'undeliverable'],
+  pending: ['scheduled', 'pending', 'queued'],
+};
+
+// How long after its time the backend may still report a push as pending
+const DELIVERY_GRACE = 5 * 60000; // 5 minutes
+
+// Least time between reconciliations started by the app coming back to the
+// foreground
+const RECONCILE_INTERVAL = 5 * 60000; // 5 minutes
+
+// Occurrences of a repeating reminder armed on the device at once, so it
+// keeps ringing while the app isn't opened to move it on. iOS keeps at most
+// 64 notifications pending across all reminders.
+const LOCAL_OCCURRENCES = 7;
+
+const deliveryStatusOf = (status) =>
+  Object.keys(DELIVERY_STATUSES).find((key) => DELIVERY_STATUSES[key].includes(String(status).toLowerCase()))
+    || 'unknown';
+
+// Whether an intent classification is confident enough to set a reminder
+// instead of answering in chat
+export const isReminderIntent = (intentResult) =>
+  !!(intentResult.success && intentResult.intent === 'REMINDER' && intentResult.time && intentResult.confidence >= 0.8);
+
+/**
+ * The assistant message confirming a scheduleReminder result
+ */
+export const reminderReply = (userMessage, result, id = (Date.now() + 1).toString()) => {
+  let text;
+  if (!result.success) {
+    text = `💾 **Reminder Saved**\n\n${result.message}\n\n🔔 *Allow notifications for JARVIS in your phone's settings so reminders can ring.*`;
+  } else if (result.method === 'firebase_push') {
+    text = `🔥 **Firebase Reminder Scheduled!**\n\n${result.message}\n\n✨ **Method**: ${result.method}\n\n🚀 *You'll receive a reliable push notification even if the app is closed!*`;
+  } else {
+    text = `⏰ **Reminder Scheduled on This Device**\n\n${result.message}\n\n📱 *It will ring from this phone even if the app is closed.*`;
+  }
+
+  return {
+    id,
+    text,
+    conversationId: userMessage.conversationId,
+    isUser: false,
+    timestamp: new Date().toISOString(),
+    reminder: { method: result.method, scheduled: result.success },
+  };
+};
+
+// Reminder id carried in a push or local notification's data
+const reminderIdFrom = (data = {}) => {
+  const id = data.reminderId || data.id;
+  return id ? String(id) : null;
+};
+
+// Clear every notification armed on the device for a reminder: its next
+// occurrence and, for a repeating one, those after it
+const cancelLocalNotifications = async (reminder) => {
+  for (const id of [reminder.localId, ...(reminder.followingLocalIds || [])]) {
+    await cancelNotification(id);
+  }
+};
 
 class ReminderService {
   constructor() {
     this.isInitialized = false;
+    this.unsubscribeReceived = null;
+    this.responseSubscription = null;
+    this.receivedSubscription = null;
+    // Responses already handled, as the listener and the background task
+    // can both see the same one
+    this.handledResponses = new Set();
+    this.appStateSubscription = null;
+    // Running reconciliation, and the summary of the last one
+    this.reconciling = null;
+    this.lastReconciliation = null;
   }
 
   /**
@@ -18,9 +115,37 @@ class ReminderService {
   async initialize() {
     try {
       console.log('🔧 Initializing Reminder Service...');
+
+      // Snooze / Done and foreground banners, for device notifications as
+      // well as pushes, so whether or not Firebase comes up
+      await firebaseNotificationService.setupReminderCategory();
       
-      // Initialize Firebase first
+      // Initialize Firebase
       const firebaseSuccess = await firebaseNotificationService.initialize();
+
+      // Repeating reminders move on to their next occurrence as they fire,
+      // and catch up on any that fired while the app wasn't running
+      if (!this.unsubscribeReceived) {
+        this.unsubscribeReceived = firebaseNotificationService.onReminderReceived((data) => {
+          this.handleReminderFired(reminderIdFrom(data));
+        });
+      }
+      this.isInitialized = firebaseSuccess;
+      await this.advanceRecurringReminders();
+      await this.rearmLocalReminders();
+      await this.setupNotificationActions();
+      await this.flushAcknowledgements();
+
+      // Not awaited: it asks the backend about every pushed reminder
+      this.reconcileReminders();
+      if (!this.appStateSubscription) {
+        this.appStateSubscription = AppState.addEventListener('change', (state) => {
+          const last = this.lastReconciliation ? new Date(this.lastReconciliation.at).getTime() : 0;
+          if (state === 'active' && Date.now() - last >= RECONCILE_INTERVAL) {
+            this.reconcileReminders();
+          }
+        });
+      }
       
       if (firebaseSuccess) {
         this.isInitialized = true;
@@ -39,15 +164,47 @@ class ReminderService {
     }
   }
 
+  /**
+   * Work out when a reminder request should ring, as parseTimeExpression's
+   * { date, ambiguous, alternatives, anchor }, or null. The user's own words win
+   * over the intent's `time`, which is often a paraphrase of them, unless they
+   * name no time or one that has passed. Pass `sentAt` for a message written
+   * earlier (e.g. replayed from the outbox) so "in 2 hours" counts from then.
+   */
+  async resolveReminderTime(userMessage, intentResult, { sentAt = new Date() } = {}) {
+    const timeOfDay = await StorageService.getTimeOfDayDefaults();
+    const fromText = parseTimeExpression(userMessage.text, { now: sentAt, timeOfDay });
+    const parsed = fromText?.date > new Date()
+      ? fromText
+      : parseTimeExpression(intentResult.time, { now: sentAt, timeOfDay, lenient: true }) || fromText;
+    // A repeat rule settles its own time, so there is nothing to confirm
+    if (parsed && parseRecurrence(userMessage.text)) {
+      return { ...parsed, ambiguous: false, alternatives: [], anchor: 'wall' };
+    }
+    return parsed;
+  }
+
   /**
    * Schedule a reminder using Firebase push notifications
+   * Pass an AbortSignal as `signal` to cancel the backend call, and `time`
+   * (with its `anchor`) to use a time the user already confirmed instead of
+   * parsing one.
    */
-  async scheduleReminder(userMessage, intentResult) {
+  async scheduleReminder(userMessage, intentResult, { signal, time, anchor = 'wall' } = {}) {
     try {
-      console.log(`🔔 Scheduling reminder with time: ${intentResult.time}`);
+      console.log(`🔔 Scheduling reminder with time: ${time || intentResult.time}`);
       
-      // Parse the time
-      const reminderTime = parseReminderTime(intentResult.time);
+      // Parse the time, and a repeat rule if the request asked for one
+      const interpretation = time
+        ? { date: new Date(time), anchor }
+        : await this.resolveReminderTime(userMessage, intentResult);
+      let reminderTime = interpretation?.date || null;
+      let recurrence = parseRecurrence(userMessage.text, {
+        timeOfDay: await StorageService.getTimeOfDayDefaults(),
+      });
+      if (recurrence) {
+        ({ rule: recurrence, time: reminderTime } = startRecurrence(recurrence, reminderTime));
+      }
       if (!reminderTime) {
         throw new Error('Invalid time format received');
       }
@@ -64,15 +221,17 @@ class ReminderService {
         userId: await this.getUserId(),
         text: userMessage.text,
         originalText: userMessage.text,
-        time: reminderTime.toISOString(),
+        ...anchorTime(reminderTime, recurrence ? 'wall' : interpretation.anchor),
         confidence: intentResult.confidence,
         platform: Platform.OS,
         created: new Date().toISOString(),
         scheduled: false,
         method: 'none',
         remoteId: null,
-        localId: null
+        localId: null,
+        recurrence
       };
+      const repeats = recurrence ? ` (${describeRecurrence(recurrence)})` : '';
 
       // Save locally first (backup)
       await StorageService.saveLocalReminder(reminderData);
@@ -81,7 +240,7 @@ class ReminderService {
       // Try Firebase push notification first
       if (this.isInitialized && firebaseNotificationService.isReady()) {
         try {
-          const firebaseResult = await firebaseNotificationService.scheduleReminder(reminderData);
+          const firebaseResult = await firebaseNotificationService.scheduleReminder(reminderData, { signal });
           
           if (firebaseResult.success) {
             // Update with Firebase info
@@ -96,28 +255,39 @@ class ReminderService {
               success: true,
               method: 'firebase_push',
               reminderData,
-              message: `Firebase push notification scheduled for ${reminderTime.toLocaleString()}`
+              message: `Firebase push notification scheduled for ${reminderTime.toLocaleString()}${repeats}`
             };
           }
         } catch (firebaseError) {
+          if (firebaseError.cancelled) {
+            // User stopped the request - don't leave a half-created reminder behind
+            await StorageService.removeLocalReminder(reminderData.id);
+            throw firebaseError;
+          }
           console.error('❌ Firebase scheduling failed:', firebaseError);
           // Continue to fallback
         }
       }
 
-      // Fallback: No reliable method available
-      console.warn('⚠️ No reliable notification method available');
-      
-      // Update with local-only status
-      reminderData.scheduled = false;
-      reminderData.method = 'local_only';
+      // Fallback: a notification scheduled on the device itself
+      console.warn('⚠️ Firebase push unavailable, scheduling on the device');
+      Object.assign(reminderData, await this.scheduleLocal(reminderData));
       await StorageService.updateLocalReminder(reminderData.id, reminderData);
 
+      if (reminderData.scheduled) {
+        return {
+          success: true,
+          method: 'local_only',
+          reminderData,
+          message: `Notification scheduled on this device for ${reminderTime.toLocaleString()}${repeats}`
+        };
+      }
+
       return {
         success: false,
-        method: 'local_only',
+        method: reminderData.method,
         reminderData,
-        message: `Reminder saved locally only. For push notifications, please enable Firebase setup.`,
+        message: `Reminder saved${repeats}, but it can't ring: notifications are turned off for JARVIS.`,
         warning: true
       };
 
@@ -144,6 +314,9 @@ class ReminderService {
 
       let cancelSuccess = false;
 
+      // Clear notifications armed on the device
+      await cancelLocalNotifications(reminder);
+
       // Cancel Firebase reminder if it exists
       if (reminder.method === 'firebase_push' && reminder.remoteId) {
         try {
@@ -173,7 +346,218 @@ class ReminderService {
   }
 
   /**
-   * Get all reminders
+   * Arm a notification on the device for a stored reminder, replacing any
+   * it already had. A repeating reminder also gets the occurrences after
+   * it, up to LOCAL_OCCURRENCES in all, as `followingLocalIds`. Resolves to
+   * the scheduling fields to store; `method` is 'none' when notifications
+   * aren't allowed.
+   */
+  async scheduleLocal(reminder) {
+    await cancelLocalNotifications(reminder);
+    try {
+      const localId = await scheduleNotification(reminder);
+      const followingLocalIds = [];
+      let time = new Date(reminder.time);
+      while (reminder.recurrence && followingLocalIds.length < LOCAL_OCCURRENCES - 1) {
+        time = nextOccurrence(reminder.recurrence, time);
+        if (!time) break;
+        followingLocalIds.push(await scheduleNotification({ ...reminder, time: time.toISOString() }));
+      }
+      return { scheduled: true, method: 'local_only', remoteId: null, localId, followingLocalIds };
+    } catch (error) {
+      console.error(`❌ Scheduling reminder ${reminder.id} on the device failed:`, error);
+      return { scheduled: false, method: 'none', remoteId: null, localId: null, followingLocalIds: [] };
+    }
+  }
+
+  /**
+   * Schedule one occurrence of a stored reminder: with the backend when
+   * push is available, otherwise on the device. Resolves to the scheduling
+   * fields to store on the reminder. Pass `replace` when the reminder was
+   * scheduled before with the same time (an edit, restore or new token): it
+   * gets a new `revision`, so the backend doesn't take the request for a
+   * replay of the earlier, possibly cancelled, one.
+   */
+  async pushOccurrence(reminder, { replace = false } = {}) {
+    // A timestamp rather than a count, so restoring the same backup twice
+    // still gives a new one
+    const revised = replace ? { revision: Date.now() } : {};
+    if (this.isInitialized && firebaseNotificationService.isReady()) {
+      try {
+        const firebaseResult = await firebaseNotificationService.scheduleReminder({
+          ...reminder,
+          ...revised,
+          userId: await this.getUserId(),
+        });
+        if (firebaseResult.success) {
+          // Push delivers it now; don't ring twice
+          await cancelLocalNotifications(reminder);
+          return {
+            scheduled: true,
+            method: 'firebase_push',
+            remoteId: firebaseResult.remoteId,
+            localId: null,
+            followingLocalIds: [],
+            ...revised,
+          };
+        }
+      } catch (error) {
+        console.error(`❌ Scheduling reminder ${reminder.id} failed:`, error);
+      }
+    }
+    return { ...await this.scheduleLocal(reminder), ...revised };
+  }
+
+  /**
+   * Make sure every upcoming reminder that isn't pushed has a notification
+   * armed on the device. Scheduled notifications can be lost across a
+   * reboot or app update, and reminders saved while notifications were
+   * off get one once they're allowed. Runs on every start.
+   */
+  async rearmLocalReminders() {
+    try {
+      const armed = new Set((await getScheduledReminderNotifications()).map((n) => n.identifier));
+      const reminders = await this.getReminders();
+      let rearmed = 0;
+
+      for (const reminder of reminders) {
+        if (reminder.method === 'firebase_push') continue;
+        if (reminder.localId && armed.has(reminder.localId)) continue;
+
+        const updated = await StorageService.updateLocalReminder(reminder.id, await this.pushOccurrence(reminder));
+        if (updated.scheduled) rearmed++;
+      }
+      if (rearmed > 0) {
+        console.log(`⏰ Re-armed ${rearmed} reminders`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to re-arm local reminders:', error);
+    }
+  }
+
+  /**
+   * Schedule stored reminders again, e.g. after a restore where the backend
+   * has never seen them. Past reminders are left alone, except repeating
+   * ones, which move on to their next occurrence.
+   */
+  async rescheduleReminders() {
+    const reminders = await StorageService.getLocalReminders();
+    const now = new Date();
+    const result = { rescheduled: 0, localOnly: 0 };
+
+    for (const reminder of reminders) {
+      let updated;
+      if (new Date(reminder.time) > now) {
+        updated = await StorageService.updateLocalReminder(
+          reminder.id,
+          await this.pushOccurrence(reminder, { replace: true })
+        );
+      } else if (reminder.recurrence) {
+        updated = await this.advanceReminder(reminder, now);
+        if (!updated.recurrence) continue;
+      } else {
+        continue;
+      }
+
+      if (updated.method === 'firebase_push') {
+        result.rescheduled++;
+      } else {
+        result.localOnly++;
+      }
+    }
+
+    console.log(`🔁 Rescheduled ${result.rescheduled} reminders (${result.localOnly} local only)`);
+    return result;
+  }
+
+  /**
+   * Move a repeating reminder on to its first occurrence after `after` and
+   * schedule that. A series that has run out becomes a plain past reminder.
+   */
+  async advanceReminder(reminder, after) {
+    const next = nextOccurrence(reminder.recurrence, after);
+    if (!next) {
+      console.log(`🔁 Reminder ${reminder.id} has no more occurrences`);
+      return StorageService.updateLocalReminder(reminder.id, { recurrence: null });
+    }
+
+    const anchored = anchorTime(next);
+    const updates = await this.pushOccurrence({ ...reminder, ...anchored });
+    console.log(`🔁 Reminder ${reminder.id} next occurs ${anchored.time}`);
+    return StorageService.updateLocalReminder(reminder.id, { ...updates, ...anchored });
+  }
+
+  /**
+   * A reminder notification arrived. Repeating reminders are moved on to
+   * their next occurrence; one-off reminders need nothing.
+   */
+  async handleReminderFired(reminderId) {
+    try {
+      const reminder = reminderId && await StorageService.getLocalReminder(reminderId);
+      if (!reminder?.recurrence) return;
+      // Push and device notifications can both report the same firing
+      if (new Date(reminder.time).getTime() - Date.now() > FIRE_TOLERANCE) return;
+
+      const fired = new Date(Math.max(Date.now(), new Date(reminder.time).getTime()));
+      await this.advanceReminder(reminder, fired);
+    } catch (error) {
+      console.error('❌ Failed to advance fired reminder:', error);
+    }
+  }
+
+  /**
+   * Advance repeating reminders whose occurrence has passed without the app
+   * seeing it fire (e.g. it wasn't running)
+   */
+  async advanceRecurringReminders() {
+    try {
+      const now = new Date();
+      const reminders = await StorageService.getLocalReminders();
+      for (const reminder of reminders) {
+        if (reminder.recurrence && new Date(reminder.time) <= now) {
+          await this.advanceReminder(reminder, now);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Failed to advance repeating reminders:', error);
+    }
+  }
+
+  /**
+   * Skip the upcoming occurrence of a repeating reminder; the series
+   * continues from the one after
+   */
+  async skipOccurrence(reminderId) {
+    const reminder = await StorageService.getLocalReminder(reminderId);
+    if (!reminder?.recurrence) {
+      throw new Error('Only repeating reminders can skip an occurrence');
+    }
+
+    if (reminder.method === 'firebase_push' && reminder.remoteId) {
+      await firebaseNotificationService.cancelReminder(reminder.remoteId);
+    }
+    return this.advanceReminder(reminder, new Date(reminder.time));
+  }
+
+  /**
+   * Stop a repeating reminder. The upcoming occurrence still fires unless
+   * `includeUpcoming` is set, in which case the reminder is cancelled.
+   */
+  async endSeries(reminderId, { includeUpcoming = false } = {}) {
+    if (includeUpcoming) {
+      return this.cancelReminder(reminderId);
+    }
+    // Occurrences after the upcoming one may already be armed on the device
+    const reminder = await StorageService.getLocalReminder(reminderId);
+    for (const id of reminder?.followingLocalIds || []) {
+      await cancelNotification(id);
+    }
+    return StorageService.updateLocalReminder(reminderId, { recurrence: null, followingLocalIds: [] });
+  }
+
+  /**
+   * Get upcoming reminders. Past ones stay stored until the retention
+   * cleanup removes them (see retention.js).
    */
   async getReminders() {
     try {
@@ -181,29 +565,439 @@ class ReminderService {
       
       // Filter out past reminders
       const now = new Date();
-      const activeReminders = reminders.filter(reminder => {
+      return reminders.filter(reminder => {
         const reminderTime = new Date(reminder.time);
         return reminderTime > now;
       });
 
-      // Clean up expired reminders
-      const expiredReminders = reminders.filter(reminder => {
-        const reminderTime = new Date(reminder.time);
-        return reminderTime <= now;
+    } catch (error) {
+      console.error('❌ Failed to get reminders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Listen for Snooze / Done, in the foreground and (through a background
+   * task) from the lock screen, and pick up a notification tap that
+   * launched the app
+   */
+  async setupNotificationActions() {
+    try {
+      if (!this.responseSubscription) {
+        this.responseSubscription = Notifications.addNotificationResponseReceivedListener((response) => {
+          this.handleNotificationResponse(response);
+        });
+        // A device notification firing while the app is open moves a
+        // repeating reminder on, as a push does
+        this.receivedSubscription = Notifications.addNotificationReceivedListener((notification) => {
+          const { data } = notification.request.content;
+          if (data?.type === 'reminder') {
+            this.handleReminderFired(reminderIdFrom(data));
+          }
+        });
+      }
+      if (!(await TaskManager.isTaskRegisteredAsync(NOTIFICATION_ACTION_TASK))) {
+        await Notifications.registerTaskAsync(NOTIFICATION_ACTION_TASK);
+      }
+
+      const lastResponse = await Notifications.getLastNotificationResponseAsync();
+      if (lastResponse) {
+        await Notifications.clearLastNotificationResponseAsync();
+        await this.handleNotificationResponse(lastResponse);
+      }
+    } catch (error) {
+      console.error('❌ Failed to set up reminder actions:', error);
+    }
+  }
+
+  /**
+   * A reminder notification's button (or body) was pressed
+   */
+  async handleNotificationResponse(response) {
+    const { actionIdentifier, notification } = response;
+    const key = `${notification.request.identifier}:${actionIdentifier}`;
+    if (this.handledResponses.has(key)) return;
+    this.handledResponses.add(key);
+
+    const { title, body, data } = notification.request.content;
+    if (actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER) {
+      // Same path as tapping a push (see App.js)
+      firebaseNotificationService.notifyOpened({ notification: { title, body }, data });
+      return;
+    }
+
+    const reminderId = reminderIdFrom(data);
+    if (!reminderId) return;
+    try {
+      if (actionIdentifier === REMINDER_ACTIONS.DONE) {
+        await this.completeReminder(reminderId);
+      } else if (actionIdentifier.startsWith(REMINDER_ACTIONS.SNOOZE_PREFIX)) {
+        const minutes = parseInt(actionIdentifier.slice(REMINDER_ACTIONS.SNOOZE_PREFIX.length), 10);
+        await this.snoozeReminder(reminderId, minutes);
+      } else {
+        return;
+      }
+      await Notifications.dismissNotificationAsync(notification.request.identifier);
+    } catch (error) {
+      console.error(`❌ Reminder action ${actionIdentifier} failed:`, error);
+    }
+  }
+
+  /**
+   * In-app version of the notification buttons, for a reminder that opened
+   * the app. Anything that isn't a stored reminder gets the plain alert.
+   */
+  async showReminderActions(remoteMessage) {
+    const reminderId = reminderIdFrom(remoteMessage.data);
+    const reminder = reminderId && await StorageService.getLocalReminder(reminderId).catch(() => null);
+    if (!reminder) {
+      firebaseNotificationService.showLocalNotification(remoteMessage);
+      return;
+    }
+
+    const run = (action) => action().catch((error) => {
+      console.error('❌ Reminder action failed:', error);
+      Alert.alert('Reminder', error.message);
+    });
+    const showSnoozeOptions = () => Alert.alert('Snooze for', null, [
+      ...SNOOZE_MINUTES.map((minutes) => ({
+        text: minutes < 60 ? `${minutes} minutes` : '1 hour',
+        onPress: () => run(() => this.snoozeReminder(reminder.id, minutes)),
+      })),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+
+    // Android alerts show at most three buttons, hence the second step
+    Alert.alert(
+      remoteMessage.notification?.title || '⏰ JARVIS Reminder',
+      remoteMessage.notification?.body || reminder.text,
+      [
+        { text: 'Snooze', onPress: showSnoozeOptions },
+        { text: 'Done', onPress: () => run(() => this.completeReminder(reminder.id)) },
+        { text: 'Close', style: 'cancel' },
+      ]
+    );
+  }
+
+  /**
+   * Deliver the reminder again in `minutes`. A repeating reminder has
+   * already moved on to its next occurrence, so the snooze is a one-off copy.
+   */
+  async snoozeReminder(reminderId, minutes) {
+    const reminder = await StorageService.getLocalReminder(reminderId);
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+
+    // A snooze is a span of time, not a clock time
+    const anchored = anchorTime(new Date(Date.now() + minutes * 60000), 'absolute');
+    let snoozed;
+    if (reminder.recurrence) {
+      snoozed = await StorageService.saveLocalReminder({
+        ...reminder,
+        id: `${reminder.id}_snooze_${Date.now()}`,
+        ...anchored,
+        // The series keeps its own notifications
+        localId: null,
+        followingLocalIds: [],
+        recurrence: null,
+        snoozedFrom: reminder.id,
+        pendingAcks: undefined,
       });
+    } else {
+      snoozed = await StorageService.updateLocalReminder(reminderId, { ...anchored, completedAt: null });
+    }
+    snoozed = await StorageService.updateLocalReminder(snoozed.id, await this.pushOccurrence(snoozed));
+
+    console.log(`😴 Reminder ${reminderId} snoozed for ${minutes} minutes`);
+    await this.acknowledge(reminder, { action: 'snoozed', snoozeMinutes: minutes });
+    return snoozed;
+  }
+
+  /**
+   * Mark a delivered reminder as done. For a repeating reminder this only
+   * records it; the series carries on.
+   */
+  async completeReminder(reminderId) {
+    const reminder = await StorageService.getLocalReminder(reminderId);
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+
+    const completedAt = new Date().toISOString();
+    const updated = await StorageService.updateLocalReminder(
+      reminderId,
+      reminder.recurrence ? { lastCompletedAt: completedAt } : { completedAt }
+    );
+
+    console.log(`✅ Reminder ${reminderId} marked done`);
+    await this.acknowledge(reminder, { action: 'done' });
+    return updated;
+  }
+
+  /**
+   * Tell the backend about a Snooze or Done. If it can't be reached the
+   * acknowledgement is kept on the reminder and sent on the next start.
+   */
+  async acknowledge(reminder, ack) {
+    // Never reached the backend, so there's nothing to tell it
+    if (reminder.method !== 'firebase_push' || !reminder.remoteId) return;
 
-      for (const expired of expiredReminders) {
-        await StorageService.removeLocalReminder(expired.id);
+    const entry = { ...ack, remoteId: reminder.remoteId, at: new Date().toISOString() };
+    try {
+      await firebaseNotificationService.acknowledgeReminder(entry.remoteId, entry);
+    } catch (error) {
+      console.error(`❌ Acknowledging reminder ${reminder.id} failed, will retry:`, error);
+      const current = await StorageService.getLocalReminder(reminder.id);
+      if (current) {
+        await StorageService.updateLocalReminder(reminder.id, {
+          pendingAcks: [...(current.pendingAcks || []), entry],
+        });
       }
+    }
+  }
 
-      return activeReminders;
+  /**
+   * Retry acknowledgements that couldn't be sent earlier
+   */
+  async flushAcknowledgements() {
+    try {
+      const reminders = await StorageService.getLocalReminders();
+      for (const reminder of reminders.filter((r) => r.pendingAcks?.length)) {
+        const remaining = [];
+        for (const entry of reminder.pendingAcks) {
+          try {
+            await firebaseNotificationService.acknowledgeReminder(entry.remoteId, entry);
+          } catch (error) {
+            console.error(`❌ Acknowledging reminder ${reminder.id} failed again:`, error);
+            remaining.push(entry);
+          }
+        }
+        await StorageService.updateLocalReminder(reminder.id, { pendingAcks: remaining });
+      }
+    } catch (error) {
+      console.error('❌ Failed to send pending acknowledgements:', error);
+    }
+  }
 
+  /**
+   * Past reminders, newest first, each with a `status`: 'completed' when it
+   * was pushed or marked done, 'missed' when nothing could deliver it or the
+   * backend reported the push failed
+   */
+  async getPastReminders() {
+    try {
+      const reminders = await StorageService.getLocalReminders();
+      const now = new Date();
+      return reminders
+        .filter((reminder) => new Date(reminder.time) <= now && !reminder.recurrence)
+        .map((reminder) => ({
+          ...reminder,
+          status: reminder.completedAt || (reminder.scheduled && reminder.delivery?.status !== 'failed')
+            ? 'completed'
+            : 'missed',
+        }))
+        .reverse();
     } catch (error) {
-      console.error('❌ Failed to get reminders:', error);
+      console.error('❌ Failed to get past reminders:', error);
       return [];
     }
   }
 
+  /**
+   * Change a reminder's text and/or time. A new time is rescheduled with the
+   * backend; for a repeating reminder it moves only the upcoming occurrence.
+   */
+  async updateReminder(reminderId, { text, time }) {
+    const reminder = await StorageService.getLocalReminder(reminderId);
+    if (!reminder) {
+      throw new Error('Reminder not found');
+    }
+
+    const updates = {};
+    if (text !== undefined) {
+      if (!text.trim()) {
+        throw new Error('Reminder text can\'t be empty');
+      }
+      updates.text = text.trim();
+    }
+
+    const timeChanged = time && new Date(time).getTime() !== new Date(reminder.time).getTime();
+    const textChanged = updates.text !== undefined && updates.text !== reminder.text;
+    if (timeChanged) {
+      if (new Date(time) <= new Date()) {
+        throw new Error('Reminder time must be in the future');
+      }
+      Object.assign(updates, anchorTime(new Date(time)));
+    }
+
+    // The backend holds its own copy of the text, so either change means
+    // replacing the scheduled notification. A missed reminder given a new
+    // time is scheduled again.
+    const now = new Date();
+    if ((timeChanged || textChanged) && new Date(updates.time || reminder.time) > now) {
+      if (reminder.method === 'firebase_push' && reminder.remoteId && new Date(reminder.time) > now) {
+        await firebaseNotificationService.cancelReminder(reminder.remoteId);
+      }
+      Object.assign(updates, await this.pushOccurrence({ ...reminder, ...updates }, { replace: true }));
+    }
+
+    return StorageService.updateLocalReminder(reminderId, updates);
+  }
+
+  /**
+   * Ask the backend how a pushed reminder's current occurrence went.
+   * Resolves to the `delivery` to store on it. A reminder the backend has no
+   * record of counts as dropped. Throws only if the backend can't be
+   * reached.
+   */
+  async checkDelivery(reminder) {
+    const checked = { remoteId: reminder.remoteId, checkedAt: new Date().toISOString() };
+    try {
+      const response = await firebaseNotificationService.getReminderStatus(reminder.remoteId);
+      return {
+        ...checked,
+        status: deliveryStatusOf(response.status),
+        backendStatus: response.status,
+        scheduledFor: response.scheduledFor || null,
+      };
+    } catch (error) {
+      if (error.status === 0) throw error;
+      if (error.status === 404) {
+        return { ...checked, status: 'failed', backendStatus: 'not_found', scheduledFor: null };
+      }
+      return { ...checked, status: 'unknown', backendStatus: null, scheduledFor: null, error: error.message };
+    }
+  }
+
+  /**
+   * Check every pushed reminder against the backend's delivery status and
+   * store it as `delivery`: { status, backendStatus, scheduledFor,
+   * remoteId, checkedAt }, where `status` is 'delivered', 'failed',
+   * 'pending' or 'unknown'. Upcoming reminders the backend failed or
+   * dropped are scheduled on the device instead. Where the backend and the
+   * device disagree, it's noted in the summary kept for getDebugInfo.
+   * Runs on start and when the app returns to the foreground.
+   */
+  async reconcileReminders() {
+    if (!this.reconciling) {
+      this.reconciling = this.runReconciliation().finally(() => {
+        this.reconciling = null;
+      });
+    }
+    return this.reconciling;
+  }
+
+  async runReconciliation() {
+    const summary = {
+      at: new Date().toISOString(),
+      checked: 0,
+      delivered: 0,
+      failed: 0,
+      pending: 0,
+      unknown: 0,
+      rescheduled: 0,
+      discrepancies: [],
+    };
+
+    try {
+      const now = Date.now();
+      const reminders = await StorageService.getLocalReminders();
+      for (const reminder of reminders) {
+        if (!reminder.remoteId) continue;
+        // Settled once the backend has said how this occurrence went
+        if (reminder.delivery?.remoteId === reminder.remoteId
+          && ['delivered', 'failed'].includes(reminder.delivery.status)) continue;
+
+        const delivery = await this.checkDelivery(reminder);
+        const time = new Date(reminder.time).getTime();
+        const note = (issue) => summary.discrepancies.push({ reminderId: reminder.id, remoteId: reminder.remoteId, issue });
+        const updates = { delivery };
+        summary.checked++;
+        summary[delivery.status]++;
+
+        if (delivery.status === 'failed' && time > now) {
+          // The fallback path: ring from the device instead
+          Object.assign(updates, await this.scheduleLocal(reminder));
+          note(`Backend reports "${delivery.backendStatus}"; ${updates.scheduled ? 'scheduled on the device instead' : 'could not schedule it on the device'}`);
+          if (updates.scheduled) summary.rescheduled++;
+        } else if (delivery.status === 'failed') {
+          note(`Backend reports "${delivery.backendStatus}"; the reminder was never delivered`);
+        } else if (delivery.status === 'delivered' && time - now > FIRE_TOLERANCE) {
+          note('Backend reports it delivered before its time');
+        } else if (delivery.status === 'pending' && now - time > DELIVERY_GRACE) {
+          note('Backend still has it pending after its time');
+        } else if (delivery.status === 'unknown') {
+          note(delivery.error || `Unrecognised backend status "${delivery.backendStatus}"`);
+        }
+        if (delivery.scheduledFor && Math.abs(new Date(delivery.scheduledFor).getTime() - time) > FIRE_TOLERANCE) {
+          note(`Backend has it for ${delivery.scheduledFor}, the device for ${reminder.time}`);
+        }
+
+        await StorageService.updateLocalReminder(reminder.id, updates);
+      }
+    } catch (error) {
+      console.error('❌ Reminder reconciliation stopped:', error);
+      summary.error = error.message || String(error);
+    }
+
+    this.lastReconciliation = summary;
+    console.log(
+      `🔎 Reconciled ${summary.checked} reminders: ${summary.delivered} delivered, ${summary.failed} failed, `
+      + `${summary.unknown} unknown, ${summary.rescheduled} rescheduled on the device`
+    );
+    return summary;
+  }
+
+  /**
+   * Upcoming clock-time reminders that were set in a different time zone
+   * from the one the device is in now
+   */
+  async getZoneMismatches() {
+    const timeZone = getDeviceTimeZone();
+    const reminders = await this.getReminders();
+    return reminders.filter((r) => r.anchor === 'wall' && r.timeZone && r.timeZone !== timeZone);
+  }
+
+  /**
+   * After a time zone change, move upcoming clock-time reminders to the same
+   * clock time in the current zone ("9am" stays 9am here). With
+   * `keepInstant` they keep ringing when they would have and just adopt the
+   * new zone. Resolves to the number of reminders moved.
+   */
+  async reanchorReminders({ keepInstant = false } = {}) {
+    const now = new Date();
+    let moved = 0;
+
+    for (const reminder of await this.getZoneMismatches()) {
+      const time = keepInstant ? null
+        : reminder.recurrence ? nextOccurrence(reminder.recurrence, now)
+        : reminder.wallTime ? fromWallTime(reminder.wallTime)
+        : null;
+      // Keep the instant when asked to, or when that clock time has already
+      // gone by here
+      if (!time || time <= now) {
+        await StorageService.updateLocalReminder(reminder.id, anchorTime(new Date(reminder.time)));
+        continue;
+      }
+
+      if (reminder.method === 'firebase_push' && reminder.remoteId) {
+        try {
+          await firebaseNotificationService.cancelReminder(reminder.remoteId);
+        } catch (error) {
+          console.error(`❌ Cancelling reminder ${reminder.id} before moving it failed:`, error);
+        }
+      }
+      const anchored = anchorTime(time);
+      const updates = await this.pushOccurrence({ ...reminder, ...anchored }, { replace: true });
+      await StorageService.updateLocalReminder(reminder.id, { ...anchored, ...updates });
+      moved++;
+    }
+
+    console.log(`🌐 Moved ${moved} reminders to ${getDeviceTimeZone()}`);
+    return moved;
+  }
+
   /**
    * Get reminder statistics
    */
@@ -216,6 +1010,7 @@ class ReminderService {
         firebase: reminders.filter(r => r.method === 'firebase_push').length,
         localOnly: reminders.filter(r => r.method === 'local_only').length,
         scheduled: reminders.filter(r => r.scheduled).length,
+        repeating: reminders.filter(r => r.recurrence).length,
         platforms: {
           android: reminders.filter(r => r.platform === 'android').length,
           ios: reminders.filter(r => r.platform === 'ios').length,
@@ -226,7 +1021,7 @@ class ReminderService {
 
     } catch (error) {
       console.error('❌ Failed to get stats:', error);
-      return { total: 0, firebase: 0, localOnly: 0, scheduled: 0, platforms: { android: 0, ios: 0 } };
+      return { total: 0, firebase: 0, localOnly: 0, scheduled: 0, repeating: 0, platforms: { android: 0, ios: 0 } };
     }
   }
 
@@ -288,7 +1083,10 @@ class ReminderService {
         firebaseReady: firebaseNotificationService.isReady(),
         fcmToken: fcmToken ? fcmToken.substring(0, 20) + '...' : 'None',
         platform: Platform.OS,
+        timeZone: getDeviceTimeZone(),
         reminders: stats,
+        // Where the backend's delivery status disagrees with the device
+        reconciliation: this.lastReconciliation,
         timestamp: new Date().toISOString()
       };
 
@@ -320,4 +1118,16 @@ class ReminderService {
 // Create singleton instance
 const reminderService = new ReminderService();
 
+// Background tasks must be defined when the JS bundle loads, not later
+TaskManager.defineTask(NOTIFICATION_ACTION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('❌ Reminder action task failed:', error);
+    return;
+  }
+  // Only button presses; other background notifications need nothing here
+  if (data?.actionIdentifier) {
+    await reminderService.handleNotificationResponse(data);
+  }
+});
+
 export default reminderService;
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Retention Service - Enforces how long history, past reminders and voice
+ * recordings are kept, and reports storage usage
+ *
+ * Cleanup runs from a background task roughly twice a day, and on launch
+ * when the last run was more than a day ago.
+ */
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import * as FileSystem from 'expo-file-system/legacy';
+import StorageService from './storage';
+import VoiceService from './voice';
+
+const CLEANUP_TASK = 'jarvis-retention-cleanup';
+const CLEANUP_INTERVAL_MINUTES = 12 * 60;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Choices offered in Settings; null keeps data forever
+export const RETENTION_OPTIONS = {
+  historyDays: [null, 30, 90, 365],
+  reminderDays: [1, 7, 30, null],
+  audioDays: [0, 1, 7],
+};
+
+// Files written by exports and backups (historyExport.js, backup.js)
+const EXPORT_FILE_PATTERN = /^jarvis-(history|backup)-/;
+
+const cutoff = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+class RetentionService {
+  /**
+   * Apply the retention policy once. Resolves to what was removed:
+   * { messages, conversations, reminders, audioFiles, audioBytes }
+   */
+  async runCleanup() {
+    const policy = await StorageService.getRetentionPolicy();
+    const result = { messages: 0, conversations: 0, reminders: 0, audioFiles: 0, audioBytes: 0 };
+
+    const historyCutoff = await StorageService.getHistoryCutoff();
+    if (historyCutoff) {
+      Object.assign(result, await StorageService.deleteMessagesBefore(historyCutoff));
+    }
+    if (policy.reminderDays !== null) {
+      result.reminders = await StorageService.deleteRemindersBefore(cutoff(policy.reminderDays));
+    }
+
+    const audio = await VoiceService.clearAudioCache({
+      olderThan: Date.now() - policy.audioDays * DAY,
+    });
+    result.audioFiles = audio.files;
+    result.audioBytes = audio.bytes;
+
+    await StorageService.setLastCleanup(new Date().toISOString());
+    console.log('Retention cleanup:', result);
+    return result;
+  }
+
+  /**
+   * Run the cleanup if it hasn't run in the last day. Errors are logged,
+   * never thrown, so this is safe to call on startup.
+   */
+  async runIfDue() {
+    try {
+      const lastCleanup = await StorageService.getLastCleanup();
+      if (lastCleanup && Date.now() - new Date(lastCleanup).getTime() < DAY) {
+        return null;
+      }
+      return await this.runCleanup();
+    } catch (error) {
+      console.error('Retention cleanup failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the OS to run the cleanup periodically in the background
+   */
+  async registerBackgroundCleanup() {
+    try {
+      const status = await BackgroundTask.getStatusAsync();
+      if (status !== BackgroundTask.BackgroundTaskStatus.Available) {
+        console.warn('Background tasks are restricted; cleanup will run on launch only');
+        return false;
+      }
+      if (!(await TaskManager.isTaskRegisteredAsync(CLEANUP_TASK))) {
+        await BackgroundTask.registerTaskAsync(CLEANUP_TASK, {
+          minimumInterval: CLEANUP_INTERVAL_MINUTES,
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error registering background cleanup:', error);
+      return false;
+    }
+  }
+
+  async listExportFiles() {
+    const files = [];
+    for (const name of await FileSystem.readDirectoryAsync(FileSystem.cacheDirectory)) {
+      if (!EXPORT_FILE_PATTERN.test(name)) continue;
+      const info = await FileSystem.getInfoAsync(FileSystem.cacheDirectory + name);
+      if (info.exists) files.push({ uri: info.uri, size: info.size || 0 });
+    }
+    return files;
+  }
+
+  /**
+   * Storage used per category, largest first:
+   * [{ key, label, bytes, count }]
+   */
+  async getStorageUsage() {
+    const stats = await StorageService.getStorageStats();
+    const audio = await VoiceService.listAudioCache();
+    const exports = await this.listExportFiles();
+    const sum = (files) => files.reduce((total, file) => total + file.size, 0);
+
+    return [
+      { key: 'history', label: 'Chat history', bytes: stats.messages.bytes, count: stats.messages.count },
+      { key: 'reminders', label: 'Reminders', bytes: stats.reminders.bytes, count: stats.reminders.count },
+      {
+        key: 'indexes',
+        label: 'Search index & database overhead',
+        bytes: Math.max(0, stats.database - stats.messages.bytes - stats.reminders.bytes),
+      },
+      { key: 'audio', label: 'Voice recordings', bytes: sum(audio), count: audio.length },
+      { key: 'exports', label: 'Exports & backups', bytes: sum(exports), count: exports.length },
+      { key: 'settings', label: 'Settings', bytes: stats.settings },
+    ].sort((a, b) => b.bytes - a.bytes);
+  }
+}
+
+const retentionService = new RetentionService();
+
+// Background tasks must be defined when the JS bundle loads, not later
+TaskManager.defineTask(CLEANUP_TASK, async () => {
+  try {
+    await retentionService.runCleanup();
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('Background retention cleanup failed:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+export default retentionService;
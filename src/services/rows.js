@@ -0,0 +1,138 @@
+/**
+ * Row mapping - How messages, conversations and reminders are laid out in
+ * the SQLite tables (see database.js). Migration steps keep their own
+ * copies as they shipped (see migrations.js).
+ */
+import { getDeviceTimeZone, toWallTime } from '../utils/timeZone';
+
+// Message fields with their own column; everything else goes in `extra`
+const MESSAGE_COLUMNS = ['id', 'conversationId', 'text', 'isUser', 'timestamp', 'updatedAt', 'synced'];
+
+export const messageToRow = (message) => {
+  const extra = {};
+  Object.keys(message).forEach((key) => {
+    if (!MESSAGE_COLUMNS.includes(key) && message[key] !== undefined) {
+      extra[key] = message[key];
+    }
+  });
+
+  return [
+    message.id,
+    message.conversationId,
+    message.text || '',
+    message.isUser ? 1 : 0,
+    message.timestamp || new Date().toISOString(),
+    message.updatedAt || null,
+    message.synced ? 1 : 0,
+    JSON.stringify(extra),
+  ];
+};
+
+export const rowToMessage = (row) => ({
+  ...JSON.parse(row.extra || '{}'),
+  id: row.id,
+  conversationId: row.conversation_id,
+  text: row.text,
+  isUser: !!row.is_user,
+  timestamp: row.timestamp,
+  ...(row.updated_at && { updatedAt: row.updated_at }),
+  synced: !!row.synced,
+});
+
+// An upsert so the full-text triggers see an UPDATE; INSERT OR REPLACE
+// deletes without firing them
+export const INSERT_MESSAGE = `
+  INSERT INTO messages
+    (id, conversation_id, text, is_user, timestamp, updated_at, synced, extra)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    conversation_id = excluded.conversation_id,
+    text = excluded.text,
+    is_user = excluded.is_user,
+    timestamp = excluded.timestamp,
+    updated_at = excluded.updated_at,
+    synced = excluded.synced,
+    extra = excluded.extra
+`;
+
+// An upsert rather than INSERT OR REPLACE, which would delete the row and
+// cascade to its messages
+export const UPSERT_CONVERSATION = `
+  INSERT INTO conversations
+    (id, title, created_at, updated_at, modified_at, synced_at, archived)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT (id) DO UPDATE SET
+    title = excluded.title,
+    updated_at = excluded.updated_at,
+    modified_at = excluded.modified_at,
+    synced_at = excluded.synced_at,
+    archived = excluded.archived
+`;
+
+export const conversationToRow = (conversation) => [
+  conversation.id,
+  conversation.title,
+  conversation.createdAt,
+  conversation.updatedAt || conversation.createdAt,
+  conversation.modifiedAt || null,
+  conversation.syncedAt || null,
+  conversation.archived ? 1 : 0,
+];
+
+export const INSERT_REMINDER = `
+  INSERT OR REPLACE INTO reminders (id, time, method, remote_id, created, data)
+  VALUES (?, ?, ?, ?, ?, ?)
+`;
+
+export const reminderToRow = (reminder) => [
+  reminder.id,
+  reminder.time || null,
+  reminder.method || null,
+  reminder.remoteId ? String(reminder.remoteId) : null,
+  reminder.created || new Date().toISOString(),
+  JSON.stringify(reminder),
+];
+
+/**
+ * Bring a reminder saved by an older version up to the current shape.
+ * Also used for reminders coming back from old backups.
+ */
+export const normalizeReminder = (reminder) => {
+  const time = reminder.time ? new Date(reminder.time) : null;
+  const valid = time && !isNaN(time);
+  // Older reminders didn't record a zone. Repeating ones were always clock
+  // times; for one-offs, keeping the instant is the safe guess.
+  const anchor = reminder.anchor || (reminder.recurrence ? 'wall' : 'absolute');
+  return {
+    ...reminder,
+    id: String(reminder.id),
+    text: reminder.text || reminder.originalText || '',
+    originalText: reminder.originalText || reminder.text || '',
+    time: valid ? time.toISOString() : reminder.time || null,
+    created: reminder.created || new Date().toISOString(),
+    method: reminder.method || 'none',
+    scheduled: !!reminder.scheduled,
+    remoteId: reminder.remoteId ?? null,
+    localId: reminder.localId ?? null,
+    timeZone: reminder.timeZone || getDeviceTimeZone(),
+    anchor,
+    wallTime: reminder.wallTime ?? (anchor === 'wall' && valid ? toWallTime(time) : null),
+  };
+};
+
+/**
+ * Reminder confirmations used to carry four loose flags; they now carry
+ * `reminder: { method, scheduled }`. Other messages are returned as is.
+ */
+export const normalizeMessage = (message) => {
+  if (!message.isFirebaseReminder && !message.isLocalReminder) return message;
+
+  const { isFirebaseReminder, isLocalReminder, reminderMethod, reminderScheduled, ...rest } = message;
+  return {
+    ...rest,
+    reminder: {
+      method: reminderMethod || (isFirebaseReminder ? 'firebase_push' : 'local_only'),
+      scheduled: reminderScheduled ?? !!isFirebaseReminder,
+    },
+  };
+};
@@ -0,0 +1,196 @@
+/**
+ * Response Schemas - Runtime validation of backend payloads
+ *
+ * A schema is a plain object describing one value:
+ *   { type, optional, nullable, nonEmpty, min, max, oneOf, shape, items, check }
+ * `type` is a typeof name (or a list of them), `shape` describes the fields
+ * of an object, `items` every element of an array and `check(value)` can
+ * return an extra error message.
+ */
+
+export class ResponseValidationError extends Error {
+  constructor(schemaName, issues) {
+    super('The server sent an unexpected response. Please try again later.');
+    this.name = 'ResponseValidationError';
+    this.code = 'INVALID_RESPONSE';
+    this.status = -3;
+    this.schema = schemaName;
+    this.issues = issues;
+  }
+}
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * Validate `value` against `schema`. Returns a list of issues like
+ * "response: expected string, got undefined"; empty when valid.
+ */
+export const validate = (schema, value, path = 'response') => {
+  if (value === undefined) {
+    return schema.optional ? [] : [`${path}: is required`];
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [`${path}: must not be null`];
+  }
+
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual) || (actual === 'number' && Number.isNaN(value))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+
+  const issues = [];
+
+  if (schema.nonEmpty && actual === 'string' && !value.trim()) {
+    issues.push(`${path}: must not be empty`);
+  }
+  if (schema.min !== undefined && actual === 'number' && value < schema.min) {
+    issues.push(`${path}: must be >= ${schema.min}`);
+  }
+  if (schema.max !== undefined && actual === 'number' && value > schema.max) {
+    issues.push(`${path}: must be <= ${schema.max}`);
+  }
+  if (schema.oneOf && !schema.oneOf.includes(value)) {
+    issues.push(`${path}: must be one of ${schema.oneOf.join(', ')}`);
+  }
+
+  if (schema.shape && actual === 'object') {
+    Object.entries(schema.shape).forEach(([key, fieldSchema]) => {
+      issues.push(...validate(fieldSchema, value[key], `${path}.${key}`));
+    });
+  }
+
+  if (schema.items && actual === 'array') {
+    value.forEach((item, index) => {
+      issues.push(...validate(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (issues.length === 0 && schema.check) {
+    const message = schema.check(value);
+    if (message) {
+      issues.push(`${path}: ${message}`);
+    }
+  }
+
+  return issues;
+};
+
+const optional = { optional: true, nullable: true };
+
+export const RESPONSE_SCHEMAS = {
+  chat: {
+    type: 'object',
+    shape: {
+      response: { type: 'string', nonEmpty: true },
+      tokens_used: { type: 'number', min: 0, ...optional },
+      web_search_used: { type: 'boolean', ...optional },
+      audio_response: { type: 'string', ...optional },
+    },
+  },
+
+  intent: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      intent: { type: 'string', ...optional },
+      time: { type: 'string', ...optional },
+      confidence: { type: 'number', min: 0, max: 1, ...optional },
+    },
+  },
+
+  deviceRegistration: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      message: { type: 'string', ...optional },
+    },
+  },
+
+  reminderSchedule: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      remoteId: { type: ['string', 'number'], ...optional },
+      error: { type: 'string', ...optional },
+    },
+    check: (value) => (
+      value.success && (value.remoteId === undefined || value.remoteId === null || value.remoteId === '')
+        ? 'remoteId is required when success is true'
+        : null
+    ),
+  },
+
+  reminderCancel: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      error: { type: 'string', ...optional },
+    },
+  },
+
+  reminderAck: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      error: { type: 'string', ...optional },
+    },
+  },
+
+  historyPull: {
+    type: 'object',
+    shape: {
+      conversations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          shape: {
+            id: { type: 'string', nonEmpty: true },
+            title: { type: 'string', ...optional },
+            archived: { type: 'boolean', ...optional },
+            updated_at: { type: 'string', ...optional },
+          },
+        },
+      },
+      messages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          shape: {
+            id: { type: 'string', nonEmpty: true },
+            conversation_id: { type: 'string', nonEmpty: true },
+            role: { type: 'string', oneOf: ['user', 'assistant'] },
+            text: { type: 'string' },
+            timestamp: { type: 'string', nonEmpty: true },
+          },
+        },
+      },
+      deleted: {
+        type: 'object',
+        ...optional,
+        shape: {
+          conversations: { type: 'array', items: { type: 'string' }, ...optional },
+          messages: { type: 'array', items: { type: 'string' }, ...optional },
+        },
+      },
+      server_time: { type: 'string', nonEmpty: true },
+    },
+  },
+
+  historyPush: {
+    type: 'object',
+    shape: {
+      success: { type: 'boolean' },
+      server_time: { type: 'string', ...optional },
+    },
+  },
+
+  reminderStatus: {
+    type: 'object',
+    shape: {
+      status: { type: 'string', nonEmpty: true },
+      remoteId: { type: ['string', 'number'], ...optional },
+      scheduledFor: { type: 'string', ...optional },
+    },
+  },
+};
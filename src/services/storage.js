@@ -1,18 +1,91 @@
 /**
- * Storage Service - AsyncStorage wrapper
+ * Storage Service - AsyncStorage wrapper for settings, SQLite for
+ * conversations, messages and reminders
  */
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_API_PROFILES, DEFAULT_API_PROFILE_ID } from '../config/api';
+import {
+  getDatabase,
+  getStorageKey,
+  resetDatabase,
+  jsonList,
+} from './database';
+import {
+  INSERT_MESSAGE,
+  UPSERT_CONVERSATION,
+  INSERT_REMINDER,
+  messageToRow,
+  rowToMessage,
+  conversationToRow,
+  reminderToRow,
+  normalizeMessage,
+  normalizeReminder,
+} from './rows';
+import { encrypt, decrypt } from '../utils/crypto';
+import { TIME_OF_DAY_DEFAULTS } from '../utils/timeParser';
+import { getScheduledReminderNotifications, cancelNotification } from '../utils/reminderUtils';
 
 const KEYS = {
   USER_ID: 'user_id',
-  API_URL: 'api_url',
+  ACCOUNT_ID: 'account_id', // Account last signed in here; USER_ID may be anonymous
+  API_URL: 'api_url', // Legacy single URL, migrated into a profile
+  API_PROFILES: 'api_profiles',
+  ACTIVE_API_PROFILE: 'active_api_profile',
   WEB_SEARCH_ENABLED: 'web_search_enabled',
   AUTO_PLAY_AUDIO: 'auto_play_audio',
-  CONVERSATION_HISTORY: 'conversation_history',
-  LOCAL_REMINDERS: 'local_reminders',
+  STREAM_RESPONSES: 'stream_responses',
+  ACTIVE_CONVERSATION: 'active_conversation',
+  CHAT_OUTBOX: 'chat_outbox',
+  SYNC_STATE: 'sync_state',
+  AUTO_LOCK_TIMEOUT: 'auto_lock_timeout',
+  BIOMETRIC_UNLOCK: 'biometric_unlock',
+  RETENTION_POLICY: 'retention_policy',
+  TIME_OF_DAY: 'time_of_day',
+  LAST_CLEANUP: 'last_cleanup',
 };
 
+// Days to keep each kind of data; null keeps it forever
+export const DEFAULT_RETENTION_POLICY = {
+  historyDays: null,
+  reminderDays: 7,
+  audioDays: 1,
+};
+
+const rowToConversation = (row) => ({
+  id: row.id,
+  title: row.title,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  modifiedAt: row.modified_at || undefined,
+  syncedAt: row.synced_at || undefined,
+  archived: !!row.archived,
+  messageCount: row.message_count || 0,
+  lastMessage: row.last_message?.slice(0, 100) || '',
+});
+
+// Wrap matches in search snippets: char(2) before, char(3) after
+export const SNIPPET_MARKERS = { start: '\u0002', end: '\u0003' };
+
+// AsyncStorage values holding message text are sealed with the storage key
+const readEncrypted = async (key) => {
+  const value = await AsyncStorage.getItem(key);
+  if (!value) return null;
+
+  const parsed = JSON.parse(value);
+  if (!parsed?.encrypted) {
+    return { value: parsed, legacy: true };
+  }
+  return { value: JSON.parse(decrypt(await getStorageKey(), parsed)), legacy: false };
+};
+
+const writeEncrypted = async (key, value) => {
+  const sealed = encrypt(await getStorageKey(), JSON.stringify(value));
+  await AsyncStorage.setItem(key, JSON.stringify({ encrypted: 1, ...sealed }));
+};
+
+const messageTime = (message) => new Date(message.updatedAt || message.timestamp).getTime();
+
 class StorageService {
   // User ID
   async getUserId() {
@@ -24,6 +97,11 @@ class StorageService {
     return userId;
   }
 
+  // Stored user ID, without generating one if missing
+  async getStoredUserId() {
+    return await AsyncStorage.getItem(KEYS.USER_ID);
+  }
+
   async setUserId(userId) {
     await AsyncStorage.setItem(KEYS.USER_ID, userId);
   }
@@ -34,13 +112,110 @@ class StorageService {
     return newId;
   }
 
-  // API URL
-  async getApiUrl() {
-    return await AsyncStorage.getItem(KEYS.API_URL);
+  // Signed-in account ID, null until someone signs in on this device
+  async getAccountId() {
+    return await AsyncStorage.getItem(KEYS.ACCOUNT_ID);
+  }
+
+  async setAccountId(accountId) {
+    await AsyncStorage.setItem(KEYS.ACCOUNT_ID, accountId);
   }
 
-  async setApiUrl(url) {
-    await AsyncStorage.setItem(KEYS.API_URL, url);
+  /**
+   * Hand the history kept under the anonymous user ID to the account
+   * signing in: it is all marked unsynced, and the sync cursor reset, so the
+   * next sync pushes it to the account and pulls the account's history.
+   */
+  async adoptAnonymousData() {
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('UPDATE conversations SET synced_at = NULL');
+      await db.runAsync('UPDATE messages SET synced = 0');
+    });
+    await AsyncStorage.removeItem(KEYS.SYNC_STATE);
+  }
+
+  // API environment profiles
+  async getApiProfiles() {
+    let saved = [];
+    try {
+      const profiles = await AsyncStorage.getItem(KEYS.API_PROFILES);
+      saved = profiles ? JSON.parse(profiles) : [];
+    } catch (error) {
+      console.error('Error loading API profiles:', error);
+    }
+
+    // Built-in profiles can be edited (the saved copy wins) but always exist
+    const builtIns = DEFAULT_API_PROFILES.filter(
+      (profile) => !saved.some((p) => p.id === profile.id)
+    );
+    const profiles = [...builtIns, ...saved];
+
+    // Carry over a URL saved by older versions of the app
+    const legacyUrl = await AsyncStorage.getItem(KEYS.API_URL);
+    if (legacyUrl) {
+      const known = profiles.find((p) => p.baseURL === legacyUrl);
+      const migrated = known || {
+        id: 'custom',
+        name: 'Custom',
+        baseURL: legacyUrl,
+        headers: {},
+        endpoints: {},
+      };
+      if (!known) {
+        profiles.push(migrated);
+        await this.saveApiProfiles(profiles);
+      }
+      await this.setActiveApiProfileId(migrated.id);
+      await AsyncStorage.removeItem(KEYS.API_URL);
+    }
+
+    return profiles;
+  }
+
+  async saveApiProfiles(profiles) {
+    await AsyncStorage.setItem(KEYS.API_PROFILES, JSON.stringify(profiles));
+  }
+
+  // Add a profile or replace the one with the same id
+  async saveApiProfile(profile) {
+    const profiles = await this.getApiProfiles();
+    const index = profiles.findIndex((p) => p.id === profile.id);
+    const saved = { headers: {}, endpoints: {}, ...profile, id: profile.id || uuidv4() };
+    if (index !== -1) {
+      profiles[index] = saved;
+    } else {
+      profiles.push(saved);
+    }
+    await this.saveApiProfiles(profiles);
+    return saved;
+  }
+
+  async deleteApiProfile(id) {
+    const profiles = await this.getApiProfiles();
+    const profile = profiles.find((p) => p.id === id);
+    if (!profile || profile.builtIn) {
+      throw new Error('Built-in profiles cannot be deleted');
+    }
+    await this.saveApiProfiles(profiles.filter((p) => p.id !== id));
+
+    if ((await this.getActiveApiProfileId()) === id) {
+      await AsyncStorage.removeItem(KEYS.ACTIVE_API_PROFILE);
+    }
+  }
+
+  async getActiveApiProfileId() {
+    return (await AsyncStorage.getItem(KEYS.ACTIVE_API_PROFILE)) || DEFAULT_API_PROFILE_ID;
+  }
+
+  async setActiveApiProfileId(id) {
+    await AsyncStorage.setItem(KEYS.ACTIVE_API_PROFILE, id);
+  }
+
+  async getActiveApiProfile() {
+    const profiles = await this.getApiProfiles();
+    const activeId = await this.getActiveApiProfileId();
+    return profiles.find((p) => p.id === activeId) || profiles[0];
   }
 
   // Web Search Setting
@@ -63,60 +238,827 @@ class StorageService {
     await AsyncStorage.setItem(KEYS.AUTO_PLAY_AUDIO, enabled.toString());
   }
 
-  // Conversation History
-  async getConversationHistory() {
+  // Stream Responses
+  async getStreamResponses() {
+    const value = await AsyncStorage.getItem(KEYS.STREAM_RESPONSES);
+    return value !== 'false'; // Default to true
+  }
+
+  async setStreamResponses(enabled) {
+    await AsyncStorage.setItem(KEYS.STREAM_RESPONSES, enabled.toString());
+  }
+
+  // App lock - the PIN itself lives in the secure store, see appLock.js
+  async getAutoLockTimeout() {
+    const value = await AsyncStorage.getItem(KEYS.AUTO_LOCK_TIMEOUT);
+    return value ? parseInt(value, 10) : 0; // Default to locking immediately
+  }
+
+  async setAutoLockTimeout(timeout) {
+    await AsyncStorage.setItem(KEYS.AUTO_LOCK_TIMEOUT, timeout.toString());
+  }
+
+  async getBiometricUnlockEnabled() {
+    const value = await AsyncStorage.getItem(KEYS.BIOMETRIC_UNLOCK);
+    return value === 'true'; // Default to false
+  }
+
+  async setBiometricUnlockEnabled(enabled) {
+    await AsyncStorage.setItem(KEYS.BIOMETRIC_UNLOCK, enabled.toString());
+  }
+
+  // Conversations - stored in SQLite, see database.js
+  async getConversations({ includeArchived = true } = {}) {
     try {
-      const history = await AsyncStorage.getItem(KEYS.CONVERSATION_HISTORY);
-      return history ? JSON.parse(history) : [];
+      const db = await getDatabase();
+      const rows = await db.getAllAsync(`
+        SELECT c.*,
+          (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count,
+          (SELECT m.text FROM messages m WHERE m.conversation_id = c.id
+            ORDER BY m.timestamp DESC LIMIT 1) AS last_message
+        FROM conversations c
+        ${includeArchived ? '' : 'WHERE c.archived = 0'}
+        ORDER BY c.updated_at DESC
+      `);
+      return rows.map(rowToConversation);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+      return [];
+    }
+  }
+
+  buildConversation(title) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      title: title || 'New conversation',
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+      messageCount: 0,
+      lastMessage: '',
+    };
+  }
+
+  async getConversation(id) {
+    const db = await getDatabase();
+    const row = await db.getFirstAsync('SELECT * FROM conversations WHERE id = ?', [id]);
+    return row ? rowToConversation(row) : null;
+  }
+
+  async createConversation(title) {
+    const conversation = this.buildConversation(title);
+    const db = await getDatabase();
+    await db.runAsync(UPSERT_CONVERSATION, conversationToRow(conversation));
+    await this.setActiveConversationId(conversation.id);
+    return conversation;
+  }
+
+  /**
+   * Update a conversation. User edits (rename, archive) bump `modifiedAt`
+   * so the sync engine pushes them; derived fields pass `touch: false`.
+   */
+  async updateConversation(id, updates, { touch = false } = {}) {
+    const conversation = await this.getConversation(id);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    const updated = {
+      ...conversation,
+      ...updates,
+      ...(touch && { modifiedAt: new Date().toISOString() }),
+    };
+    const db = await getDatabase();
+    await db.runAsync(UPSERT_CONVERSATION, conversationToRow(updated));
+    return updated;
+  }
+
+  async renameConversation(id, title) {
+    return await this.updateConversation(id, { title: title.trim() || 'Untitled' }, { touch: true });
+  }
+
+  async archiveConversation(id, archived = true) {
+    const conversation = await this.updateConversation(id, { archived }, { touch: true });
+    if (archived && (await this.getActiveConversationId()) === id) {
+      await AsyncStorage.removeItem(KEYS.ACTIVE_CONVERSATION);
+    }
+    return conversation;
+  }
+
+  // `track: false` skips telling the server, for deletions that came from it
+  async deleteConversation(id, { track = true } = {}) {
+    if (track) {
+      await this.recordDeletions({ conversations: [id] });
+    }
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM messages WHERE conversation_id = ?', [id]);
+      await db.runAsync('DELETE FROM conversations WHERE id = ?', [id]);
+    });
+    await this.clearOutbox(id);
+
+    if ((await AsyncStorage.getItem(KEYS.ACTIVE_CONVERSATION)) === id) {
+      await AsyncStorage.removeItem(KEYS.ACTIVE_CONVERSATION);
+    }
+  }
+
+  /**
+   * The thread the chat screen shows. Falls back to the most recent
+   * unarchived thread, creating one if there are none.
+   */
+  async getActiveConversationId() {
+    const activeId = await AsyncStorage.getItem(KEYS.ACTIVE_CONVERSATION);
+    if (activeId) return activeId;
+
+    const [latest] = await this.getConversations({ includeArchived: false });
+    const conversation = latest || (await this.createConversation());
+    await this.setActiveConversationId(conversation.id);
+    return conversation.id;
+  }
+
+  async setActiveConversationId(id) {
+    await AsyncStorage.setItem(KEYS.ACTIVE_CONVERSATION, id);
+  }
+
+  /**
+   * Messages of a conversation, oldest first. With `limit`, returns only the
+   * newest `limit` messages older than `before` (a timestamp), for paging
+   * back through long threads. With `since`, returns every message from
+   * that timestamp on.
+   */
+  async getConversationHistory(conversationId, { limit, before, since } = {}) {
+    const id = conversationId || (await this.getActiveConversationId());
+    try {
+      const db = await getDatabase();
+      const rows = since
+        ? await db.getAllAsync(
+          'SELECT * FROM messages WHERE conversation_id = ? AND timestamp >= ? ORDER BY timestamp ASC',
+          [id, since]
+        )
+        : limit
+        ? await db.getAllAsync(`
+            SELECT * FROM (
+              SELECT * FROM messages
+              WHERE conversation_id = ? ${before ? 'AND timestamp < ?' : ''}
+              ORDER BY timestamp DESC LIMIT ?
+            ) ORDER BY timestamp ASC
+          `, before ? [id, before, limit] : [id, limit])
+        : await db.getAllAsync(
+          'SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp ASC',
+          [id]
+        );
+      return rows.map(rowToMessage);
     } catch (error) {
       console.error('Error loading conversation history:', error);
       return [];
     }
   }
 
-  async saveConversationHistory(history) {
+  // Every message, oldest first, optionally limited to one thread or a date range
+  async getAllMessages({ conversationId, from, to } = {}) {
+    const where = [];
+    const params = [];
+    if (conversationId) {
+      where.push('conversation_id = ?');
+      params.push(conversationId);
+    }
+    if (from) {
+      where.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('timestamp <= ?');
+      params.push(to);
+    }
+
+    try {
+      const db = await getDatabase();
+      const rows = await db.getAllAsync(
+        `SELECT * FROM messages
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY timestamp ASC`,
+        params
+      );
+      return rows.map(rowToMessage);
+    } catch (error) {
+      console.error('Error loading messages:', error);
+      return [];
+    }
+  }
+
+  async getMessage(id) {
+    const db = await getDatabase();
+    const row = await db.getFirstAsync('SELECT * FROM messages WHERE id = ?', [id]);
+    return row ? rowToMessage(row) : null;
+  }
+
+  /**
+   * Full-text search over messages. Every word of `query` must match (as a
+   * prefix); results are ranked by relevance and carry a `snippet` where
+   * matches are wrapped in SNIPPET_MARKERS. With an empty query only the
+   * filters apply and results are newest first.
+   *
+   * Filters: { conversationId, role: 'user' | 'assistant', from, to,
+   *            webSearch: true, reminders: true, limit }
+   */
+  async searchMessages(query, filters = {}) {
+    const { conversationId, role, from, to, webSearch, reminders, limit = 200 } = filters;
+    const conditions = [];
+    const params = [];
+
+    // Quote each word so punctuation can't be read as FTS query syntax
+    const terms = (query || '').split(/\s+/).map(term => term.replace(/"/g, '')).filter(Boolean);
+    if (terms.length > 0) {
+      conditions.push('messages_fts MATCH ?');
+      params.push(terms.map(term => `"${term}"*`).join(' '));
+    }
+    if (conversationId) {
+      conditions.push('m.conversation_id = ?');
+      params.push(conversationId);
+    }
+    if (role) {
+      conditions.push('m.is_user = ?');
+      params.push(role === 'user' ? 1 : 0);
+    }
+    if (from) {
+      conditions.push('m.timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('m.timestamp <= ?');
+      params.push(to);
+    }
+    if (webSearch) {
+      conditions.push("json_extract(m.extra, '$.webSearchUsed') = 1");
+    }
+    if (reminders) {
+      conditions.push("json_extract(m.extra, '$.reminder') IS NOT NULL");
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
     try {
-      await AsyncStorage.setItem(KEYS.CONVERSATION_HISTORY, JSON.stringify(history));
+      const db = await getDatabase();
+      const rows = terms.length > 0
+        ? await db.getAllAsync(`
+            SELECT m.*,
+              snippet(messages_fts, 0, char(2), char(3), '…', 16) AS snippet
+            FROM messages_fts
+            JOIN messages m ON m.rowid = messages_fts.rowid
+            ${where}
+            ORDER BY bm25(messages_fts), m.timestamp DESC
+            LIMIT ?
+          `, [...params, limit])
+        : await db.getAllAsync(`
+            SELECT m.* FROM messages m
+            ${where}
+            ORDER BY m.timestamp DESC
+            LIMIT ?
+          `, [...params, limit]);
+
+      return rows.map(row => ({
+        ...rowToMessage(row),
+        ...(row.snippet && { snippet: row.snippet }),
+      }));
     } catch (error) {
-      console.error('Error saving conversation history:', error);
+      console.error('Error searching messages:', error);
+      return [];
     }
   }
 
-  async addMessageToHistory(message) {
-    const history = await this.getConversationHistory();
-    history.push(message);
-    // Keep only last 100 messages
-    if (history.length > 100) {
-      history.shift();
+  async addMessageToHistory(message, conversationId) {
+    const id = conversationId || message.conversationId || (await this.getActiveConversationId());
+    const timestamp = message.timestamp || new Date().toISOString();
+    try {
+      const db = await getDatabase();
+      await db.runAsync(INSERT_MESSAGE, messageToRow({ ...message, conversationId: id, timestamp }));
+      await db.runAsync(
+        'UPDATE conversations SET updated_at = ? WHERE id = ? AND updated_at < ?',
+        [timestamp, id, timestamp]
+      );
+    } catch (error) {
+      console.error('Error saving message:', error);
     }
-    await this.saveConversationHistory(history);
   }
 
-  async clearConversationHistory() {
-    await AsyncStorage.setItem(KEYS.CONVERSATION_HISTORY, JSON.stringify([]));
+  async clearConversationHistory(conversationId, { track = true } = {}) {
+    const id = conversationId || (await this.getActiveConversationId());
+    const db = await getDatabase();
+    if (track) {
+      const rows = await db.getAllAsync('SELECT id FROM messages WHERE conversation_id = ?', [id]);
+      await this.recordDeletions({ messages: rows.map(row => row.id) });
+    }
+    await db.runAsync('DELETE FROM messages WHERE conversation_id = ?', [id]);
+  }
+
+  // Remove every thread and its messages
+  async clearAllConversations({ track = true } = {}) {
+    const db = await getDatabase();
+    if (track) {
+      const rows = await db.getAllAsync('SELECT id FROM conversations');
+      await this.recordDeletions({ conversations: rows.map(row => row.id) });
+    }
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM messages');
+      await db.runAsync('DELETE FROM conversations');
+    });
+    await AsyncStorage.removeItem(KEYS.ACTIVE_CONVERSATION);
+  }
+
+  // Sync state - { lastSyncedAt, cursor, deleted: { conversations, messages } }
+  async getSyncState() {
+    try {
+      const state = await AsyncStorage.getItem(KEYS.SYNC_STATE);
+      return {
+        lastSyncedAt: null,
+        cursor: null,
+        deleted: { conversations: [], messages: [] },
+        ...(state ? JSON.parse(state) : {}),
+      };
+    } catch (error) {
+      console.error('Error loading sync state:', error);
+      return { lastSyncedAt: null, cursor: null, deleted: { conversations: [], messages: [] } };
+    }
+  }
+
+  async saveSyncState(updates) {
+    const state = await this.getSyncState();
+    await AsyncStorage.setItem(KEYS.SYNC_STATE, JSON.stringify({ ...state, ...updates }));
+  }
+
+  // Remember local deletions until they have been pushed
+  async recordDeletions({ conversations = [], messages = [] }) {
+    const { deleted } = await this.getSyncState();
+    await this.saveSyncState({
+      deleted: {
+        conversations: [...new Set([...deleted.conversations, ...conversations])],
+        messages: [...new Set([...deleted.messages, ...messages])],
+      },
+    });
+  }
+
+  // Forget deletions the server has acknowledged
+  async clearDeletions({ conversations = [], messages = [] }) {
+    const { deleted } = await this.getSyncState();
+    await this.saveSyncState({
+      deleted: {
+        conversations: deleted.conversations.filter(id => !conversations.includes(id)),
+        messages: deleted.messages.filter(id => !messages.includes(id)),
+      },
+    });
+  }
+
+  // Conversations and messages the server hasn't seen yet
+  async getUnsyncedChanges() {
+    const db = await getDatabase();
+    const conversations = await db.getAllAsync(
+      'SELECT * FROM conversations WHERE synced_at IS NULL OR modified_at > synced_at'
+    );
+    const messages = await db.getAllAsync(
+      'SELECT * FROM messages WHERE synced = 0 ORDER BY timestamp ASC'
+    );
+    return {
+      conversations: conversations.map(rowToConversation),
+      messages: messages.map(rowToMessage),
+    };
+  }
+
+  async markSynced({ conversationIds = [], messageIds = [], syncedAt }) {
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync(
+        'UPDATE conversations SET synced_at = ? WHERE id IN (SELECT value FROM json_each(?))',
+        [syncedAt, jsonList(conversationIds)]
+      );
+      await db.runAsync(
+        'UPDATE messages SET synced = 1 WHERE id IN (SELECT value FROM json_each(?))',
+        [jsonList(messageIds)]
+      );
+    });
+  }
+
+  /**
+   * Merge conversations pulled from the server. The newer edit wins.
+   */
+  async mergeRemoteConversations(remoteConversations, syncedAt) {
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      for (const remote of remoteConversations) {
+        const row = await db.getFirstAsync('SELECT * FROM conversations WHERE id = ?', [remote.id]);
+        const local = row && rowToConversation(row);
+        if (!local) {
+          await db.runAsync(UPSERT_CONVERSATION, conversationToRow({
+            ...this.buildConversation(remote.title),
+            ...remote,
+            syncedAt,
+          }));
+        } else if (remote.modifiedAt > (local.modifiedAt || local.createdAt)) {
+          await db.runAsync(UPSERT_CONVERSATION, conversationToRow({
+            ...local,
+            title: remote.title,
+            archived: remote.archived,
+            modifiedAt: remote.modifiedAt,
+            syncedAt,
+          }));
+        }
+      }
+    });
+  }
+
+  /**
+   * Merge messages pulled from the server into their threads, matching by
+   * id. When both sides have a message the newer one wins. Returns the
+   * number of messages added or changed.
+   */
+  async mergeRemoteMessages(remoteMessages) {
+    const db = await getDatabase();
+    let changed = 0;
+
+    await db.withTransactionAsync(async () => {
+      for (const remote of remoteMessages) {
+        // Messages can arrive for a thread whose metadata hasn't synced yet
+        await db.runAsync(
+          `INSERT OR IGNORE INTO conversations (id, title, created_at, updated_at)
+           VALUES (?, 'Synced conversation', ?, ?)`,
+          [remote.conversationId, remote.timestamp, remote.timestamp]
+        );
+
+        const row = await db.getFirstAsync('SELECT * FROM messages WHERE id = ?', [remote.id]);
+        const local = row && rowToMessage(row);
+        if (!local || messageTime(remote) > messageTime(local)) {
+          await db.runAsync(INSERT_MESSAGE, messageToRow({ ...local, ...remote, synced: true }));
+          await db.runAsync(
+            'UPDATE conversations SET updated_at = ? WHERE id = ? AND updated_at < ?',
+            [remote.timestamp, remote.conversationId, remote.timestamp]
+          );
+          changed++;
+        } else if (!local.synced) {
+          await db.runAsync('UPDATE messages SET synced = 1 WHERE id = ?', [remote.id]);
+        }
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Add imported conversations and messages. A message is skipped if its id
+   * is already stored, or if a message with the same sender, time and text
+   * exists (the same message exported from another install). Imported
+   * messages are left unsynced so the next sync uploads them.
+   */
+  async importHistory({ conversations, messages }) {
+    const db = await getDatabase();
+    const result = { conversations: 0, messages: 0, skipped: 0 };
+    const titles = new Map(conversations.map((c) => [c.id, c]));
+    const now = new Date().toISOString();
+    let fallbackId = null;
+
+    await db.withTransactionAsync(async () => {
+      for (const message of messages) {
+        const duplicate = await db.getFirstAsync(
+          `SELECT id FROM messages
+           WHERE id = ? OR (timestamp = ? AND is_user = ? AND text = ?)`,
+          [message.id || '', message.timestamp, message.isUser ? 1 : 0, message.text]
+        );
+        if (duplicate) {
+          result.skipped++;
+          continue;
+        }
+
+        let conversationId = message.conversationId;
+        if (!conversationId) {
+          if (!fallbackId) {
+            fallbackId = uuidv4();
+            titles.set(fallbackId, { title: 'Imported conversation', createdAt: message.timestamp });
+          }
+          conversationId = fallbackId;
+        }
+
+        const existing = await db.getFirstAsync('SELECT id FROM conversations WHERE id = ?', [conversationId]);
+        if (!existing) {
+          const source = titles.get(conversationId) || {};
+          await db.runAsync(UPSERT_CONVERSATION, conversationToRow({
+            id: conversationId,
+            title: source.title || 'Imported conversation',
+            createdAt: source.createdAt || message.timestamp,
+            updatedAt: message.timestamp,
+            modifiedAt: now,
+            archived: source.archived,
+          }));
+          result.conversations++;
+        }
+
+        await db.runAsync(INSERT_MESSAGE, messageToRow({
+          ...normalizeMessage(message),
+          id: message.id || uuidv4(),
+          conversationId,
+          synced: false,
+        }));
+        await db.runAsync(
+          'UPDATE conversations SET updated_at = ? WHERE id = ? AND updated_at < ?',
+          [message.timestamp, conversationId, message.timestamp]
+        );
+        result.messages++;
+      }
+    });
+
+    return result;
+  }
+
+  // Delete messages by id from whichever thread holds them
+  async removeMessages(ids) {
+    const db = await getDatabase();
+    await db.runAsync(
+      'DELETE FROM messages WHERE id IN (SELECT value FROM json_each(?))',
+      [jsonList(ids)]
+    );
+  }
+
+  // Outbox - chat messages waiting to be delivered to the backend
+  async getOutbox() {
+    try {
+      const stored = await readEncrypted(KEYS.CHAT_OUTBOX);
+      if (!stored) return [];
+      if (stored.legacy) {
+        // Saved in plain text by an earlier version
+        await writeEncrypted(KEYS.CHAT_OUTBOX, stored.value);
+      }
+      return stored.value;
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+      return [];
+    }
+  }
+
+  async saveOutbox(outbox) {
+    try {
+      await writeEncrypted(KEYS.CHAT_OUTBOX, outbox);
+    } catch (error) {
+      console.error('Error saving outbox:', error);
+    }
+  }
+
+  async addToOutbox(entry) {
+    const outbox = await this.getOutbox();
+    const existing = outbox.findIndex(e => e.id === entry.id);
+    if (existing !== -1) {
+      outbox[existing] = { ...outbox[existing], ...entry };
+    } else {
+      outbox.push(entry);
+    }
+    await this.saveOutbox(outbox);
+  }
+
+  async updateOutboxEntry(id, updates) {
+    const outbox = await this.getOutbox();
+    const index = outbox.findIndex(e => e.id === id);
+    if (index !== -1) {
+      outbox[index] = { ...outbox[index], ...updates };
+      await this.saveOutbox(outbox);
+      return outbox[index];
+    }
+    return null;
+  }
+
+  async removeFromOutbox(id) {
+    const outbox = await this.getOutbox();
+    await this.saveOutbox(outbox.filter(e => e.id !== id));
+  }
+
+  // Drop queued messages for one conversation, or all of them
+  async clearOutbox(conversationId) {
+    if (!conversationId) {
+      await AsyncStorage.removeItem(KEYS.CHAT_OUTBOX);
+      return;
+    }
+    const outbox = await this.getOutbox();
+    await this.saveOutbox(outbox.filter(e => e.conversationId !== conversationId));
   }
 
   // Clear all data
   async clearAll() {
+    await this.clearAllConversations();
+  }
+
+  // Remove everything tied to the signed-in user (history, reminders, outbox, user and account IDs)
+  async clearUserData() {
+    await this.clearAllConversations({ track: false });
+    // Device-scheduled reminders would otherwise keep ringing for the
+    // signed-out user
+    for (const notification of await getScheduledReminderNotifications()) {
+      await cancelNotification(notification.identifier);
+    }
+    const db = await getDatabase();
+    await db.runAsync('DELETE FROM reminders');
+    await AsyncStorage.multiRemove([
+      KEYS.USER_ID,
+      KEYS.ACCOUNT_ID,
+      KEYS.SYNC_STATE,
+      KEYS.CHAT_OUTBOX,
+    ]);
+  }
+
+  // Retention - see retention.js
+  async getRetentionPolicy() {
+    try {
+      const value = await AsyncStorage.getItem(KEYS.RETENTION_POLICY);
+      return { ...DEFAULT_RETENTION_POLICY, ...(value ? JSON.parse(value) : {}) };
+    } catch (error) {
+      console.error('Error loading retention policy:', error);
+      return DEFAULT_RETENTION_POLICY;
+    }
+  }
+
+  async saveRetentionPolicy(updates) {
+    const policy = { ...(await this.getRetentionPolicy()), ...updates };
+    await AsyncStorage.setItem(KEYS.RETENTION_POLICY, JSON.stringify(policy));
+    return policy;
+  }
+
+  // Oldest message time the history policy keeps, or null when it keeps
+  // everything. Sync skips anything older so cleared history stays cleared.
+  async getHistoryCutoff() {
+    const { historyDays } = await this.getRetentionPolicy();
+    return historyDays === null ? null : new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  // Hours used for "morning", "tonight" and the like in reminder requests
+  async getTimeOfDayDefaults() {
+    try {
+      const value = await AsyncStorage.getItem(KEYS.TIME_OF_DAY);
+      return { ...TIME_OF_DAY_DEFAULTS, ...(value ? JSON.parse(value) : {}) };
+    } catch (error) {
+      console.error('Error loading time of day defaults:', error);
+      return TIME_OF_DAY_DEFAULTS;
+    }
+  }
+
+  async saveTimeOfDayDefaults(updates) {
+    const defaults = { ...(await this.getTimeOfDayDefaults()), ...updates };
+    await AsyncStorage.setItem(KEYS.TIME_OF_DAY, JSON.stringify(defaults));
+    return defaults;
+  }
+
+  async getLastCleanup() {
+    return await AsyncStorage.getItem(KEYS.LAST_CLEANUP);
+  }
+
+  async setLastCleanup(time) {
+    await AsyncStorage.setItem(KEYS.LAST_CLEANUP, time);
+  }
+
+  /**
+   * Delete messages older than `cutoff`, and threads left empty that
+   * haven't been used since. Local housekeeping, so nothing is recorded
+   * for sync. Resolves to { messages, conversations } counts.
+   */
+  async deleteMessagesBefore(cutoff) {
+    const db = await getDatabase();
+    let messages = 0;
+    let conversations = 0;
+
+    await db.withTransactionAsync(async () => {
+      messages = (await db.runAsync('DELETE FROM messages WHERE timestamp < ?', [cutoff])).changes;
+      conversations = (await db.runAsync(
+        `DELETE FROM conversations
+         WHERE updated_at < ?
+           AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = conversations.id)`,
+        [cutoff]
+      )).changes;
+    });
+
+    return { messages, conversations };
+  }
+
+  // Delete reminders whose time passed before `cutoff`; resolves to the count
+  async deleteRemindersBefore(cutoff) {
+    const db = await getDatabase();
+    // A repeating reminder's time is its next occurrence; it's only past
+    // once the series has ended
+    const result = await db.runAsync(
+      "DELETE FROM reminders WHERE time < ? AND json_extract(data, '$.recurrence') IS NULL",
+      [cutoff]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Sizes in bytes of what this service stores: { messages, reminders,
+   * database, settings } with counts for the first two. `database` is the
+   * whole file, including indexes and the search index.
+   */
+  async getStorageStats() {
+    const db = await getDatabase();
+    const messages = await db.getFirstAsync(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(text) + LENGTH(extra)), 0) AS bytes FROM messages'
+    );
+    const reminders = await db.getFirstAsync(
+      'SELECT COUNT(*) AS count, COALESCE(SUM(LENGTH(data)), 0) AS bytes FROM reminders'
+    );
+    const { page_count: pageCount } = await db.getFirstAsync('PRAGMA page_count');
+    const { page_size: pageSize } = await db.getFirstAsync('PRAGMA page_size');
+
+    const settings = (await AsyncStorage.multiGet(Object.values(KEYS)))
+      .reduce((sum, [key, value]) => sum + key.length + (value?.length || 0), 0);
+
+    return {
+      messages,
+      reminders,
+      database: pageCount * pageSize,
+      settings,
+    };
+  }
+
+  // Backup - everything this service stores, as plain data (see backup.js)
+  async getSnapshot() {
+    const settings = {};
+    (await AsyncStorage.multiGet(Object.values(KEYS))).forEach(([key, value]) => {
+      // The outbox is encrypted with this device's key; it's added decrypted below
+      if (value !== null && key !== KEYS.CHAT_OUTBOX) settings[key] = value;
+    });
+
+    const db = await getDatabase();
+    const conversations = await db.getAllAsync('SELECT * FROM conversations');
+
+    return {
+      settings,
+      conversations: conversations.map(rowToConversation),
+      messages: await this.getAllMessages(),
+      reminders: await this.getLocalReminders(),
+      outbox: await this.getOutbox(),
+    };
+  }
+
+  /**
+   * Replace all stored data with a snapshot from getSnapshot. The database
+   * is swapped in one transaction, so a failure leaves it untouched.
+   */
+  async restoreSnapshot({ settings = {}, conversations = [], messages = [], reminders = [], outbox }) {
+    const db = await getDatabase();
+    await db.withTransactionAsync(async () => {
+      await db.runAsync('DELETE FROM messages');
+      await db.runAsync('DELETE FROM conversations');
+      await db.runAsync('DELETE FROM reminders');
+
+      for (const conversation of conversations) {
+        await db.runAsync(UPSERT_CONVERSATION, conversationToRow(conversation));
+      }
+      // Backups from older versions may hold older shapes
+      for (const message of messages) {
+        await db.runAsync(INSERT_MESSAGE, messageToRow(normalizeMessage(message)));
+      }
+      for (const reminder of reminders) {
+        await db.runAsync(INSERT_REMINDER, reminderToRow(normalizeReminder(reminder)));
+      }
+    });
+
+    // Only keys this version knows about
+    const knownKeys = Object.values(KEYS);
+    await AsyncStorage.multiRemove(knownKeys);
+    await AsyncStorage.multiSet(
+      Object.entries(settings).filter(([key, value]) => knownKeys.includes(key) && typeof value === 'string')
+    );
+    if (outbox) {
+      await this.saveOutbox(outbox);
+    }
+  }
+
+  /**
+   * Start over after the storage key was lost: the encrypted database and
+   * everything sealed with the key are deleted. Settings and the user ID
+   * are kept, and the sync cursor is reset so synced history downloads
+   * again.
+   */
+  async resetEncryptedStorage() {
+    await resetDatabase();
     await AsyncStorage.multiRemove([
-      KEYS.CONVERSATION_HISTORY,
+      KEYS.CHAT_OUTBOX,
+      KEYS.ACTIVE_CONVERSATION,
+      KEYS.SYNC_STATE,
     ]);
   }
 
   // Local reminders for intent-based scheduling
   async getLocalReminders() {
     try {
-      const reminders = await AsyncStorage.getItem(KEYS.LOCAL_REMINDERS);
-      return reminders ? JSON.parse(reminders) : [];
+      const db = await getDatabase();
+      const rows = await db.getAllAsync('SELECT data FROM reminders ORDER BY time ASC');
+      return rows.map(row => JSON.parse(row.data));
     } catch (error) {
       console.error('Error loading local reminders:', error);
       return [];
     }
   }
 
+  async getLocalReminder(id) {
+    const db = await getDatabase();
+    const row = await db.getFirstAsync('SELECT data FROM reminders WHERE id = ?', [id]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
   async saveLocalReminder(reminder) {
     try {
-      const reminders = await this.getLocalReminders();
       const newReminder = {
         id: Date.now().toString(),
         text: reminder.text,
@@ -125,8 +1067,8 @@ class StorageService {
         created: new Date().toISOString(),
         ...reminder,
       };
-      reminders.push(newReminder);
-      await AsyncStorage.setItem(KEYS.LOCAL_REMINDERS, JSON.stringify(reminders));
+      const db = await getDatabase();
+      await db.runAsync(INSERT_REMINDER, reminderToRow(newReminder));
       console.log('Saved local reminder:', newReminder);
       return newReminder;
     } catch (error) {
@@ -137,9 +1079,8 @@ class StorageService {
 
   async removeLocalReminder(id) {
     try {
-      const reminders = await this.getLocalReminders();
-      const filtered = reminders.filter(r => r.id !== id);
-      await AsyncStorage.setItem(KEYS.LOCAL_REMINDERS, JSON.stringify(filtered));
+      const db = await getDatabase();
+      await db.runAsync('DELETE FROM reminders WHERE id = ?', [id]);
     } catch (error) {
       console.error('Error removing local reminder:', error);
     }
@@ -147,15 +1088,15 @@ class StorageService {
 
   async updateLocalReminder(id, updatedReminder) {
     try {
-      const reminders = await this.getLocalReminders();
-      const index = reminders.findIndex(r => r.id === id);
-      if (index !== -1) {
-        reminders[index] = { ...reminders[index], ...updatedReminder };
-        await AsyncStorage.setItem(KEYS.LOCAL_REMINDERS, JSON.stringify(reminders));
-        console.log('Updated local reminder:', reminders[index]);
-        return reminders[index];
+      const reminder = await this.getLocalReminder(id);
+      if (!reminder) {
+        throw new Error('Reminder not found');
       }
-      throw new Error('Reminder not found');
+      const updated = { ...reminder, ...updatedReminder };
+      const db = await getDatabase();
+      await db.runAsync(INSERT_REMINDER, reminderToRow(updated));
+      console.log('Updated local reminder:', updated);
+      return updated;
     } catch (error) {
       console.error('Error updating local reminder:', error);
       throw error;
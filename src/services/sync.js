@@ -0,0 +1,183 @@
+/**
+ * Sync Service - Two-way conversation history sync with the backend
+ *
+ * A sync pulls everything changed on the server since the last pull,
+ * applies server-side deletions, merges conversations and messages by id
+ * (the newer copy wins, and history older than the retention policy keeps
+ * is left out), then pushes local changes and deletions.
+ */
+import APIService from './api';
+import StorageService from './storage';
+
+// Skip automatic syncs that follow a successful one this closely
+const MIN_AUTO_SYNC_INTERVAL = 60000; // 1 minute
+
+const toRemoteConversation = (conversation) => ({
+  id: conversation.id,
+  title: conversation.title,
+  archived: !!conversation.archived,
+  created_at: conversation.createdAt,
+  updated_at: conversation.modifiedAt || conversation.createdAt,
+});
+
+const fromRemoteConversation = (conversation) => ({
+  id: conversation.id,
+  title: conversation.title || 'Synced conversation',
+  archived: !!conversation.archived,
+  createdAt: conversation.created_at || conversation.updated_at,
+  updatedAt: conversation.updated_at,
+  modifiedAt: conversation.updated_at,
+});
+
+const toRemoteMessage = (message) => ({
+  id: message.id,
+  conversation_id: message.conversationId,
+  role: message.isUser ? 'user' : 'assistant',
+  text: message.text,
+  timestamp: message.timestamp,
+  updated_at: message.updatedAt,
+  tokens_used: message.tokensUsed,
+  web_search_used: message.webSearchUsed,
+});
+
+const fromRemoteMessage = (message) => ({
+  id: message.id,
+  conversationId: message.conversation_id,
+  text: message.text,
+  isUser: message.role === 'user',
+  timestamp: message.timestamp,
+  updatedAt: message.updated_at,
+  tokensUsed: message.tokens_used,
+  webSearchUsed: message.web_search_used,
+});
+
+class SyncService {
+  constructor() {
+    this.syncPromise = null;
+    this.listeners = new Set();
+    this.status = { syncing: false, lastSyncedAt: null, error: null };
+  }
+
+  /**
+   * Listen for status changes: { syncing, lastSyncedAt, error, changes }.
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setStatus(updates) {
+    this.status = { ...this.status, ...updates };
+    this.listeners.forEach((listener) => listener(this.status));
+  }
+
+  async getLastSyncedAt() {
+    const { lastSyncedAt } = await StorageService.getSyncState();
+    return lastSyncedAt;
+  }
+
+  /**
+   * Sync unless the last successful sync was very recent
+   */
+  async autoSync() {
+    const lastSyncedAt = await this.getLastSyncedAt();
+    if (lastSyncedAt && Date.now() - new Date(lastSyncedAt).getTime() < MIN_AUTO_SYNC_INTERVAL) {
+      return null;
+    }
+    return await this.sync().catch(() => null);
+  }
+
+  /**
+   * Run a full sync. Concurrent callers share the same run. Resolves to the
+   * number of local messages added or changed by the pull.
+   */
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async runSync() {
+    this.setStatus({ syncing: true, error: null });
+
+    try {
+      const userId = await StorageService.getUserId();
+      const { cursor, deleted: pending } = await StorageService.getSyncState();
+
+      // 1. Pull
+      const pulled = await APIService.pullHistory(userId, { since: cursor });
+      const syncedAt = new Date().toISOString();
+
+      const deleted = pulled.deleted || {};
+      for (const id of deleted.conversations || []) {
+        await StorageService.deleteConversation(id, { track: false });
+      }
+      if (deleted.messages?.length) {
+        await StorageService.removeMessages(deleted.messages);
+      }
+
+      // Don't resurrect anything deleted here that the server hasn't heard
+      // about yet, or history the retention policy cleared (see retention.js)
+      const cutoff = await StorageService.getHistoryCutoff();
+      const kept = (time) => !cutoff || new Date(time) >= new Date(cutoff);
+      await StorageService.mergeRemoteConversations(
+        pulled.conversations
+          .filter((c) => !pending.conversations.includes(c.id) && kept(c.updated_at))
+          .map(fromRemoteConversation),
+        syncedAt
+      );
+      const changes = await StorageService.mergeRemoteMessages(
+        pulled.messages
+          .filter((m) => !pending.messages.includes(m.id) && !pending.conversations.includes(m.conversation_id))
+          .filter((m) => kept(m.timestamp))
+          .map(fromRemoteMessage)
+      );
+
+      // 2. Push
+      const local = await StorageService.getUnsyncedChanges();
+      const { deleted: localDeleted } = await StorageService.getSyncState();
+
+      const hasLocalChanges = local.conversations.length > 0
+        || local.messages.length > 0
+        || localDeleted.conversations.length > 0
+        || localDeleted.messages.length > 0;
+
+      if (hasLocalChanges) {
+        const pushed = await APIService.pushHistory(userId, {
+          conversations: local.conversations.map(toRemoteConversation),
+          messages: local.messages.map(toRemoteMessage),
+          deleted: localDeleted,
+        });
+        if (!pushed.success) {
+          throw { message: 'The server did not accept the history changes', status: -1 };
+        }
+
+        await StorageService.markSynced({
+          conversationIds: local.conversations.map((c) => c.id),
+          messageIds: local.messages.map((m) => m.id),
+          syncedAt,
+        });
+        await StorageService.clearDeletions(localDeleted);
+      }
+
+      // Resume from the pull's server time so edits made elsewhere while we
+      // were pushing are picked up next time
+      await StorageService.saveSyncState({ lastSyncedAt: syncedAt, cursor: pulled.server_time });
+      console.log(`History synced: ${changes} pulled, ${local.messages.length} pushed`);
+
+      this.setStatus({ syncing: false, lastSyncedAt: syncedAt, error: null, changes });
+      return changes;
+
+    } catch (error) {
+      console.error('History sync failed:', error);
+      this.setStatus({ syncing: false, error: error.message || 'Sync failed', changes: 0 });
+      throw error;
+    }
+  }
+}
+
+export default new SyncService();
@@ -2,7 +2,10 @@
  * Voice Service - Audio recording and playbook
  */
 import { Audio } from 'expo-av';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
+
+// Cache subdirectories where expo-av leaves finished recordings (Android, iOS)
+const RECORDING_DIRECTORIES = ['Audio', 'AV'];
 
 class VoiceService {
   constructor() {
@@ -124,6 +127,46 @@ class VoiceService {
     }
   }
 
+  /**
+   * Recordings left in the cache: [{ uri, size, modifiedAt }]. The one
+   * being recorded right now is skipped.
+   */
+  async listAudioCache() {
+    const activeUri = this.recording?.getURI();
+    const files = [];
+
+    for (const name of RECORDING_DIRECTORIES) {
+      const directory = `${FileSystem.cacheDirectory}${name}/`;
+      const info = await FileSystem.getInfoAsync(directory);
+      if (!info.exists || !info.isDirectory) continue;
+
+      for (const file of await FileSystem.readDirectoryAsync(directory)) {
+        const uri = directory + file;
+        if (uri === activeUri) continue;
+        const fileInfo = await FileSystem.getInfoAsync(uri);
+        if (fileInfo.exists && !fileInfo.isDirectory) {
+          files.push({ uri, size: fileInfo.size || 0, modifiedAt: fileInfo.modificationTime * 1000 });
+        }
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Delete cached recordings, optionally only those last modified before
+   * `olderThan` (ms timestamp). Resolves to { files, bytes } removed.
+   */
+  async clearAudioCache({ olderThan } = {}) {
+    const result = { files: 0, bytes: 0 };
+    for (const file of await this.listAudioCache()) {
+      if (olderThan && file.modifiedAt >= olderThan) continue;
+      await FileSystem.deleteAsync(file.uri, { idempotent: true });
+      result.files++;
+      result.bytes += file.size;
+    }
+    return result;
+  }
+
   async cleanup() {
     if (this.recording) {
       await this.recording.stopAndUnloadAsync();
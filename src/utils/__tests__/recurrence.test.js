@@ -0,0 +1,203 @@
+import {
+  parseRecurrence,
+  startRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+} from '../recurrence';
+
+// Wednesday, Oct 14 2026 at 2pm, local time (jest.config.js runs the tests
+// in a zone with daylight saving)
+const now = new Date(2026, 9, 14, 14, 0);
+
+const rule = (fields) => ({ interval: 1, until: null, hour: 9, minute: 0, start: '2026-01-01', ...fields });
+
+const HOUR = 60 * 60 * 1000;
+
+describe('parseRecurrence', () => {
+  it.each([
+    ['every day at 8am', { frequency: 'daily', hour: 8, minute: 0 }],
+    ['daily', { frequency: 'daily' }],
+    ['take vitamins each day', { frequency: 'daily' }],
+    ['every morning', { frequency: 'daily', hour: 9, minute: 0 }],
+    ['every evening at 7:30pm', { frequency: 'daily', hour: 19, minute: 30 }],
+    ['every other day', { frequency: 'daily', interval: 2 }],
+    ['every 3 days', { frequency: 'daily', interval: 3 }],
+    ['every weekday at 9am', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5], hour: 9 }],
+    ['on weekdays', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }],
+    ['on weekends', { frequency: 'weekly', weekdays: [0, 6] }],
+    ['weekly', { frequency: 'weekly' }],
+    ['every week on Monday', { frequency: 'weekly', weekdays: [1] }],
+    ['every 2 weeks', { frequency: 'weekly', interval: 2 }],
+    ['every month on the 15th', { frequency: 'monthly', dayOfMonth: 15 }],
+    ['on the 31st of every month', { frequency: 'monthly', dayOfMonth: 31 }],
+    ['monthly', { frequency: 'monthly' }],
+    ['every other month', { frequency: 'monthly', interval: 2 }],
+  ])('reads "%s"', (text, expected) => {
+    expect(parseRecurrence(text)).toMatchObject(expected);
+  });
+
+  it.each([
+    ['remind me every Monday and Thursday at 9am', { frequency: 'weekly', weekdays: [1, 4] }],
+    ['water the plants on Tuesdays', { frequency: 'weekly', weekdays: [2] }],
+    ['every other Friday', { frequency: 'weekly', weekdays: [5], interval: 2 }],
+    ['call grandma each Sunday', { frequency: 'weekly', weekdays: [0] }],
+  ])('reads named weekdays in "%s"', (text, expected) => {
+    expect(parseRecurrence(text)).toMatchObject(expected);
+  });
+
+  it.each([
+    'remind me on Monday to book flights for the holidays',
+    'on Friday, buy gifts for the birthdays',
+    'tomorrow at 5pm',
+    'call mom',
+    '',
+  ])('does not repeat "%s"', (text) => {
+    expect(parseRecurrence(text)).toBeNull();
+  });
+
+  it('reads an end date', () => {
+    expect(parseRecurrence('daily until 2026-12-31')).toMatchObject({
+      frequency: 'daily',
+      until: new Date(2026, 11, 31, 23, 59, 59).toISOString(),
+    });
+  });
+
+  it('ends on the next one of a named date', () => {
+    const until = new Date(parseRecurrence('every day at 7am until June 1').until);
+
+    expect([until.getMonth(), until.getDate(), until.getHours()]).toEqual([5, 1, 23]);
+    expect(until.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('takes the time from before "until"', () => {
+    expect(parseRecurrence('every day at 7am until June 1')).toMatchObject({ hour: 7, minute: 0 });
+  });
+
+  it('uses the user\'s times of day', () => {
+    const timeOfDay = { morning: { hour: 6, minute: 30 } };
+    expect(parseRecurrence('every morning', { timeOfDay })).toMatchObject({ hour: 6, minute: 30 });
+  });
+});
+
+describe('startRecurrence', () => {
+  it('starts the series today and finds the first occurrence', () => {
+    expect(startRecurrence({ frequency: 'daily', hour: 9, minute: 0 }, null, now)).toEqual({
+      rule: { frequency: 'daily', interval: 1, until: null, hour: 9, minute: 0, start: '2026-10-14' },
+      time: new Date(2026, 9, 15, 9),
+    });
+  });
+
+  it('takes the time and weekday the text left out from the fallback time', () => {
+    const { rule: complete, time } = startRecurrence({ frequency: 'weekly' }, new Date(2026, 9, 16, 18, 30), now);
+
+    expect(complete).toMatchObject({ weekdays: [5], hour: 18, minute: 30 });
+    expect(time).toEqual(new Date(2026, 9, 16, 18, 30));
+  });
+
+  it('takes the day of the month from today when there is no fallback', () => {
+    const { rule: complete, time } = startRecurrence({ frequency: 'monthly' }, null, now);
+
+    expect(complete).toMatchObject({ dayOfMonth: 14, hour: 9, minute: 0 });
+    // Today's 9am has gone by
+    expect(time).toEqual(new Date(2026, 10, 14, 9));
+  });
+});
+
+describe('nextOccurrence', () => {
+  it.each([
+    ['later today', rule({ frequency: 'daily' }), new Date(2026, 9, 14, 8), new Date(2026, 9, 14, 9)],
+    ['tomorrow once today\'s has gone by', rule({ frequency: 'daily' }), now, new Date(2026, 9, 15, 9)],
+    ['strictly after the given time', rule({ frequency: 'daily' }), new Date(2026, 9, 14, 9), new Date(2026, 9, 15, 9)],
+    ['every other day from the start', rule({ frequency: 'daily', interval: 2, start: '2026-10-14' }), now, new Date(2026, 9, 16, 9)],
+    ['not before the series starts', rule({ frequency: 'daily', start: '2026-11-20' }), now, new Date(2026, 10, 20, 9)],
+    ['the next weekday after a Friday', rule({ frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }), new Date(2026, 9, 16, 14), new Date(2026, 9, 19, 9)],
+    ['the next of several weekdays', rule({ frequency: 'weekly', weekdays: [1, 4] }), now, new Date(2026, 9, 15, 9)],
+    ['every other Friday, counted in weeks from the start', rule({ frequency: 'weekly', weekdays: [5], interval: 2, start: '2026-10-14' }), new Date(2026, 9, 16, 10), new Date(2026, 9, 30, 9)],
+    ['the day of the month', rule({ frequency: 'monthly', dayOfMonth: 20 }), now, new Date(2026, 9, 20, 9)],
+    ['next month once this one\'s has gone by', rule({ frequency: 'monthly', dayOfMonth: 10 }), now, new Date(2026, 10, 10, 9)],
+    ['every other month', rule({ frequency: 'monthly', dayOfMonth: 15, interval: 2, start: '2026-01-15' }), new Date(2026, 0, 15, 10), new Date(2026, 2, 15, 9)],
+  ])('finds %s', (_, recurrence, after, expected) => {
+    expect(nextOccurrence(recurrence, after)).toEqual(expected);
+  });
+
+  describe('at the end of the month', () => {
+    const lastDay = rule({ frequency: 'monthly', dayOfMonth: 31, start: '2026-01-31' });
+
+    it.each([
+      ['February', new Date(2026, 0, 31, 10), new Date(2026, 1, 28, 9)],
+      ['a 31-day month after February', new Date(2026, 1, 28, 10), new Date(2026, 2, 31, 9)],
+      ['a 30-day month', new Date(2026, 3, 1), new Date(2026, 3, 30, 9)],
+      ['a leap February', new Date(2028, 0, 31, 10), new Date(2028, 1, 29, 9)],
+    ])('rings on the last day of %s', (_, after, expected) => {
+      expect(nextOccurrence(lastDay, after)).toEqual(expected);
+    });
+  });
+
+  describe('across daylight saving changes', () => {
+    const daily = rule({ frequency: 'daily' });
+
+    it('keeps the clock time when the clocks go forward', () => {
+      const before = nextOccurrence(daily, new Date(2026, 2, 6, 10));
+      const after = nextOccurrence(daily, before);
+
+      expect(after).toEqual(new Date(2026, 2, 8, 9));
+      expect(after - before).toBe(23 * HOUR);
+    });
+
+    it('keeps the clock time when the clocks go back', () => {
+      const before = nextOccurrence(daily, new Date(2026, 9, 30, 10));
+      const after = nextOccurrence(daily, before);
+
+      expect(after).toEqual(new Date(2026, 10, 1, 9));
+      expect(after - before).toBe(25 * HOUR);
+    });
+
+    it('still rings on the day a time is skipped, once the clocks have moved', () => {
+      const early = rule({ frequency: 'daily', hour: 2, minute: 30 });
+      const occurrence = nextOccurrence(early, new Date(2026, 2, 7, 12));
+
+      expect(occurrence.getDate()).toBe(8);
+      expect([occurrence.getHours(), occurrence.getMinutes()]).toEqual([3, 30]);
+    });
+  });
+
+  describe('with an end date', () => {
+    const untilFriday = rule({ frequency: 'daily', until: new Date(2026, 9, 16, 23, 59, 59).toISOString() });
+
+    it('finds occurrences up to the end', () => {
+      expect(nextOccurrence(untilFriday, new Date(2026, 9, 15, 10))).toEqual(new Date(2026, 9, 16, 9));
+    });
+
+    it('returns null once the series has ended', () => {
+      expect(nextOccurrence(untilFriday, new Date(2026, 9, 16, 10))).toBeNull();
+      expect(nextOccurrence(untilFriday, new Date(2026, 9, 20))).toBeNull();
+    });
+  });
+});
+
+describe('describeRecurrence', () => {
+  it.each([
+    [rule({ frequency: 'daily' }), 'Every day at 9:00 AM'],
+    [rule({ frequency: 'daily', interval: 3 }), 'Every 3 days at 9:00 AM'],
+    [rule({ frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }), 'Every weekday at 9:00 AM'],
+    [rule({ frequency: 'weekly', weekdays: [0, 6] }), 'Every weekend at 9:00 AM'],
+    [rule({ frequency: 'weekly', weekdays: [1, 4], hour: 18, minute: 30 }), 'Every Monday and Thursday at 6:30 PM'],
+    [rule({ frequency: 'weekly', weekdays: [5], interval: 2 }), 'Every other Friday at 9:00 AM'],
+    [rule({ frequency: 'weekly', weekdays: [1, 3, 5], interval: 3 }), 'Every 3 weeks on Monday, Wednesday and Friday at 9:00 AM'],
+    [rule({ frequency: 'monthly', dayOfMonth: 1 }), 'Every month on the 1st at 9:00 AM'],
+    [rule({ frequency: 'monthly', dayOfMonth: 22, interval: 2 }), 'Every 2 months on the 22nd at 9:00 AM'],
+    [rule({ frequency: 'monthly', dayOfMonth: 11, hour: 0, minute: 5 }), 'Every month on the 11th at 12:05 AM'],
+  ])('describes %j', (recurrence, text) => {
+    expect(describeRecurrence(recurrence)).toBe(text);
+  });
+
+  it('mentions the end date', () => {
+    const until = new Date(2026, 11, 31, 23, 59, 59);
+    expect(describeRecurrence(rule({ frequency: 'daily', until: until.toISOString() })))
+      .toBe(`Every day at 9:00 AM until ${until.toLocaleDateString()}`);
+  });
+
+  it('describes no rule as nothing', () => {
+    expect(describeRecurrence(null)).toBe('');
+  });
+});
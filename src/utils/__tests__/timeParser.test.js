@@ -0,0 +1,166 @@
+import { parseTimeExpression, describeTime, TIME_OF_DAY_DEFAULTS } from '../timeParser';
+
+// Wednesday, Oct 14 2026 at 2pm, local time
+const now = new Date(2026, 9, 14, 14, 0);
+
+const on = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+const later = (ms) => new Date(now.getTime() + ms);
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('parseTimeExpression', () => {
+  it.each([
+    ['in 10 minutes', on(14, 14, 10)],
+    ['in 45 mins', on(14, 14, 45)],
+    ['45 mins from now', on(14, 14, 45)],
+    ['in 30 seconds', later(30 * 1000)],
+    ['in half an hour', on(14, 14, 30)],
+    ['in a quarter of an hour', on(14, 14, 15)],
+    ['in an hour and a half', on(14, 15, 30)],
+    ['in 1.5 hours', on(14, 15, 30)],
+    ['in 2 and a half hours', on(14, 16, 30)],
+    ['in a couple of hours', on(14, 16)],
+    ['2 hours 30 minutes', on(14, 16, 30)],
+    ['in 2 hours 30 minutes', on(14, 16, 30)],
+    ['in 2 hours and 15 minutes', on(14, 16, 15)],
+    ['in 1 day and 2 hours', on(15, 16)],
+    ['in 2 days', on(16, 14)],
+    ['in three days', on(17, 14)],
+    ['after 3 days', on(17, 14)],
+    ['in 2 weeks', on(28, 14)],
+    ['3 hours later', later(3 * HOUR)],
+  ])('reads the offset "%s"', (text, date) => {
+    expect(parseTimeExpression(text, { now })).toEqual({ date, ambiguous: false, alternatives: [], anchor: 'absolute' });
+  });
+
+  it.each([
+    // Days
+    ['tomorrow at 5pm', on(15, 17)],
+    ['in 2 days at 5pm', on(16, 17)],
+    ['day after tomorrow at 10am', on(16, 10)],
+    ['today at 5pm', on(14, 17)],
+    ['tomorrow morning', on(15, 9)],
+    ['tomorrow afternoon', on(15, 15)],
+    ['this evening', on(14, 18)],
+    ['tonight', on(14, 20)],
+    ['at 8 tonight', on(14, 20)],
+    ['next Monday morning', on(19, 9)],
+    ['next Monday at 9am', on(19, 9)],
+    ['this Friday at 6pm', on(16, 18)],
+    ['Friday at 6pm', on(16, 18)],
+    // Today's has gone by, so next week's
+    ['Wednesday at 9am', on(21, 9)],
+    // Month and day
+    ['june 5 at 3pm', new Date(2027, 5, 5, 15)],
+    ['5th of november at 9am', new Date(2026, 10, 5, 9)],
+    ['jan 3, 2027 at 8am', new Date(2027, 0, 3, 8)],
+    ['2026-11-20 at 17:30', new Date(2026, 10, 20, 17, 30)],
+    ['on the 15th at 10am', on(15, 10)],
+    ['on the 2nd at 10am', new Date(2026, 10, 2, 10)],
+    // Clock times
+    ['at 5pm', on(14, 17)],
+    ['6:45 PM', on(14, 18, 45)],
+    ['6:45 p.m.', on(14, 18, 45)],
+    ['at 17:30', on(14, 17, 30)],
+    ['at 1730', on(14, 17, 30)],
+    ['at 05:30', on(15, 5, 30)],
+    ['at 3 in the afternoon', on(14, 15)],
+    ['at 7 in the morning', on(15, 7)],
+    ['at noon', on(15, 12)],
+    ['tomorrow at noon', on(15, 12)],
+    ['at midday', on(15, 12)],
+    ['at midnight', on(15, 0)],
+  ])('reads "%s"', (text, date) => {
+    expect(parseTimeExpression(text, { now })).toEqual({ date, ambiguous: false, alternatives: [], anchor: 'wall' });
+  });
+
+  it.each([
+    // AM or PM, most likely first; 7-11 lean morning, 12-6 afternoon
+    ['wake me up at 6', on(14, 18), [on(15, 6)]],
+    ['at 5 o\'clock', on(14, 17), [on(15, 5)]],
+    ['at 12:30', on(15, 12, 30), [on(15, 0, 30)]],
+    ['at 9', on(15, 9), [on(14, 21)]],
+    ['at seven', on(15, 7), [on(14, 19)]],
+    ['at 930', on(15, 9, 30), [on(14, 21, 30)]],
+    ['tomorrow at 3', on(15, 15), [on(15, 3)]],
+    // This week's or the one after
+    ['next Friday at 6pm', on(16, 18), [on(23, 18)]],
+    // Today's, or next week's
+    ['Wednesday at 5pm', on(14, 17), [on(21, 17)]],
+    // A day with no time
+    ['tomorrow', on(15, 9), []],
+    ['Dec 25', new Date(2026, 11, 25, 9), []],
+    ['next week', on(21, 9), []],
+  ])('flags "%s" as a guess', (text, date, alternatives) => {
+    expect(parseTimeExpression(text, { now })).toEqual({ date, ambiguous: true, alternatives, anchor: 'wall' });
+  });
+
+  it('returns a time that has passed as is, for the caller to reject', () => {
+    expect(parseTimeExpression('today at 8am', { now }))
+      .toEqual({ date: on(14, 8), ambiguous: false, alternatives: [], anchor: 'wall' });
+  });
+
+  it.each([
+    [''],
+    ['tell me a joke'],
+    ['set alarm for 7'],
+    ['remind me to call room 12'],
+    ['pay rent 500'],
+    ['look at 3 options'],
+    ['book the 2 hour meeting'],
+  ])('finds no time in "%s"', (text) => {
+    expect(parseTimeExpression(text, { now })).toBeNull();
+  });
+
+  it('reads a full timestamp as an instant', () => {
+    expect(parseTimeExpression('2026-10-20T08:15:00.000Z', { now })).toEqual({
+      date: new Date('2026-10-20T08:15:00.000Z'),
+      ambiguous: false,
+      alternatives: [],
+      anchor: 'absolute',
+    });
+  });
+
+  it('reads other date strings only when lenient', () => {
+    expect(parseTimeExpression('11/03/2026', { now })).toBeNull();
+    expect(parseTimeExpression('11/03/2026', { now, lenient: true }))
+      .toMatchObject({ date: new Date(2026, 10, 3), ambiguous: false });
+  });
+
+  describe('with the user\'s times of day', () => {
+    const timeOfDay = {
+      ...TIME_OF_DAY_DEFAULTS,
+      morning: { hour: 7, minute: 30 },
+      tonight: { hour: 22, minute: 0 },
+    };
+
+    it.each([
+      ['tomorrow morning', on(15, 7, 30), false],
+      ['tonight', on(14, 22), false],
+      ['this afternoon', on(14, 15), false],
+      // A day with no time rings at the start of the morning
+      ['tomorrow', on(15, 7, 30), true],
+    ])('reads "%s"', (text, date, ambiguous) => {
+      expect(parseTimeExpression(text, { now, timeOfDay })).toMatchObject({ date, ambiguous });
+    });
+  });
+});
+
+describe('describeTime', () => {
+  it.each([
+    [on(14, 17), 'today at 5:00 PM'],
+    [on(15, 9, 5), 'tomorrow at 9:05 AM'],
+    [on(15, 0, 30), 'tomorrow at 12:30 AM'],
+    [on(15, 12), 'tomorrow at 12:00 PM'],
+  ])('describes %s', (date, text) => {
+    expect(describeTime(date, now)).toBe(text);
+  });
+
+  it('names the weekday and date further out', () => {
+    expect(describeTime(on(19, 9), now)).toMatch(/Monday.*Oct.*19.* at 9:00 AM$/);
+  });
+
+  it('adds the year outside this one', () => {
+    expect(describeTime(new Date(2027, 0, 3, 8), now)).toMatch(/2027.* at 8:00 AM$/);
+  });
+});
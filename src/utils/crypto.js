@@ -0,0 +1,64 @@
+/**
+ * Crypto Utilities - Passphrase key derivation and authenticated encryption
+ *
+ * AES-256-GCM and PBKDF2-SHA256 from @noble (pure JS, runs on Hermes);
+ * randomness comes from the platform via expo-crypto.
+ */
+import * as Crypto from 'expo-crypto';
+import { gcm } from '@noble/ciphers/aes';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+
+export const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const SALT_LENGTH = 16;
+export const DEFAULT_KDF_ITERATIONS = 100000;
+
+export const randomBytes = (length) => Crypto.getRandomBytes(length);
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export const generateSalt = () => bytesToBase64(randomBytes(SALT_LENGTH));
+
+/**
+ * Derive a 256-bit key from a passphrase. Slow on purpose; the iteration
+ * count is stored alongside the salt so it can be raised later.
+ */
+export const deriveKey = (passphrase, salt, iterations = DEFAULT_KDF_ITERATIONS) =>
+  pbkdf2Async(sha256, utf8ToBytes(passphrase), base64ToBytes(salt), {
+    c: iterations,
+    dkLen: KEY_LENGTH,
+  });
+
+/**
+ * Encrypt a string. Returns base64 `nonce` and `data` (ciphertext + tag).
+ */
+export const encrypt = (key, plaintext) => {
+  const nonce = randomBytes(NONCE_LENGTH);
+  const data = gcm(key, nonce).encrypt(utf8ToBytes(plaintext));
+  return { nonce: bytesToBase64(nonce), data: bytesToBase64(data) };
+};
+
+/**
+ * Decrypt what `encrypt` produced. Throws if the key is wrong or the data
+ * was modified.
+ */
+export const decrypt = (key, { nonce, data }) =>
+  bytesToUtf8(gcm(key, base64ToBytes(nonce)).decrypt(base64ToBytes(data)));
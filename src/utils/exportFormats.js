@@ -0,0 +1,238 @@
+/**
+ * Export Formats - Serializers for exported chat history
+ *
+ * Each format turns an export (see buildExport) into file contents. Add a
+ * format by adding an entry to EXPORT_FORMATS; the export dialog lists
+ * whatever is registered here.
+ */
+
+export const EXPORT_FORMAT_NAME = 'jarvis-history';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Group messages under their conversations, oldest first. Messages whose
+ * thread is missing get a placeholder so nothing is dropped.
+ */
+export const buildExport = ({ conversations, messages, scopeLabel }) => {
+  const byId = new Map(conversations.map((c) => [c.id, { ...c, messages: [] }]));
+
+  messages.forEach((message) => {
+    if (!byId.has(message.conversationId)) {
+      byId.set(message.conversationId, {
+        id: message.conversationId,
+        title: 'Conversation',
+        createdAt: message.timestamp,
+        updatedAt: message.timestamp,
+        messages: [],
+      });
+    }
+    byId.get(message.conversationId).messages.push(message);
+  });
+
+  const threads = [...byId.values()]
+    .filter((c) => c.messages.length > 0)
+    .sort((a, b) => a.messages[0].timestamp.localeCompare(b.messages[0].timestamp));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    scopeLabel,
+    messageCount: messages.length,
+    conversations: threads,
+  };
+};
+
+const roleName = (message) => (message.isUser ? 'You' : 'JARVIS');
+const formatTime = (iso) => new Date(iso).toLocaleString();
+
+const toMarkdown = (data) => {
+  const lines = [
+    '# JARVIS Chat History',
+    '',
+    `_${data.scopeLabel} · ${data.messageCount} messages · exported ${formatTime(data.exportedAt)}_`,
+  ];
+
+  data.conversations.forEach((conversation) => {
+    lines.push('', `## ${conversation.title}`, '');
+    conversation.messages.forEach((message) => {
+      lines.push(`**${roleName(message)}** — ${formatTime(message.timestamp)}`, '');
+      // Assistant replies are already Markdown; keep them as written
+      lines.push(message.text, '', '---', '');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+// Every message field, so an import restores exactly what was exported
+const toJson = (data) => JSON.stringify({
+  format: EXPORT_FORMAT_NAME,
+  version: EXPORT_FORMAT_VERSION,
+  exportedAt: data.exportedAt,
+  scope: data.scopeLabel,
+  conversations: data.conversations.map(({ messages, messageCount, lastMessage, ...conversation }) => conversation),
+  messages: data.conversations.flatMap((conversation) => conversation.messages),
+}, null, 2);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Inline Markdown: code, bold, italics and links
+const renderInline = (text) => escapeHtml(text)
+  .replace(/`([^`]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+  .replace(/\[([^\]]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+// Enough Markdown for chat replies: fenced code, headings, lists, paragraphs
+const renderMarkdown = (text) => {
+  const html = [];
+  let list = null;
+  let code = null;
+
+  const closeList = () => {
+    if (list) {
+      html.push(`</${list}>`);
+      list = null;
+    }
+  };
+
+  text.split('\n').forEach((line) => {
+    if (line.trim().startsWith('```')) {
+      if (code) {
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        code = null;
+      } else {
+        closeList();
+        code = [];
+      }
+      return;
+    }
+    if (code) {
+      code.push(line);
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      html.push(`<li>${renderInline((bullet || numbered)[1])}</li>`);
+      return;
+    }
+
+    closeList();
+    if (heading) {
+      const level = Math.min(heading[1].length + 2, 6);
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (line.trim()) {
+      html.push(`<p>${renderInline(line)}</p>`);
+    }
+  });
+
+  if (code) html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  closeList();
+  return html.join('\n');
+};
+
+// Matches the app's dark theme (src/theme)
+const HTML_STYLES = `
+  body { margin: 0; padding: 24px; background: #0A0E27; color: #FFFFFF;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+  main { max-width: 760px; margin: 0 auto; }
+  h1 { color: #00D9FF; margin-bottom: 4px; }
+  h2 { color: #00D9FF; border-bottom: 1px solid #1F2847; padding-bottom: 6px; margin-top: 40px; }
+  .meta { color: #B8C5D6; font-size: 13px; }
+  .message { margin: 12px 0; padding: 12px 16px; border-radius: 14px; max-width: 85%; }
+  .user { margin-left: auto; background: #00D9FF; color: #0A0E27; }
+  .assistant { background: #1F2847; }
+  .role { font-weight: 600; font-size: 13px; margin-bottom: 4px; }
+  .message p { margin: 4px 0; white-space: pre-wrap; }
+  pre { background: #0A0E27; padding: 10px; border-radius: 8px; overflow-x: auto; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 13px; }
+  a { color: inherit; }
+`;
+
+const toHtml = (data) => {
+  const sections = data.conversations.map((conversation) => {
+    const messages = conversation.messages.map((message) => `
+      <div class="message ${message.isUser ? 'user' : 'assistant'}">
+        <div class="role">${roleName(message)} <span class="meta">${escapeHtml(formatTime(message.timestamp))}</span></div>
+        ${message.isUser ? `<p>${escapeHtml(message.text)}</p>` : renderMarkdown(message.text)}
+      </div>`).join('');
+    return `<section><h2>${escapeHtml(conversation.title)}</h2>${messages}</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>JARVIS Chat History</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>JARVIS Chat History</h1>
+<div class="meta">${escapeHtml(data.scopeLabel)} · ${data.messageCount} messages · exported ${escapeHtml(formatTime(data.exportedAt))}</div>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+};
+
+export const EXPORT_FORMATS = {
+  markdown: {
+    label: 'Markdown',
+    extension: 'md',
+    mimeType: 'text/markdown',
+    serialize: toMarkdown,
+  },
+  json: {
+    label: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: toJson,
+  },
+  html: {
+    label: 'HTML',
+    extension: 'html',
+    mimeType: 'text/html',
+    serialize: toHtml,
+  },
+};
+
+/**
+ * Read a JSON export back into { conversations, messages }. Throws if the
+ * file isn't one of ours or comes from a newer version of the app.
+ */
+export const parseJsonExport = (contents) => {
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data?.format !== EXPORT_FORMAT_NAME || !Array.isArray(data.messages)) {
+    throw new Error('The file is not a JARVIS history export');
+  }
+  if (data.version > EXPORT_FORMAT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app');
+  }
+
+  return {
+    conversations: Array.isArray(data.conversations) ? data.conversations : [],
+    messages: data.messages.filter((m) => m && typeof m.text === 'string' && m.timestamp),
+  };
+};
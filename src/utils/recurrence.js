@@ -0,0 +1,242 @@
+/**
+ * Recurrence Utilities - Repeat rules for reminders
+ *
+ * A rule is stored on the reminder as `recurrence`:
+ *   { frequency: 'daily' | 'weekly' | 'monthly', interval, weekdays,
+ *     dayOfMonth, hour, minute, start, until }
+ * `weekdays` (0 = Sunday) is only used by weekly rules and `dayOfMonth` by
+ * monthly ones. `start` is the local date the series began, which `interval`
+ * counts from; `until` optionally ends the series. The backend is only
+ * given the next occurrence, and the one after it is worked out when it
+ * fires; on the device a few are armed ahead (see ReminderService.scheduleLocal).
+ */
+import { parseClockTime, formatTimeOfDay } from './timeParser';
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WEEKEND = [0, 6];
+const DEFAULT_HOUR = 9;
+
+// Upper bound on days searched for the next occurrence (a yearly-ish
+// monthly rule needs a little over 366)
+const MAX_SEARCH_DAYS = 366 * 12;
+
+const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+// Days between two local dates, ignoring the time and any DST shift
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+      Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000
+  );
+
+const monthsBetween = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+const localDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const matchesDay = (rule, day, start) => {
+  const interval = rule.interval || 1;
+  switch (rule.frequency) {
+    case 'daily':
+      return daysBetween(start, day) % interval === 0;
+    case 'weekly': {
+      // Count whole weeks from the Sunday the series started in
+      const weeks = Math.floor((daysBetween(start, day) + start.getDay()) / 7);
+      return rule.weekdays.includes(day.getDay()) && weeks % interval === 0;
+    }
+    case 'monthly':
+      // A rule for the 31st fires on the last day of shorter months
+      return day.getDate() === Math.min(rule.dayOfMonth, daysInMonth(day))
+        && monthsBetween(start, day) % interval === 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * The first occurrence strictly after `after`, or null once the series has
+ * ended.
+ */
+export const nextOccurrence = (rule, after = new Date()) => {
+  const start = localDate(rule.start);
+  const day = new Date(Math.max(after.getTime(), start.getTime()));
+  day.setHours(0, 0, 0, 0);
+  const until = rule.until ? new Date(rule.until) : null;
+  if (until && after >= until) return null;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (matchesDay(rule, day, start)) {
+      const occurrence = new Date(day);
+      occurrence.setHours(rule.hour, rule.minute, 0, 0);
+      if (until && occurrence > until) return null;
+      if (occurrence > after) return occurrence;
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return null;
+};
+
+/**
+ * Fill in what the text left out (time of day, which weekday or day of the
+ * month) from `fallbackTime`, and anchor the series on today. Resolves to
+ * the complete rule and its first occurrence.
+ */
+export const startRecurrence = (rule, fallbackTime = null, now = new Date()) => {
+  const base = fallbackTime || now;
+  const complete = {
+    interval: 1,
+    until: null,
+    ...rule,
+    hour: rule.hour ?? (fallbackTime ? base.getHours() : DEFAULT_HOUR),
+    minute: rule.minute ?? (fallbackTime ? base.getMinutes() : 0),
+    start: toIsoDate(now),
+  };
+  if (complete.frequency === 'weekly' && !complete.weekdays?.length) {
+    complete.weekdays = [base.getDay()];
+  }
+  if (complete.frequency === 'monthly' && !complete.dayOfMonth) {
+    complete.dayOfMonth = base.getDate();
+  }
+
+  return { rule: complete, time: nextOccurrence(complete, now) };
+};
+
+const parseTimeOfDay = (text, timeOfDay) => {
+  const clock = parseClockTime(text, timeOfDay);
+  return clock ? clock.times[0] : {};
+};
+
+// "until 2026-12-31", "until June 1" or "until the 1st of June 2027"
+const parseUntil = (text) => {
+  const phrase = text.match(/\buntil\s+(?:the\s+)?([^,.!?]+)/)?.[1];
+  if (!phrase) return null;
+
+  const iso = phrase.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3], 23, 59, 59).toISOString();
+
+  const month = MONTH_NAMES.findIndex((name) => new RegExp(`\\b${name.slice(0, 3)}[a-z]*\\b`).test(phrase));
+  const day = phrase.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b(?!:)/);
+  if (month === -1 || !day) return null;
+
+  const now = new Date();
+  const year = phrase.match(/\b(\d{4})\b/)?.[1];
+  const until = new Date(year ? +year : now.getFullYear(), month, +day[1], 23, 59, 59);
+  if (!year && until < now) until.setFullYear(until.getFullYear() + 1);
+  return until.toISOString();
+};
+
+/**
+ * Read a repeat rule out of a reminder request, e.g. "every weekday at 9am",
+ * "every other Friday", "on the 15th of every month", "daily until June 1".
+ * Returns null when the text doesn't ask for a repeat. The rule is partial;
+ * pass it through startRecurrence before storing it. `timeOfDay` overrides
+ * the hours used for "every morning" and the like.
+ */
+export const parseRecurrence = (text, { timeOfDay } = {}) => {
+  const lower = (text || '').toLowerCase();
+  let rule = null;
+
+  const interval = lower.match(/\bevery\s+(\d+)\s+(day|week|month)s\b/);
+  const everyOther = lower.match(/\bevery\s+other\s+(day|week|month)\b/);
+  // "every Monday and Thursday", "on Tuesdays"
+  const named = WEEKDAY_NAMES.filter((name) => new RegExp(`\\b${name}s?\\b`).test(lower));
+  const repeatsOnNamedDays = /\b(?:every|each)\s+(?:other\s+)?(?:sun|mon|tues|wednes|thurs|fri|satur)day\b|\b(?:sun|mon|tues|wednes|thurs|fri|satur)days\b/.test(lower);
+
+  if (/\b(?:every|each)\s+week\s*days?\b|\bweekdays\b/.test(lower)) {
+    rule = { frequency: 'weekly', weekdays: WEEKDAYS };
+  } else if (/\b(?:every|each)\s+weekend\b|\bweekends\b/.test(lower)) {
+    rule = { frequency: 'weekly', weekdays: WEEKEND };
+  } else if (named.length > 0 && repeatsOnNamedDays) {
+    rule = { frequency: 'weekly', weekdays: named.map((name) => WEEKDAY_NAMES.indexOf(name)) };
+    if (/\bevery\s+other\b/.test(lower)) rule.interval = 2;
+  } else if (interval || everyOther) {
+    const unit = interval ? interval[2] : everyOther[1];
+    rule = {
+      frequency: { day: 'daily', week: 'weekly', month: 'monthly' }[unit],
+      interval: interval ? parseInt(interval[1], 10) : 2,
+    };
+  } else if (/\b(?:every|each)\s+(?:day|morning|afternoon|evening|night)\b|\bdaily\b|\bnightly\b/.test(lower)) {
+    rule = { frequency: 'daily' };
+  } else if (/\b(?:every|each)\s+week\b|\bweekly\b/.test(lower)) {
+    rule = { frequency: 'weekly' };
+  } else if (/\b(?:every|each)\s+month\b|\bmonthly\b/.test(lower)) {
+    rule = { frequency: 'monthly' };
+  }
+  if (!rule) return null;
+
+  // "every week on Monday"
+  if (rule.frequency === 'weekly' && !rule.weekdays && named.length > 0) {
+    rule.weekdays = named.map((name) => WEEKDAY_NAMES.indexOf(name));
+  }
+  if (rule.frequency === 'monthly') {
+    const day = lower.match(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b/);
+    if (day && +day[1] >= 1 && +day[1] <= 31) rule.dayOfMonth = +day[1];
+  }
+
+  const until = parseUntil(lower);
+  return {
+    ...rule,
+    ...parseTimeOfDay(lower.replace(/\buntil\b.*$/, ''), timeOfDay),
+    ...(until && { until }),
+  };
+};
+
+/**
+ * "Every weekday at 9:00 AM", "Every 2 weeks on Monday and Friday at 6:30 PM"
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+  const interval = rule.interval || 1;
+  let description;
+
+  switch (rule.frequency) {
+    case 'daily':
+      description = interval === 1 ? 'Every day' : `Every ${interval} days`;
+      break;
+    case 'weekly': {
+      const days = [...rule.weekdays].sort().join(',');
+      if (interval === 1 && days === WEEKDAYS.join(',')) {
+        description = 'Every weekday';
+      } else if (interval === 1 && days === WEEKEND.join(',')) {
+        description = 'Every weekend';
+      } else {
+        const names = rule.weekdays.map((day) => capitalize(WEEKDAY_NAMES[day]));
+        const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+        description = interval === 1 ? `Every ${list}`
+          : interval === 2 ? `Every other ${list}`
+          : `Every ${interval} weeks on ${list}`;
+      }
+      break;
+    }
+    case 'monthly':
+      description = `${interval === 1 ? 'Every month' : `Every ${interval} months`} on the ${ordinal(rule.dayOfMonth)}`;
+      break;
+    default:
+      return '';
+  }
+
+  description += ` at ${formatTimeOfDay(rule.hour, rule.minute)}`;
+  if (rule.until) {
+    description += ` until ${new Date(rule.until).toLocaleDateString()}`;
+  }
+  return description;
+};
@@ -2,68 +2,27 @@
  * Reminder Utilities - Helper functions for reminder management
  */
 import * as Notifications from 'expo-notifications';
+import { parseTimeExpression } from './timeParser';
 
-// Parse various time formats and return a proper Date object
-export const parseReminderTime = (timeString) => {
-  try {
-    // Handle relative time formats
-    if (timeString.includes('minutes') || timeString.includes('minute')) {
-      const minutes = parseInt(timeString.match(/\d+/)?.[0] || '0');
-      const futureTime = new Date();
-      futureTime.setMinutes(futureTime.getMinutes() + minutes);
-      return futureTime;
-    }
-    
-    if (timeString.includes('hours') || timeString.includes('hour')) {
-      const hours = parseInt(timeString.match(/\d+/)?.[0] || '0');
-      const futureTime = new Date();
-      futureTime.setHours(futureTime.getHours() + hours);
-      return futureTime;
-    }
-    
-    if (timeString.includes('seconds') || timeString.includes('second')) {
-      const seconds = parseInt(timeString.match(/\d+/)?.[0] || '0');
-      const futureTime = new Date();
-      futureTime.setSeconds(futureTime.getSeconds() + seconds);
-      return futureTime;
-    }
-
-    // Try parsing as ISO string or standard date format
-    const parsedDate = new Date(timeString);
-    if (!isNaN(parsedDate.getTime())) {
-      return parsedDate;
-    }
+// Notification category carrying the Snooze and Done buttons (registered by
+// FirebaseNotificationService.setupReminderCategory). The backend is sent
+// its id with each reminder so delivered pushes show them too.
+export const REMINDER_CATEGORY = 'reminder';
 
-    // Parse time formats like "14:30", "2:30 PM", etc.
-    const timeRegex = /(\d{1,2}):(\d{2})\s*(AM|PM)?/i;
-    const match = timeString.match(timeRegex);
-    if (match) {
-      let hours = parseInt(match[1]);
-      const minutes = parseInt(match[2]);
-      const ampm = match[3]?.toUpperCase();
-      
-      if (ampm === 'PM' && hours !== 12) hours += 12;
-      if (ampm === 'AM' && hours === 12) hours = 0;
-      
-      const targetTime = new Date();
-      targetTime.setHours(hours, minutes, 0, 0);
-      
-      // If the time has passed today, set it for tomorrow
-      if (targetTime <= new Date()) {
-        targetTime.setDate(targetTime.getDate() + 1);
-      }
-      
-      return targetTime;
-    }
-
-    return null;
+// Parse a time like "in 2 hours", "tomorrow at 5pm" or "17:30" into a
+// Date, or null. See parseTimeExpression for the options and for when the
+// reading was a guess.
+export const parseReminderTime = (timeString, options) => {
+  try {
+    return parseTimeExpression(timeString, options)?.date || null;
   } catch (error) {
     console.error('Error parsing reminder time:', error);
     return null;
   }
 };
 
-// Schedule a notification for a reminder
+// Schedule a notification for a reminder on the device itself, at its
+// exact time. Resolves to the notification id (the reminder's `localId`).
 export const scheduleNotification = async (reminder) => {
   try {
     const reminderTime = new Date(reminder.time);
@@ -73,21 +32,25 @@ export const scheduleNotification = async (reminder) => {
       throw new Error('Cannot schedule reminder for past time');
     }
 
-    const secondsUntilReminder = Math.floor((reminderTime.getTime() - now.getTime()) / 1000);
-    
+    const { granted } = await Notifications.getPermissionsAsync();
+    if (!granted && !(await Notifications.requestPermissionsAsync()).granted) {
+      throw new Error('Notification permission not granted');
+    }
+
     const notificationId = await Notifications.scheduleNotificationAsync({
       content: {
         title: '⏰ JARVIS Reminder',
-        body: reminder.originalText,
+        body: reminder.text || reminder.originalText,
         sound: 'default',
-        categoryIdentifier: 'reminder',
+        categoryIdentifier: REMINDER_CATEGORY,
         data: {
           reminderId: reminder.id,
           type: 'reminder',
         },
       },
       trigger: {
-        seconds: secondsUntilReminder,
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: reminderTime,
       },
     });
 
@@ -146,7 +109,7 @@ export const getScheduledReminderNotifications = async () => {
   try {
     const notifications = await Notifications.getAllScheduledNotificationsAsync();
     return notifications.filter(notification => 
-      notification.content.categoryIdentifier === 'reminder'
+      notification.content.categoryIdentifier === REMINDER_CATEGORY
     );
   } catch (error) {
     console.error('Error getting scheduled notifications:', error);
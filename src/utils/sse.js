@@ -0,0 +1,72 @@
+/**
+ * Server-Sent Events parser for incremental HTTP responses
+ */
+
+// Create a parser that can be fed arbitrary text chunks and calls
+// `onEvent({ event, data })` for every complete event in the stream.
+export const createSSEParser = (onEvent) => {
+  let buffer = '';
+  let eventName = null;
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({
+        event: eventName || 'message',
+        data: dataLines.join('\n'),
+      });
+    }
+    eventName = null;
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Comment / keep-alive line
+    if (line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  };
+
+  return {
+    feed(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      // Last entry is an incomplete line (or empty string)
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+
+    flush() {
+      if (buffer) {
+        processLine(buffer);
+        buffer = '';
+      }
+      dispatch();
+    },
+  };
+};
+
+// Parse an SSE data payload, returning the raw string if it is not JSON
+export const parseEventData = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
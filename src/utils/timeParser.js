@@ -0,0 +1,335 @@
+/**
+ * Time Parser - Works out when a reminder should ring from free text
+ *
+ * Understands offsets ("in 2 days", "in an hour and a half", "2 hours 30
+ * minutes"), days ("tomorrow", "next Monday", "June 5", "on the 15th"),
+ * clock times ("5pm", "17:30", "at 1730") and vague times of day ("morning",
+ * "tonight"), whose hours come from the user's settings. The result says
+ * when it had to guess, so the chat can ask "did you mean ...?" first.
+ */
+
+// Hours used for vague times of day until the user picks their own
+export const TIME_OF_DAY_DEFAULTS = {
+  morning: { hour: 9, minute: 0 },
+  afternoon: { hour: 15, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  tonight: { hour: 20, minute: 0 },
+  night: { hour: 21, minute: 0 },
+};
+
+// Choices offered in Settings for each vague time of day
+export const TIME_OF_DAY_OPTIONS = {
+  morning: [6, 7, 8, 9, 10].map((hour) => ({ hour, minute: 0 })),
+  afternoon: [12, 13, 14, 15, 16].map((hour) => ({ hour, minute: 0 })),
+  evening: [17, 18, 19, 20].map((hour) => ({ hour, minute: 0 })),
+  tonight: [19, 20, 21, 22].map((hour) => ({ hour, minute: 0 })),
+  night: [20, 21, 22, 23].map((hour) => ({ hour, minute: 0 })),
+};
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_PATTERN =
+  '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, fifty: 50,
+};
+const HOUR_WORDS = Object.keys(NUMBER_WORDS).filter((word) => NUMBER_WORDS[word] <= 12 && word.length > 2);
+
+const UNITS = 'seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|wks?';
+const DURATION = `(\\d+(?:\\.\\d+)?)\\s*(${UNITS})\\b(\\s+and\\s+a\\s+half)?`;
+const DURATION_CHAIN = `(?:\\d+(?:\\.\\d+)?\\s*(?:${UNITS})\\b(?:\\s+and\\s+a\\s+half)?(?:\\s*,?\\s*(?:and\\s+)?(?=\\d))?)+`;
+// "in 2 hours 30 minutes", "after 3 days", "45 mins from now"
+const OFFSET_PATTERN = new RegExp(`(\\b(?:in|after)\\s+)?(${DURATION_CHAIN})(\\s+(?:from now|later))?`);
+
+const UNIT_MS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000 };
+
+// What a bare hour is followed by when it's a time ("at 5 tomorrow") rather
+// than something else ("look at 3 options")
+const AFTER_BARE_HOUR = "(?=\\s*(?:$|[,.!?]|o'?clock|in the|on|tomorrow|today|tonight|this|next|to|and|then|for))";
+
+// Full timestamps, e.g. from the intent classifier, need no guessing
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+const MERIDIEM_OF_PERIOD = { morning: 'am', afternoon: 'pm', evening: 'pm', tonight: 'pm', night: 'pm' };
+
+export const formatTimeOfDay = (hour, minute) =>
+  `${hour % 12 || 12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+
+const startOfDay = (date, addDays = 0) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + addDays);
+  return day;
+};
+
+const at = (day, { hour, minute }) => {
+  const date = new Date(day);
+  date.setHours(hour, minute, 0, 0);
+  return date;
+};
+
+const unitOf = (word) =>
+  ({ s: 'second', m: 'minute', h: 'hour', d: 'day', w: 'week' })[word[0]];
+
+// Lower-case, and spell numbers and fractions the way the patterns expect
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/([ap])\.m\.?/g, '$1m')
+    .replace(/\b(?:half an?|a half)\s+hour\b/g, '30 minutes')
+    .replace(/\b(?:a\s+)?quarter\s+(?:of\s+)?an?\s+hour\b/g, '15 minutes')
+    .replace(/\ba\s+couple(?:\s+of)?\b/g, '2')
+    .replace(
+      new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})(?=\\s+(?:and\\s+a\\s+half\\s+)?(?:${UNITS})\\b)`, 'g'),
+      (word) => String(NUMBER_WORDS[word])
+    )
+    .replace(/\b(\d+)\s+and\s+a\s+half\s+(?=[a-z])/g, (_, n) => `${n}.5 `)
+    .replace(new RegExp(`\\bat\\s+(${HOUR_WORDS.join('|')})\\b`, 'g'), (_, word) => `at ${NUMBER_WORDS[word]}`)
+    .replace(
+      new RegExp(`\\b(${HOUR_WORDS.join('|')})(?=\\s*(?:o'?clock|am|pm)\\b)`, 'g'),
+      (word) => String(NUMBER_WORDS[word])
+    );
+
+// Relative offsets; days and weeks move the calendar date so they keep the
+// wall-clock time across DST changes
+const parseOffset = (text) => {
+  const match = text.match(OFFSET_PATTERN);
+  if (!match) return null;
+  const [phrase, lead, chain, trail] = match;
+  // "3 days" on its own is an offset, but "the 2 hour meeting" is not
+  if (!lead && !trail && phrase.trim() !== text.trim()) return null;
+
+  let days = 0;
+  let ms = 0;
+  for (const part of chain.matchAll(new RegExp(DURATION, 'g'))) {
+    const amount = parseFloat(part[1]) + (part[3] ? 0.5 : 0);
+    const unit = unitOf(part[2]);
+    if (unit === 'day' || unit === 'week') {
+      const total = unit === 'week' ? amount * 7 : amount;
+      days += Math.floor(total);
+      ms += (total - Math.floor(total)) * 24 * UNIT_MS.hour;
+    } else {
+      ms += amount * UNIT_MS[unit];
+    }
+  }
+  return { phrase, days, ms };
+};
+
+/**
+ * The day a request names, as { days, vague } where `days` lists candidate
+ * local midnights, best first. Null when no day is mentioned.
+ */
+const parseDay = (text, now) => {
+  if (/\bday after tomorrow\b/.test(text)) return { days: [startOfDay(now, 2)] };
+  if (/\b(?:tomorrow|tmrw?)\b/.test(text)) return { days: [startOfDay(now, 1)] };
+  if (/\b(?:today|tonight|this\s+(?:morning|afternoon|evening))\b/.test(text)) {
+    return { days: [startOfDay(now)] };
+  }
+  if (/\bnext\s+week\b/.test(text)) return { days: [startOfDay(now, 7)], vague: true };
+
+  const weekday = text.match(/\b(?:(next|this|coming)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekday) {
+    const ahead = (WEEKDAY_NAMES.indexOf(weekday[2]) - now.getDay() + 7) % 7;
+    if (weekday[1] === 'this') return { days: [startOfDay(now, ahead)] };
+    if (weekday[1] === 'next') {
+      const upcoming = ahead || 7;
+      // "next Friday" said on a Tuesday can mean this week's or the one after
+      return now.getDay() + upcoming <= 6
+        ? { days: [startOfDay(now, upcoming), startOfDay(now, upcoming + 7)] }
+        : { days: [startOfDay(now, upcoming)] };
+    }
+    // "Monday" said on a Monday is today if the time hasn't passed yet
+    return ahead === 0
+      ? { days: [startOfDay(now), startOfDay(now, 7)] }
+      : { days: [startOfDay(now, ahead)] };
+  }
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return { days: [new Date(+iso[1], +iso[2] - 1, +iso[3])] };
+
+  // "june 5", "5th of june", "jun 5, 2027"
+  const monthFirst = text.match(new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!:)(?:,?\\s+(\\d{4}))?`));
+  const dayFirst = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4}))?`));
+  if (monthFirst || dayFirst) {
+    const [month, day, year] = monthFirst
+      ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+      : [dayFirst[2], dayFirst[1], dayFirst[3]];
+    const date = new Date(year ? +year : now.getFullYear(), MONTH_PREFIXES.indexOf(month.slice(0, 3)), +day);
+    if (!year && date < startOfDay(now)) date.setFullYear(date.getFullYear() + 1);
+    return { days: [date] };
+  }
+
+  // "on the 15th" is this month's, or next month's once it has passed
+  const dayOfMonth = text.match(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)\b/);
+  if (dayOfMonth && +dayOfMonth[1] >= 1 && +dayOfMonth[1] <= 31) {
+    const date = new Date(now.getFullYear(), now.getMonth(), +dayOfMonth[1]);
+    if (date < startOfDay(now)) date.setMonth(date.getMonth() + 1);
+    return { days: [date] };
+  }
+  return null;
+};
+
+/**
+ * The time of day a request names, as { times, period }. `times` lists
+ * candidate { hour, minute } readings, most likely first; more than one
+ * means the text didn't say AM or PM. `period` is the vague time of day
+ * mentioned, if any. Null when no time of day is mentioned.
+ */
+export const parseClockTime = (input, timeOfDay = TIME_OF_DAY_DEFAULTS) => {
+  const text = normalize(input || '');
+  const period = text.match(/\b(morning|afternoon|evening|tonight|night)s?\b/)?.[1] || null;
+
+  if (/\bnoon\b|\bmidday\b/.test(text)) return { times: [{ hour: 12, minute: 0 }], period };
+  if (/\bmidnight\b/.test(text)) return { times: [{ hour: 0, minute: 0 }], period };
+
+  let match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (match) {
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || '0', 10);
+    if (match[3] === 'pm' && hour !== 12) hour += 12;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+    return hour < 24 && minute < 60 ? { times: [{ hour, minute }], period } : null;
+  }
+
+  let hour = null;
+  let minute = 0;
+  let twelveHour = false;
+  if ((match = text.match(/\b(\d{1,2}):(\d{2})\b/))) {
+    // "17:30" and "05:30" are 24-hour; "5:30" could be either
+    hour = parseInt(match[1], 10);
+    minute = parseInt(match[2], 10);
+    twelveHour = !match[1].startsWith('0') && hour >= 1 && hour <= 12;
+  } else if ((match = text.match(/\bat\s+(\d{2})(\d{2})\b/))) {
+    // "at 1730"
+    hour = parseInt(match[1], 10);
+    minute = parseInt(match[2], 10);
+  } else if ((match = text.match(new RegExp(`\\bat\\s+(\\d)(\\d{2})\\b${AFTER_BARE_HOUR}`)))) {
+    // "at 930"
+    hour = parseInt(match[1], 10);
+    minute = parseInt(match[2], 10);
+    twelveHour = true;
+  } else if ((match = text.match(/\b(\d{1,2})\s*o'?clock\b/))
+    || (match = text.match(new RegExp(`\\bat\\s+(\\d{1,2})\\b${AFTER_BARE_HOUR}`)))) {
+    hour = parseInt(match[1], 10);
+    twelveHour = hour >= 1 && hour <= 12;
+  }
+
+  if (hour === null) {
+    return period ? { times: [timeOfDay[period] || TIME_OF_DAY_DEFAULTS[period]], period } : null;
+  }
+  if (hour > 23 || minute > 59) return null;
+  if (!twelveHour) return { times: [{ hour, minute }], period };
+
+  const am = { hour: hour % 12, minute };
+  const pm = { hour: (hour % 12) + 12, minute };
+  if (period) return { times: [MERIDIEM_OF_PERIOD[period] === 'am' ? am : pm], period };
+  // Without AM/PM, 7-11 are usually mornings and 12-6 afternoons
+  return { times: hour >= 7 && hour <= 11 ? [am, pm] : [pm, am], period };
+};
+
+// Last resort for formats Date understands, e.g. "11/03/2026".
+// Only for timestamps and the intent classifier's `time`: Date reads any
+// number in free text as a year or month ("call room 12" is Dec 2001).
+const parseDateString = (text) => {
+  if (!/\d/.test(text)) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Read when a reminder should ring. Resolves to
+ * { date, ambiguous, alternatives, anchor } or null when the text names no
+ * time. `ambiguous` is set when the parser had to guess (AM or PM, which
+ * Monday, or a day with no time), and `alternatives` lists other readings,
+ * best first. `anchor` is 'wall' for clock times and 'absolute' for offsets
+ * like "in 2 hours" (see timeZone.js). Options: `now`, `timeOfDay` to
+ * override TIME_OF_DAY_DEFAULTS, and `lenient` to also accept any string
+ * Date can read, for machine-written times rather than the user's words.
+ */
+export const parseTimeExpression = (
+  input,
+  { now = new Date(), timeOfDay = TIME_OF_DAY_DEFAULTS, lenient = false } = {}
+) => {
+  if (!input || typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  if (ISO_TIMESTAMP.test(trimmed)) {
+    const date = parseDateString(trimmed);
+    return date && { date, ambiguous: false, alternatives: [], anchor: 'absolute' };
+  }
+
+  const text = normalize(trimmed);
+  const offset = parseOffset(text);
+  const rest = offset ? text.replace(offset.phrase, ' ') : text;
+  const clock = parseClockTime(rest, timeOfDay);
+
+  if (offset) {
+    // "in 2 days at 5pm" takes the day from the offset and the time from the clock
+    if (offset.days > 0 && clock && offset.ms === 0) {
+      return resolve({ days: [startOfDay(now, offset.days)] }, clock, now, timeOfDay);
+    }
+    const date = new Date(now);
+    date.setDate(date.getDate() + offset.days);
+    return { date: new Date(date.getTime() + offset.ms), ambiguous: false, alternatives: [], anchor: 'absolute' };
+  }
+
+  const day = parseDay(rest, now);
+  if (day || clock) return resolve(day, clock, now, timeOfDay);
+  if (!lenient) return null;
+
+  const date = parseDateString(trimmed);
+  return date && { date, ambiguous: false, alternatives: [], anchor: 'absolute' };
+};
+
+const resolve = (day, clock, now, timeOfDay) => {
+  // A day with no time rings at the start of the user's morning
+  const times = clock ? clock.times : [timeOfDay.morning || TIME_OF_DAY_DEFAULTS.morning];
+
+  let candidates;
+  if (day) {
+    candidates = day.days.flatMap((d) => times.map((time) => at(d, time)));
+  } else {
+    // A time alone means its next occurrence. The readings stay in order
+    // of likelihood: "at 12:30" said at 2pm is still most likely lunchtime,
+    // even though 12:30 AM comes first.
+    candidates = times.map((time) => {
+      const date = at(startOfDay(now), time);
+      return date > now ? date : at(startOfDay(now, 1), time);
+    });
+  }
+
+  const upcoming = candidates.filter((date) => date > now);
+  // Everything is in the past ("today at 8am" in the evening); let the
+  // caller reject it
+  if (upcoming.length === 0) return { date: candidates[0], ambiguous: false, alternatives: [], anchor: 'wall' };
+
+  // Every other reading is worth offering, even on another day: "wake me
+  // up at 6" said at 2pm could well mean 6 AM tomorrow
+  const [date, ...alternatives] = upcoming;
+  return {
+    date,
+    ambiguous: alternatives.length > 0 || !clock || !!day?.vague,
+    alternatives,
+    anchor: 'wall',
+  };
+};
+
+/**
+ * "today at 5:00 PM", "tomorrow at 9:00 AM", "Monday, Oct 26 at 9:00 AM"
+ */
+export const describeTime = (date, now = new Date()) => {
+  const time = formatTimeOfDay(date.getHours(), date.getMinutes());
+  if (date.toDateString() === now.toDateString()) return `today at ${time}`;
+  if (date.toDateString() === startOfDay(now, 1).toDateString()) return `tomorrow at ${time}`;
+  const sameYear = date.getFullYear() === now.getFullYear();
+  const day = date.toLocaleDateString(undefined, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    ...(!sameYear && { year: 'numeric' }),
+  });
+  return `${day} at ${time}`;
+};
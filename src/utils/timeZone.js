@@ -0,0 +1,44 @@
+/**
+ * Time Zone Utilities - What a reminder's time is anchored to
+ *
+ * Every reminder records the IANA zone it was set in (`timeZone`) and an
+ * `anchor`. 'wall' reminders ring at a clock time ("tomorrow at 5pm",
+ * "every day at 9am") and keep that clock time as `wallTime`, e.g.
+ * "2026-10-21T17:00", so they can follow the user into another zone.
+ * 'absolute' reminders ("in 2 hours", a snooze) ring at a fixed instant
+ * wherever the user is.
+ */
+
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    console.warn('Could not read the device time zone:', error);
+    return 'UTC';
+  }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local clock time of `date` on this device
+export const toWallTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// The instant a clock time falls on in the device's current zone
+export const fromWallTime = (wallTime) => {
+  const [date, time] = wallTime.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hour, minute);
+};
+
+/**
+ * The time fields to store on a reminder that rings at `date`, anchored in
+ * the device's current zone
+ */
+export const anchorTime = (date, anchor = 'wall') => ({
+  time: date.toISOString(),
+  timeZone: getDeviceTimeZone(),
+  anchor,
+  wallTime: anchor === 'wall' ? toWallTime(date) : null,
+});